@@ -4,6 +4,7 @@
  */
 
 const { EventEmitter } = require('events');
+const { RateLimiter } = require('./rateLimiter');
 
 /**
  * API response formatter
@@ -123,6 +124,14 @@ class ApiResponseFormatter {
  * API rate limiter with multiple strategies
  */
 class ApiRateLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.algorithm - Rate limit algorithm (default 'sliding-window')
+   * @param {Object} options.store - Rate limit store shared between limiters or
+   *   processes (default in-memory); see rateLimiter.js
+   * @param {string} options.name - Key namespace in the store; required when
+   *   limiters with the same settings share a store but must count separately
+   */
   constructor(options = {}) {
     this.windowMs = options.windowMs || 15 * 60 * 1000; // 15 minutes
     this.max = options.max || 100; // limit each IP to 100 requests per windowMs
@@ -132,52 +141,58 @@ class ApiRateLimiter {
     this.skipSuccessfulRequests = options.skipSuccessfulRequests || false;
     this.skipFailedRequests = options.skipFailedRequests || false;
     
-    this.store = new Map();
+    this.limiter = new RateLimiter({
+      algorithm: options.algorithm,
+      windowMs: this.windowMs,
+      maxRequests: this.max,
+      burst: options.burst,
+      store: options.store,
+      name: options.name
+    });
+    this.store = this.limiter.store;
+    this.totalRequests = 0;
     this.eventEmitter = new EventEmitter();
   }
 
   /**
    * Check if request is allowed
+   * Synchronous with the default in-memory store; returns a Promise with
+   * asynchronous stores
    * @param {string} key - Rate limit key (usually IP)
    * @returns {Object} Rate limit result
    */
   check(key) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    if (!this.store.has(key)) {
-      this.store.set(key, []);
-    }
-    
-    const requests = this.store.get(key);
-    
-    // Remove old requests outside the window
-    const validRequests = requests.filter(timestamp => timestamp > windowStart);
-    this.store.set(key, validRequests);
-    
-    const currentCount = validRequests.length;
-    const remaining = Math.max(0, this.max - currentCount);
-    const resetTime = new Date(now + this.windowMs);
-    
-    if (currentCount >= this.max) {
-      this.eventEmitter.emit('limit-exceeded', { key, count: currentCount });
+    const result = this.limiter.isAllowed(key);
+    return typeof result.then === 'function'
+      ? result.then(resolved => this.handleResult(key, resolved))
+      : this.handleResult(key, result);
+  }
+
+  /**
+   * Convert a limiter result and emit events
+   * @param {string} key - Rate limit key
+   * @param {Object} result - RateLimiter result
+   * @returns {Object} Rate limit result
+   */
+  handleResult(key, result) {
+    const resetTime = new Date(result.resetTime);
+
+    if (!result.allowed) {
+      this.eventEmitter.emit('limit-exceeded', { key, count: this.max - result.remaining });
       return {
         allowed: false,
         remaining: 0,
         resetTime,
-        retryAfter: Math.ceil(this.windowMs / 1000)
+        retryAfter: result.retryAfter
       };
     }
-    
-    // Add current request
-    validRequests.push(now);
-    this.store.set(key, validRequests);
-    
-    this.eventEmitter.emit('request', { key, count: currentCount + 1 });
-    
+
+    this.totalRequests++;
+    this.eventEmitter.emit('request', { key, count: this.max - result.remaining });
+
     return {
       allowed: true,
-      remaining: remaining - 1,
+      remaining: result.remaining,
       resetTime,
       retryAfter: 0
     };
@@ -202,25 +217,26 @@ class ApiRateLimiter {
    * @param {string} key - Rate limit key
    */
   clear(key) {
-    this.store.delete(key);
+    const cleared = this.limiter.reset(key);
     this.eventEmitter.emit('cleared', { key });
+    return cleared;
   }
 
   /**
    * Get rate limit statistics
+   * Key counts come from the store and may include other limiters sharing it;
+   * returns a Promise with asynchronous stores
    * @returns {Object} Statistics
    */
   getStats() {
-    const keys = Array.from(this.store.keys());
-    const totalRequests = keys.reduce((sum, key) => {
-      return sum + this.store.get(key).length;
-    }, 0);
-    
-    return {
-      totalKeys: keys.length,
-      totalRequests,
-      averageRequestsPerKey: keys.length > 0 ? totalRequests / keys.length : 0
-    };
+    const build = totalKeys => ({
+      totalKeys,
+      totalRequests: this.totalRequests,
+      averageRequestsPerKey: totalKeys > 0 ? this.totalRequests / totalKeys : 0
+    });
+
+    const totalKeys = this.limiter.getKeyCount();
+    return typeof totalKeys === 'number' ? build(totalKeys) : totalKeys.then(build);
   }
 }
 
@@ -1,50 +1,113 @@
 /**
  * Advanced caching manager for Node.js applications
  * @param {Object} options - Configuration options
- * @param {string} options.strategy - Caching strategy (default: 'lru')
- * @param {number} options.maxSize - Maximum cache size (default: 1000)
+ * @param {string} options.strategy - Eviction strategy: lru, lfu, fifo or size (default: 'lru')
+ * @param {number} options.maxSize - Maximum number of entries (default: 1000)
+ * @param {number} options.maxBytes - Maximum serialized size of all entries (default: unlimited)
  * @param {number} options.ttl - Time to live in milliseconds (default: 300000 - 5 minutes)
  * @param {Object} options.store - Storage implementation (default: MemoryStore)
  * @param {boolean} options.enableStats - Enable cache statistics (default: true)
  * @param {Function} options.serializer - Custom serializer function
  * @param {Function} options.deserializer - Custom deserializer function
+ * @param {number} options.staleWhileRevalidate - How long getOrSet serves an expired
+ *   value while refreshing it in the background, in milliseconds (default: 0)
+ * @param {number} options.staleIfError - How long getOrSet serves an expired value
+ *   when the fallback throws, in milliseconds (default: 0)
+ * @param {number} options.earlyExpiration - Probabilistic early refresh factor
+ *   (beta; 1 is typical, 0 disables)
+ * @param {Object} options.l2 - Second-tier store; `store` becomes the first tier
+ * @param {number} options.l1Ttl - Longest time an entry stays in the first tier
+ * @param {string} options.keyPrefix - Prefix added to every stored key (default: '')
+ * @param {boolean} options.hashKeys - Store MD5 hashes of keys instead of the keys
+ *   themselves; pattern invalidation is unavailable (default: false)
  * @returns {CacheManager} Cache manager instance
  */
 const crypto = require('crypto');
+const EventEmitter = require('events');
 
-class CacheManager {
+class CacheManager extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       strategy: options.strategy || 'lru',
       maxSize: options.maxSize || 1000,
       ttl: options.ttl || 5 * 60 * 1000, // 5 minutes
+      maxBytes: options.maxBytes || Infinity,
       store: options.store || new MemoryStore(),
       enableStats: options.enableStats !== false,
       serializer: options.serializer || JSON.stringify,
       deserializer: options.deserializer || JSON.parse,
+      staleWhileRevalidate: options.staleWhileRevalidate || 0,
+      staleIfError: options.staleIfError || 0,
+      earlyExpiration: options.earlyExpiration || 0,
+      keyPrefix: options.keyPrefix || '',
+      hashKeys: options.hashKeys || false,
       ...options
     };
 
-    this.store = this.options.store;
-    this.stats = {
+    this.store = this.options.l2
+      ? new TieredStore(this.options.store, this.options.l2, { l1Ttl: this.options.l1Ttl })
+      : this.options.store;
+    this.inflight = new Map();
+    this.stats = this.createStats();
+
+    // Stores without their own limits get the manager's
+    if (this.store.configureEviction) {
+      this.store.configureEviction({
+        strategy: this.options.strategy,
+        maxEntries: this.options.maxSize,
+        maxBytes: this.options.maxBytes
+      });
+    }
+    if (this.store.setEvictionListener) {
+      this.store.setEvictionListener((eviction) => {
+        this.recordStat('evictions');
+        this.recordStat('evictedBytes', eviction.size);
+        this.emit('evict', eviction);
+      });
+    }
+  }
+
+  /**
+   * Create empty statistics counters
+   * @returns {Object} Statistics
+   */
+  createStats() {
+    return {
       hits: 0,
       misses: 0,
       sets: 0,
       deletes: 0,
-      clears: 0
+      clears: 0,
+      invalidations: 0,
+      evictions: 0,
+      evictedBytes: 0,
+      staleHits: 0,
+      staleIfErrorHits: 0,
+      coalesced: 0,
+      refreshes: 0,
+      earlyRefreshes: 0,
+      refreshErrors: 0
     };
   }
 
   /**
    * Generate cache key
+   * String keys are stored as-is (after the prefix) so they can be matched
+   * by invalidatePattern; other keys are hashed
    * @param {string} key - Cache key
    * @returns {string} Generated key
    */
   generateKey(key) {
-    if (typeof key === 'string') {
-      return crypto.createHash('md5').update(key).digest('hex');
+    const { keyPrefix, hashKeys } = this.options;
+
+    if (typeof key === 'string' && !hashKeys) {
+      return keyPrefix + key;
     }
-    return crypto.createHash('md5').update(JSON.stringify(key)).digest('hex');
+
+    const text = typeof key === 'string' ? key : JSON.stringify(key);
+    const hash = crypto.createHash('md5').update(text).digest('hex');
+    return hashKeys ? keyPrefix + hash : `${keyPrefix}#${hash}`;
   }
 
   /**
@@ -54,6 +117,9 @@ class CacheManager {
    * @param {Object} options - Cache options
    * @param {number} options.ttl - Time to live in milliseconds
    * @param {boolean} options.serialize - Whether to serialize value
+   * @param {number} options.staleWhileRevalidate - Stale window for getOrSet refreshes
+   * @param {number} options.staleIfError - Stale window for getOrSet fallback errors
+   * @param {Array<string>} options.tags - Tags for invalidateTag
    * @returns {Promise<boolean>} Success status
    */
   async set(key, value, options = {}) {
@@ -61,15 +127,35 @@ class CacheManager {
       const cacheKey = this.generateKey(key);
       const ttl = options.ttl || this.options.ttl;
       const serialize = options.serialize !== false;
+      const staleWindow = Math.max(
+        options.staleWhileRevalidate ?? this.options.staleWhileRevalidate,
+        options.staleIfError ?? this.options.staleIfError
+      );
       
       const cacheValue = {
         value: serialize ? this.options.serializer(value) : value,
         timestamp: Date.now(),
         ttl: ttl,
-        expires: Date.now() + ttl
+        expires: Date.now() + ttl,
+        staleUntil: Date.now() + ttl + staleWindow,
+        // How long the value took to compute, for early expiration
+        delta: options.computeTime || 0
       };
 
-      const success = await this.store.set(cacheKey, cacheValue, ttl);
+      const tags = options.tags || [];
+      if (tags.length > 0) {
+        cacheValue.tags = tags;
+      }
+
+      // Stale entries are kept in the store until their stale window closes
+      const success = await this.store.set(cacheKey, cacheValue, ttl + staleWindow);
+
+      if (success && tags.length > 0) {
+        this.assertSupports('addToTag', 'tags');
+        for (const tag of tags) {
+          await this.store.addToTag(tag, cacheKey, ttl + staleWindow);
+        }
+      }
       
       if (success && this.options.enableStats) {
         this.stats.sets++;
@@ -105,7 +191,7 @@ class CacheManager {
 
       // Check if expired
       if (cached.expires && Date.now() > cached.expires) {
-        await this.delete(key);
+        await this.deleteIfDead(cacheKey, cached);
         if (this.options.enableStats) {
           this.stats.misses++;
         }
@@ -144,6 +230,67 @@ class CacheManager {
     }
   }
 
+  /**
+   * Delete every entry set with a tag
+   * @param {string|Array<string>} tags - Tag or tags
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async invalidateTag(tags) {
+    this.assertSupports('getTagMembers', 'tags');
+    let deleted = 0;
+
+    for (const tag of [].concat(tags)) {
+      const keys = await this.store.getTagMembers(tag);
+      for (const cacheKey of keys) {
+        if (await this.store.delete(cacheKey)) {
+          deleted++;
+        }
+      }
+      await this.store.deleteTag(tag);
+    }
+
+    this.recordStat('invalidations', deleted);
+    return deleted;
+  }
+
+  /**
+   * Delete every entry whose key matches a glob pattern
+   * `*` matches any run of characters and `?` a single character
+   * @param {string} pattern - Key pattern, e.g. 'user:42:*'
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async invalidatePattern(pattern) {
+    if (this.options.hashKeys) {
+      throw new Error('Pattern invalidation is unavailable when hashKeys is enabled');
+    }
+    this.assertSupports('deleteMatching', 'pattern invalidation');
+
+    const deleted = await this.store.deleteMatching(this.options.keyPrefix + pattern);
+    this.recordStat('invalidations', deleted);
+    return deleted;
+  }
+
+  /**
+   * Delete every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async invalidatePrefix(prefix) {
+    // Escape everything Redis MATCH treats specially, so every store agrees
+    return this.invalidatePattern(`${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`);
+  }
+
+  /**
+   * Throw if the store lacks an optional method
+   * @param {string} method - Store method
+   * @param {string} feature - Feature name for the error message
+   */
+  assertSupports(method, feature) {
+    if (typeof this.store[method] !== 'function') {
+      throw new Error(`${this.store.constructor.name} does not support ${feature}`);
+    }
+  }
+
   /**
    * Check if key exists
    * @param {string} key - Cache key
@@ -158,7 +305,7 @@ class CacheManager {
       
       // Check if expired
       if (cached.expires && Date.now() > cached.expires) {
-        await this.delete(key);
+        await this.deleteIfDead(cacheKey, cached);
         return false;
       }
       
@@ -169,22 +316,133 @@ class CacheManager {
     }
   }
 
+  /**
+   * Delete an expired entry once its stale window has closed too
+   * @param {string} cacheKey - Generated cache key
+   * @param {Object} cached - Cached entry
+   */
+  async deleteIfDead(cacheKey, cached) {
+    if (Date.now() > (cached.staleUntil || cached.expires)) {
+      await this.store.delete(cacheKey);
+    }
+  }
+
   /**
    * Get cache value with fallback
+   * Concurrent misses for a key share one fallback call. Within the
+   * staleWhileRevalidate window an expired value is returned while it is
+   * refreshed in the background; within staleIfError it is returned if the
+   * fallback throws. With earlyExpiration, a fresh value may be refreshed
+   * in the background shortly before it expires, so hot keys rarely miss.
    * @param {string} key - Cache key
    * @param {Function} fallback - Fallback function
-   * @param {Object} options - Cache options
+   * @param {Object} options - Cache options (as for set, plus staleWhileRevalidate,
+   *   staleIfError and earlyExpiration overrides)
    * @returns {Promise<*>} Cached or fallback value
    */
   async getOrSet(key, fallback, options = {}) {
-    let value = await this.get(key, options);
-    
-    if (value === null) {
-      value = await fallback();
-      await this.set(key, value, options);
+    const cacheKey = this.generateKey(key);
+    const staleWhileRevalidate = options.staleWhileRevalidate ?? this.options.staleWhileRevalidate;
+    const staleIfError = options.staleIfError ?? this.options.staleIfError;
+    const beta = options.earlyExpiration ?? this.options.earlyExpiration;
+
+    let cached = null;
+    try {
+      cached = await this.store.get(cacheKey);
+    } catch (error) {
+      console.error('Cache get error:', error);
+    }
+
+    const now = Date.now();
+    const read = () => (options.deserialize !== false
+      ? this.options.deserializer(cached.value)
+      : cached.value);
+
+    if (cached && now <= cached.expires) {
+      this.recordStat('hits');
+      // XFetch: refresh early with a probability that grows near expiry
+      if (beta > 0 && now - cached.delta * beta * Math.log(Math.random()) >= cached.expires) {
+        this.recordStat('earlyRefreshes');
+        this.refresh(key, cacheKey, fallback, options);
+      }
+      return read();
+    }
+
+    if (cached && now <= cached.expires + staleWhileRevalidate) {
+      this.recordStat('staleHits');
+      this.refresh(key, cacheKey, fallback, options);
+      return read();
+    }
+
+    this.recordStat('misses');
+    try {
+      return await this.load(key, cacheKey, fallback, options);
+    } catch (error) {
+      if (cached && now <= cached.expires + staleIfError) {
+        this.recordStat('staleIfErrorHits');
+        this.emit('refresh:error', { key, error });
+        return read();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a fallback and cache its result, sharing the call between concurrent callers
+   * @param {string} key - Cache key
+   * @param {string} cacheKey - Generated cache key
+   * @param {Function} fallback - Fallback function
+   * @param {Object} options - Cache options
+   * @returns {Promise<*>} Fallback value
+   */
+  load(key, cacheKey, fallback, options) {
+    const pending = this.inflight.get(cacheKey);
+    if (pending) {
+      this.recordStat('coalesced');
+      return pending;
+    }
+
+    const startedAt = Date.now();
+    const promise = Promise.resolve()
+      .then(() => fallback())
+      .then(async (value) => {
+        await this.set(key, value, { ...options, computeTime: Date.now() - startedAt });
+        return value;
+      })
+      .finally(() => {
+        this.inflight.delete(cacheKey);
+      });
+
+    this.inflight.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Refresh a value in the background (errors are reported, not thrown)
+   * @param {string} key - Cache key
+   * @param {string} cacheKey - Generated cache key
+   * @param {Function} fallback - Fallback function
+   * @param {Object} options - Cache options
+   */
+  refresh(key, cacheKey, fallback, options) {
+    if (this.inflight.has(cacheKey)) return;
+
+    this.recordStat('refreshes');
+    this.load(key, cacheKey, fallback, options).catch((error) => {
+      this.recordStat('refreshErrors');
+      this.emit('refresh:error', { key, error });
+    });
+  }
+
+  /**
+   * Increment a statistics counter
+   * @param {string} name - Counter name
+   * @param {number} amount - Increment
+   */
+  recordStat(name, amount = 1) {
+    if (this.options.enableStats) {
+      this.stats[name] += amount;
     }
-    
-    return value;
   }
 
   /**
@@ -218,12 +476,19 @@ class CacheManager {
     const total = this.stats.hits + this.stats.misses;
     const hitRate = total > 0 ? (this.stats.hits / total) * 100 : 0;
 
-    return {
+    const stats = {
       ...this.stats,
       hitRate: Math.round(hitRate * 100) / 100,
       total,
+      inflight: this.inflight.size,
       enabled: true
     };
+
+    if (this.store.getStats) {
+      stats.store = this.store.getStats();
+    }
+
+    return stats;
   }
 
   /**
@@ -231,13 +496,7 @@ class CacheManager {
    */
   resetStats() {
     if (this.options.enableStats) {
-      this.stats = {
-        hits: 0,
-        misses: 0,
-        sets: 0,
-        deletes: 0,
-        clears: 0
-      };
+      this.stats = this.createStats();
     }
   }
 
@@ -268,7 +527,7 @@ class CacheManager {
 
       for (const key of keys) {
         const cached = await this.store.get(key);
-        if (cached && cached.expires && Date.now() > cached.expires) {
+        if (cached && cached.expires && Date.now() > (cached.staleUntil || cached.expires)) {
           await this.store.delete(key);
           cleaned++;
         }
@@ -282,12 +541,247 @@ class CacheManager {
   }
 }
 
+/**
+ * Convert a cache key glob (`*`, `?`, backslash escapes) to a RegExp
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+};
+
+const EVICTION_STRATEGIES = ['lru', 'lfu', 'fifo', 'size'];
+
+/**
+ * Tracks entry sizes and usage for a store and picks entries to evict
+ * - lru: least recently read or written
+ * - lfu: least often read or written (ties: oldest first)
+ * - fifo: oldest written
+ * - size: largest first
+ */
+class EvictionPolicy {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'lru';
+    if (!EVICTION_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown eviction strategy: ${this.strategy}`);
+    }
+
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    // Map order is recency for lru and insertion order for the others
+    this.entries = new Map();
+    this.frequencies = new Map();
+    this.bytes = 0;
+  }
+
+  /**
+   * Record a read
+   * @param {string} key - Entry key
+   */
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    if (this.strategy === 'lru') {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    } else if (this.strategy === 'lfu') {
+      this.bumpFrequency(key, entry);
+    }
+  }
+
+  /**
+   * Record a write
+   * @param {string} key - Entry key
+   * @param {number} size - Serialized size in bytes
+   */
+  add(key, size) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes += size - entry.size;
+      entry.size = size;
+      this.touch(key);
+      return;
+    }
+
+    const created = { size, frequency: 1 };
+    this.entries.set(key, created);
+    this.bytes += size;
+    if (this.strategy === 'lfu') {
+      this.addToFrequency(key, 1);
+    }
+  }
+
+  /**
+   * Record a deletion
+   * @param {string} key - Entry key
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    if (this.strategy === 'lfu') {
+      this.removeFromFrequency(key, entry.frequency);
+    }
+  }
+
+  /**
+   * Forget every entry
+   */
+  reset() {
+    this.entries.clear();
+    this.frequencies.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Move an entry to the next frequency bucket
+   * @param {string} key - Entry key
+   * @param {Object} entry - Entry metadata
+   */
+  bumpFrequency(key, entry) {
+    this.removeFromFrequency(key, entry.frequency);
+    entry.frequency++;
+    this.addToFrequency(key, entry.frequency);
+  }
+
+  addToFrequency(key, frequency) {
+    if (!this.frequencies.has(frequency)) {
+      this.frequencies.set(frequency, new Set());
+    }
+    this.frequencies.get(frequency).add(key);
+  }
+
+  removeFromFrequency(key, frequency) {
+    const bucket = this.frequencies.get(frequency);
+    if (!bucket) return;
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.frequencies.delete(frequency);
+    }
+  }
+
+  /**
+   * Check whether the limits are exceeded
+   * @returns {boolean} True when something must be evicted
+   */
+  isOverLimit() {
+    return this.entries.size > this.maxEntries || this.bytes > this.maxBytes;
+  }
+
+  /**
+   * Check whether an entry could ever fit
+   * @param {number} size - Serialized size in bytes
+   * @returns {boolean} False when the entry alone exceeds maxBytes
+   */
+  fits(size) {
+    return size <= this.maxBytes;
+  }
+
+  /**
+   * Pick the next entry to evict
+   * @param {string} keep - Key that must not be picked (the entry being written)
+   * @returns {string|null} Key to evict
+   */
+  nextVictim(keep = null) {
+    if (this.strategy === 'lfu') {
+      const lowest = Math.min(...this.frequencies.keys());
+      for (const frequency of [lowest, ...Array.from(this.frequencies.keys()).sort((a, b) => a - b)]) {
+        for (const key of this.frequencies.get(frequency) || []) {
+          if (key !== keep) return key;
+        }
+      }
+      return null;
+    }
+
+    if (this.strategy === 'size') {
+      let victim = null;
+      let largest = -1;
+      for (const [key, entry] of this.entries) {
+        if (key !== keep && entry.size > largest) {
+          victim = key;
+          largest = entry.size;
+        }
+      }
+      return victim;
+    }
+
+    for (const key of this.entries.keys()) {
+      if (key !== keep) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Get usage
+   * @returns {Object} { strategy, entries, bytes, maxEntries, maxBytes }
+   */
+  getStats() {
+    return {
+      strategy: this.strategy,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
 /**
  * In-memory storage implementation
+ *
+ * Stores may also implement tags (`addToTag`, `getTagMembers`, `deleteTag`)
+ * and `deleteMatching(pattern)` for CacheManager's invalidation methods, and
+ * `configureEviction`/`setEvictionListener` to have CacheManager's size
+ * limits enforced.
  */
 class MemoryStore {
-  constructor() {
+  /**
+   * @param {Object} options - Eviction options (strategy, maxEntries, maxBytes);
+   *   when omitted, the CacheManager's options apply
+   */
+  constructor(options = {}) {
     this.store = new Map();
+    this.tags = new Map();
+    this.keyTags = new Map();
+    this.eviction = null;
+    this.onEvict = null;
+    if (options.strategy || options.maxEntries || options.maxBytes) {
+      this.eviction = new EvictionPolicy(options);
+    }
+  }
+
+  /**
+   * Enforce size limits unless the store was created with its own
+   * @param {Object} options - { strategy, maxEntries, maxBytes }
+   */
+  configureEviction(options) {
+    if (!this.eviction) {
+      this.eviction = new EvictionPolicy(options);
+    }
+  }
+
+  /**
+   * Register the callback told about each eviction
+   * @param {Function} listener - Receives { key, size, reason }
+   */
+  setEvictionListener(listener) {
+    this.onEvict = listener;
   }
 
   async get(key) {
@@ -295,30 +789,89 @@ class MemoryStore {
     if (!item) return null;
     
     if (item.expires && Date.now() > item.expires) {
-      this.store.delete(key);
+      await this.delete(key);
       return null;
     }
     
-    return item;
+    if (this.eviction) {
+      this.eviction.touch(key);
+    }
+    return item.value;
   }
 
   async set(key, value, ttl) {
+    let size = 0;
+    if (this.eviction) {
+      size = Buffer.byteLength(JSON.stringify(value));
+      if (!this.eviction.fits(size)) {
+        // Don't keep serving the value this write was meant to replace
+        if (this.store.has(key)) {
+          const entry = this.eviction.entries.get(key);
+          await this.delete(key);
+          if (this.onEvict) {
+            this.onEvict({ key, size: entry ? entry.size : 0, reason: 'too-large' });
+          }
+        }
+        return false;
+      }
+    }
+
     this.store.set(key, {
-      ...value,
-      expires: Date.now() + ttl
+      value,
+      expires: ttl ? Date.now() + ttl : null
     });
+
+    if (this.eviction) {
+      this.eviction.add(key, size);
+      this.enforceLimits(key);
+    }
     return true;
   }
 
+  /**
+   * Evict entries until the store is within its limits
+   * @param {string} keep - Key just written
+   */
+  enforceLimits(keep) {
+    while (this.eviction.isOverLimit()) {
+      const victim = this.eviction.nextVictim(keep);
+      if (victim === null) return;
+
+      const { size } = this.eviction.entries.get(victim);
+      const item = this.store.get(victim);
+      const reason = item && item.expires && Date.now() > item.expires ? 'expired' : this.eviction.strategy;
+      this.store.delete(victim);
+      this.eviction.remove(victim);
+      this.untag(victim);
+
+      if (this.onEvict) {
+        this.onEvict({ key: victim, size, reason });
+      }
+    }
+  }
+
   async delete(key) {
+    if (this.eviction) {
+      this.eviction.remove(key);
+    }
+    this.untag(key);
     return this.store.delete(key);
   }
 
   async clear() {
     this.store.clear();
+    this.tags.clear();
+    this.keyTags.clear();
+    if (this.eviction) {
+      this.eviction.reset();
+    }
     return true;
   }
 
+  getStats() {
+    return this.eviction ? this.eviction.getStats() : { entries: this.store.size };
+  }
+
   async size() {
     return this.store.size;
   }
@@ -326,14 +879,67 @@ class MemoryStore {
   async keys() {
     return Array.from(this.store.keys());
   }
+
+  async addToTag(tag, key) {
+    if (!this.tags.has(tag)) {
+      this.tags.set(tag, new Set());
+    }
+    this.tags.get(tag).add(key);
+
+    if (!this.keyTags.has(key)) {
+      this.keyTags.set(key, new Set());
+    }
+    this.keyTags.get(key).add(tag);
+  }
+
+  async getTagMembers(tag) {
+    return Array.from(this.tags.get(tag) || []);
+  }
+
+  async deleteTag(tag) {
+    for (const key of this.tags.get(tag) || []) {
+      const tags = this.keyTags.get(key);
+      if (tags) {
+        tags.delete(tag);
+        if (tags.size === 0) this.keyTags.delete(key);
+      }
+    }
+    this.tags.delete(tag);
+  }
+
+  /**
+   * Remove a deleted or evicted key from its tags
+   * @param {string} key - Cache key
+   */
+  untag(key) {
+    for (const tag of this.keyTags.get(key) || []) {
+      const members = this.tags.get(tag);
+      if (!members) continue;
+      members.delete(key);
+      if (members.size === 0) this.tags.delete(tag);
+    }
+    this.keyTags.delete(key);
+  }
+
+  async deleteMatching(pattern) {
+    const regex = globToRegExp(pattern);
+    let deleted = 0;
+    for (const key of Array.from(this.store.keys())) {
+      if (regex.test(key) && await this.delete(key)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
 }
 
 /**
  * Redis storage implementation
  */
 class RedisStore {
-  constructor(redisClient) {
+  constructor(redisClient, options = {}) {
     this.redis = redisClient;
+    this.tagPrefix = options.tagPrefix || 'cache-tag:';
   }
 
   async get(key) {
@@ -363,23 +969,164 @@ class RedisStore {
   async keys() {
     return await this.redis.keys('*');
   }
+
+  async addToTag(tag, key, ttl) {
+    const tagKey = this.tagPrefix + tag;
+    await this.redis.sadd(tagKey, key);
+    // Keep the tag set at least as long as its longest-lived member
+    const remaining = await this.redis.pttl(tagKey);
+    if (remaining >= 0 && remaining < ttl) {
+      await this.redis.pexpire(tagKey, ttl);
+    } else if (remaining === -1) {
+      await this.redis.pexpire(tagKey, ttl);
+    }
+  }
+
+  async getTagMembers(tag) {
+    return await this.redis.smembers(this.tagPrefix + tag);
+  }
+
+  async deleteTag(tag) {
+    await this.redis.del(this.tagPrefix + tag);
+  }
+
+  /**
+   * Delete keys matching a glob pattern, using SCAN so Redis isn't blocked
+   * @param {string} pattern - Redis MATCH pattern
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async deleteMatching(pattern) {
+    let cursor = '0';
+    let deleted = 0;
+
+    do {
+      const [nextCursor, keys] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        deleted += await this.redis.del(...keys);
+      }
+    } while (cursor !== '0');
+
+    return deleted;
+  }
 }
 
 /**
  * File system storage implementation
  */
 class FileStore {
-  constructor(directory = './cache') {
+  /**
+   * @param {string} directory - Cache directory
+   * @param {Object} options - Disk quota: { strategy, maxEntries, maxBytes }
+   *   (when omitted, the CacheManager's limits apply). Usage is tracked per
+   *   process, starting from the files found on first use.
+   */
+  constructor(directory = './cache', options = {}) {
     this.directory = directory;
+    this.tagDirectory = require('path').join(directory, '.tags');
     this.fs = require('fs').promises;
     this.path = require('path');
+    this.eviction = null;
+    this.onEvict = null;
+    this.indexLoaded = null;
+    if (options.strategy || options.maxEntries || options.maxBytes) {
+      this.eviction = new EvictionPolicy(options);
+    }
+  }
+
+  configureEviction(options) {
+    if (!this.eviction) {
+      this.eviction = new EvictionPolicy(options);
+    }
+  }
+
+  setEvictionListener(listener) {
+    this.onEvict = listener;
+  }
+
+  /**
+   * Seed usage tracking from the files already on disk, oldest first
+   */
+  async loadIndex() {
+    if (!this.eviction) return;
+    if (!this.indexLoaded) {
+      this.indexLoaded = (async () => {
+        const entries = await this.readEntries();
+        entries
+          .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs)
+          .forEach(({ key, stats }) => this.eviction.add(key, stats.size));
+      })();
+    }
+    await this.indexLoaded;
+  }
+
+  /**
+   * Delete files until the quota is met
+   * @param {string} keep - Key just written
+   */
+  async enforceLimits(keep) {
+    while (this.eviction.isOverLimit()) {
+      const victim = this.eviction.nextVictim(keep);
+      if (victim === null) return;
+
+      const { size } = this.eviction.entries.get(victim);
+      this.eviction.remove(victim);
+      await this.fs.unlink(this.getFilePath(victim)).catch(() => {});
+
+      if (this.onEvict) {
+        this.onEvict({ key: victim, size, reason: this.eviction.strategy });
+      }
+    }
+  }
+
+  getStats() {
+    return this.eviction ? this.eviction.getStats() : {};
+  }
+
+  /**
+   * Get the file for a key
+   * File names are key hashes, so keys of any length and character set are
+   * safe; the raw key is stored in the file for keys() and pattern matching.
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  getFilePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return this.path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Read the key and file stats of every entry on disk
+   * @returns {Promise<Array>} [{ key, stats }]
+   */
+  async readEntries() {
+    const files = await this.fs.readdir(this.directory).catch(() => []);
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filePath = this.path.join(this.directory, file);
+      try {
+        const [stats, data] = await Promise.all([this.fs.stat(filePath), this.fs.readFile(filePath, 'utf8')]);
+        const record = JSON.parse(data);
+        if (record && typeof record.key === 'string') {
+          entries.push({ key: record.key, stats });
+        }
+      } catch (error) {
+        // Removed or half-written by another process
+      }
+    }
+    return entries;
   }
 
   async get(key) {
     try {
-      const filePath = this.path.join(this.directory, `${key}.json`);
-      const data = await this.fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      const filePath = this.getFilePath(key);
+      const record = JSON.parse(await this.fs.readFile(filePath, 'utf8'));
+      if (!record || record.key !== key) return null;
+      if (this.eviction) {
+        await this.loadIndex();
+        this.eviction.touch(key);
+      }
+      return record.value;
     } catch (error) {
       return null;
     }
@@ -387,9 +1134,28 @@ class FileStore {
 
   async set(key, value, ttl) {
     try {
-      const filePath = this.path.join(this.directory, `${key}.json`);
+      const filePath = this.getFilePath(key);
+      const data = JSON.stringify({ key, value });
+      const size = Buffer.byteLength(data);
+      if (this.eviction) {
+        await this.loadIndex();
+        if (!this.eviction.fits(size)) {
+          // Don't keep serving the value this write was meant to replace
+          const entry = this.eviction.entries.get(key);
+          if (await this.delete(key) && this.onEvict) {
+            this.onEvict({ key, size: entry ? entry.size : 0, reason: 'too-large' });
+          }
+          return false;
+        }
+      }
+
       await this.fs.mkdir(this.directory, { recursive: true });
-      await this.fs.writeFile(filePath, JSON.stringify(value));
+      await this.fs.writeFile(filePath, data);
+
+      if (this.eviction) {
+        this.eviction.add(key, size);
+        await this.enforceLimits(key);
+      }
       return true;
     } catch (error) {
       console.error('File store set error:', error);
@@ -399,7 +1165,11 @@ class FileStore {
 
   async delete(key) {
     try {
-      const filePath = this.path.join(this.directory, `${key}.json`);
+      const filePath = this.getFilePath(key);
+      if (this.eviction) {
+        await this.loadIndex();
+        this.eviction.remove(key);
+      }
       await this.fs.unlink(filePath);
       return true;
     } catch (error) {
@@ -415,6 +1185,10 @@ class FileStore {
           await this.fs.unlink(this.path.join(this.directory, file));
         }
       }
+      await this.fs.rm(this.tagDirectory, { recursive: true, force: true });
+      if (this.eviction) {
+        this.eviction.reset();
+      }
       return true;
     } catch (error) {
       return false;
@@ -431,14 +1205,204 @@ class FileStore {
   }
 
   async keys() {
-    try {
-      const files = await this.fs.readdir(this.directory);
-      return files
-        .filter(file => file.endsWith('.json'))
-        .map(file => file.replace('.json', ''));
-    } catch (error) {
-      return [];
+    return (await this.readEntries()).map(entry => entry.key);
+  }
+
+  /**
+   * Get the directory holding a tag's members
+   * Each member is its own marker file, so concurrent adds (from this or
+   * other processes) never overwrite each other
+   * @param {string} tag - Tag
+   * @returns {string} Directory path
+   */
+  getTagPath(tag) {
+    const hash = crypto.createHash('sha256').update(tag).digest('hex');
+    return this.path.join(this.tagDirectory, hash);
+  }
+
+  async addToTag(tag, key) {
+    const tagPath = this.getTagPath(tag);
+    const markerPath = this.path.join(tagPath, this.path.basename(this.getFilePath(key), '.json'));
+    const tempPath = `${markerPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await this.fs.mkdir(tagPath, { recursive: true });
+    await this.fs.writeFile(tempPath, key);
+    await this.fs.rename(tempPath, markerPath);
+  }
+
+  /**
+   * Get a tag's keys, removing the markers of keys whose entries were
+   * deleted, evicted or expired
+   * @param {string} tag - Tag
+   * @returns {Promise<Array<string>>} Keys
+   */
+  async getTagMembers(tag) {
+    const tagPath = this.getTagPath(tag);
+    const markers = await this.fs.readdir(tagPath).catch(() => []);
+    const live = [];
+
+    for (const marker of markers.filter(name => !name.endsWith('.tmp'))) {
+      const markerPath = this.path.join(tagPath, marker);
+      const key = await this.fs.readFile(markerPath, 'utf8').catch(() => null);
+      if (key === null) continue;
+
+      if (await this.fs.access(this.getFilePath(key)).then(() => true, () => false)) {
+        live.push(key);
+      } else {
+        await this.fs.unlink(markerPath).catch(() => {});
+      }
     }
+
+    return live;
+  }
+
+  async deleteTag(tag) {
+    await this.fs.rm(this.getTagPath(tag), { recursive: true, force: true });
+  }
+
+  async deleteMatching(pattern) {
+    const regex = globToRegExp(pattern);
+    let deleted = 0;
+    for (const key of await this.keys()) {
+      if (regex.test(key) && await this.delete(key)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
+
+/**
+ * Two-tier store: a fast first tier (usually MemoryStore) in front of a
+ * shared or persistent second tier (FileStore, RedisStore)
+ * Reads fall through to the second tier and promote hits into the first.
+ * Writes and deletes go to both; size and keys come from the second tier.
+ */
+class TieredStore {
+  constructor(l1, l2, options = {}) {
+    this.l1 = l1;
+    this.l2 = l2;
+    this.l1Ttl = options.l1Ttl || null;
+    this.stats = { l1Hits: 0, l2Hits: 0, misses: 0, promotions: 0 };
+  }
+
+  /**
+   * Time a first-tier copy may live
+   * @param {Object} value - Cache entry
+   * @param {number} ttl - Requested time to live
+   * @returns {number} Time to live in milliseconds
+   */
+  getL1Ttl(value, ttl) {
+    return this.l1Ttl ? Math.min(ttl, this.l1Ttl) : ttl;
+  }
+
+  async get(key) {
+    const local = await this.l1.get(key);
+    if (local) {
+      this.stats.l1Hits++;
+      return local;
+    }
+
+    const shared = await this.l2.get(key);
+    if (!shared) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.l2Hits++;
+    const remaining = (shared.staleUntil || shared.expires || 0) - Date.now();
+    if (remaining > 0) {
+      await this.l1.set(key, shared, this.getL1Ttl(shared, remaining));
+      this.stats.promotions++;
+    }
+    return shared;
+  }
+
+  async set(key, value, ttl) {
+    const stored = await this.l2.set(key, value, ttl);
+    if (stored) {
+      await this.l1.set(key, value, this.getL1Ttl(value, ttl));
+    }
+    return stored;
+  }
+
+  async delete(key) {
+    const [local, shared] = await Promise.all([this.l1.delete(key), this.l2.delete(key)]);
+    return local || shared;
+  }
+
+  async clear() {
+    const [local, shared] = await Promise.all([this.l1.clear(), this.l2.clear()]);
+    return local && shared;
+  }
+
+  async size() {
+    return await this.l2.size();
+  }
+
+  async keys() {
+    return await this.l2.keys();
+  }
+
+  /**
+   * Apply CacheManager's limits to the first tier; the second tier keeps
+   * its own (e.g. a FileStore disk quota)
+   * @param {Object} options - { strategy, maxEntries, maxBytes }
+   */
+  configureEviction(options) {
+    if (this.l1.configureEviction) {
+      this.l1.configureEviction(options);
+    }
+  }
+
+  setEvictionListener(listener) {
+    if (this.l1.setEvictionListener) {
+      this.l1.setEvictionListener(eviction => listener({ ...eviction, tier: 'l1' }));
+    }
+    if (this.l2.setEvictionListener) {
+      this.l2.setEvictionListener(eviction => listener({ ...eviction, tier: 'l2' }));
+    }
+  }
+
+  async addToTag(tag, key, ttl) {
+    await this.l2.addToTag(tag, key, ttl);
+    if (this.l1.addToTag) {
+      await this.l1.addToTag(tag, key, ttl);
+    }
+  }
+
+  async getTagMembers(tag) {
+    const members = await this.l2.getTagMembers(tag);
+    const local = this.l1.getTagMembers ? await this.l1.getTagMembers(tag) : [];
+    return Array.from(new Set([...members, ...local]));
+  }
+
+  async deleteTag(tag) {
+    await this.l2.deleteTag(tag);
+    if (this.l1.deleteTag) {
+      await this.l1.deleteTag(tag);
+    }
+  }
+
+  /**
+   * Delete matching keys from both tiers
+   * First-tier copies held by other processes live until their l1Ttl
+   * @param {string} pattern - Key pattern
+   * @returns {Promise<number>} Number of deleted second-tier entries
+   */
+  async deleteMatching(pattern) {
+    if (this.l1.deleteMatching) {
+      await this.l1.deleteMatching(pattern);
+    }
+    return await this.l2.deleteMatching(pattern);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      l1: this.l1.getStats ? this.l1.getStats() : {},
+      l2: this.l2.getStats ? this.l2.getStats() : {}
+    };
   }
 }
 
@@ -467,13 +1431,40 @@ class FileStore {
 // // Delete cache
 // await cache.delete('user:123');
 // 
+// // Memory in front of Redis, serving stale values for a minute while refreshing
+// const tiered = new CacheManager({
+//   store: new MemoryStore(),
+//   l2: new RedisStore(redisClient),
+//   l1Ttl: 30 * 1000,
+//   staleWhileRevalidate: 60 * 1000,
+//   earlyExpiration: 1
+// });
+// const report = await tiered.getOrSet('report:daily', buildReport);
+// 
+// // Bounded by bytes, evicting the least frequently used entries, over a 1 GB disk cache
+// const bounded = new CacheManager({
+//   strategy: 'lfu',
+//   maxBytes: 50 * 1024 * 1024,
+//   l2: new FileStore('./cache', { maxBytes: 1024 * 1024 * 1024 })
+// });
+// bounded.on('evict', ({ key, reason, tier }) => console.log(`Evicted ${key} from ${tier} (${reason})`));
+// 
+// // Invalidate by tag or key pattern after a profile update
+// await cache.set('user:42:profile', profile, { tags: ['user:42'] });
+// await cache.set('feed:home:42', feed, { tags: ['user:42'] });
+// await cache.invalidateTag('user:42');
+// await cache.invalidatePattern('user:42:*');
+// 
 // // Get statistics
 // const stats = cache.getStats();
 // console.log('Hit rate:', stats.hitRate + '%');
 
 module.exports = {
   CacheManager,
+  EvictionPolicy,
+  EVICTION_STRATEGIES,
   MemoryStore,
   RedisStore,
-  FileStore
+  FileStore,
+  TieredStore
 };
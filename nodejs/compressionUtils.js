@@ -126,6 +126,44 @@ const decompressFile = async (inputPath, outputPath, algorithm = 'gzip') => {
   }
 };
 
+const compressors = {
+  gzip: zlib.createGzip,
+  deflate: zlib.createDeflate,
+  brotli: zlib.createBrotliCompress
+};
+
+const decompressors = {
+  gzip: zlib.createGunzip,
+  deflate: zlib.createInflate,
+  brotli: zlib.createBrotliDecompress
+};
+
+/**
+ * Create a compressing transform stream, for piping data that isn't in a file
+ * @param {string} algorithm - Compression algorithm (gzip, deflate, brotli)
+ * @param {Object} options - zlib options
+ * @returns {Transform} Compressing stream
+ */
+const createCompressor = (algorithm = 'gzip', options = {}) => {
+  if (!compressors[algorithm]) {
+    throw new Error(`Unsupported compression algorithm: ${algorithm}`);
+  }
+  return compressors[algorithm](options);
+};
+
+/**
+ * Create a decompressing transform stream
+ * @param {string} algorithm - Decompression algorithm (gzip, deflate, brotli)
+ * @param {Object} options - zlib options
+ * @returns {Transform} Decompressing stream
+ */
+const createDecompressor = (algorithm = 'gzip', options = {}) => {
+  if (!decompressors[algorithm]) {
+    throw new Error(`Unsupported decompression algorithm: ${algorithm}`);
+  }
+  return decompressors[algorithm](options);
+};
+
 /**
  * Stream compression
  * @param {string} inputPath - Input file path
@@ -135,13 +173,7 @@ const decompressFile = async (inputPath, outputPath, algorithm = 'gzip') => {
  */
 const compressStream = async (inputPath, outputPath, algorithm = 'gzip') => {
   return new Promise((resolve, reject) => {
-    const algorithms = {
-      gzip: zlib.createGzip,
-      deflate: zlib.createDeflate,
-      brotli: zlib.createBrotliCompress
-    };
-
-    const createCompress = algorithms[algorithm];
+    const createCompress = compressors[algorithm];
     if (!createCompress) {
       reject(new Error(`Unsupported compression algorithm: ${algorithm}`));
       return;
@@ -192,13 +224,7 @@ const compressStream = async (inputPath, outputPath, algorithm = 'gzip') => {
  */
 const decompressStream = async (inputPath, outputPath, algorithm = 'gzip') => {
   return new Promise((resolve, reject) => {
-    const algorithms = {
-      gzip: zlib.createGunzip,
-      deflate: zlib.createInflate,
-      brotli: zlib.createBrotliDecompress
-    };
-
-    const createDecompress = algorithms[algorithm];
+    const createDecompress = decompressors[algorithm];
     if (!createDecompress) {
       reject(new Error(`Unsupported decompression algorithm: ${algorithm}`));
       return;
@@ -453,6 +479,8 @@ module.exports = {
   decompressFile,
   compressStream,
   decompressStream,
+  createCompressor,
+  createDecompressor,
   createArchive,
   extractArchive,
   getCompressionStats,
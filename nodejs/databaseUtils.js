@@ -4,10 +4,160 @@
  */
 
 const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const stream = require('stream');
+const requestContext = require('./requestContext');
+const { trace } = require('./tracing');
+const { createCompressor, createDecompressor } = require('./compressionUtils');
+
+/**
+ * Normalize a parameter value into something SQLite can bind
+ * @param {*} value - Parameter value
+ * @returns {*} Bindable value
+ */
+const toSqliteValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Check whether a prepared statement produces rows
+ * @param {Object} statement - Prepared statement
+ * @param {string} sql - Statement text
+ * @returns {boolean} True for reads
+ */
+const returnsRows = (statement, sql) => {
+  // better-sqlite3 knows; node:sqlite statements don't expose it
+  if (typeof statement.reader === 'boolean') {
+    return statement.reader;
+  }
+  return /^\s*(SELECT|PRAGMA|WITH|EXPLAIN|VALUES)\b|\bRETURNING\b/i.test(sql);
+};
+
+/**
+ * Single SQLite connection implementing the driver connection interface
+ */
+class SqliteConnection {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Run a single statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<Array>} [rows, fields] for reads, [{ affectedRows, insertId }] for writes
+   */
+  async query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    const values = params.map(toSqliteValue);
+
+    if (returnsRows(statement, sql)) {
+      const rows = statement.all(...values).map(row => ({ ...row }));
+      return [rows, []];
+    }
+
+    const info = statement.run(...values);
+    return [{
+      affectedRows: info.changes,
+      insertId: Number(info.lastInsertRowid)
+    }, undefined];
+  }
+
+  /**
+   * Run a script containing several statements
+   * @param {string} sql - SQL script
+   */
+  async exec(sql) {
+    this.db.exec(sql);
+  }
+
+  async beginTransaction() {
+    this.db.exec('BEGIN');
+  }
+
+  async commit() {
+    this.db.exec('COMMIT');
+  }
+
+  async rollback() {
+    this.db.exec('ROLLBACK');
+  }
+
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * SQLite driver adapter
+ * Uses better-sqlite3 by default; any module exposing the same synchronous
+ * Database API (e.g. node:sqlite's DatabaseSync) can be passed as `module`
+ */
+class SqliteDriver {
+  constructor(options = {}) {
+    this.options = {
+      filename: ':memory:',
+      busyTimeout: 5000,
+      wal: true,
+      module: null,
+      ...options
+    };
+
+    this.dialect = 'sqlite';
+    this.inMemory = this.options.filename === ':memory:' || this.options.filename === '';
+    // Each in-memory connection would open its own empty database
+    this.maxConnections = this.inMemory ? 1 : Infinity;
+  }
+
+  /**
+   * Open a new connection
+   * @returns {Promise<SqliteConnection>} Driver connection
+   */
+  async connect() {
+    const Database = this.options.module || require('better-sqlite3');
+    const db = new Database(this.options.filename);
+
+    db.exec(`PRAGMA busy_timeout = ${Number(this.options.busyTimeout) || 0}`);
+    if (this.options.wal && !this.inMemory) {
+      db.exec('PRAGMA journal_mode = WAL');
+    }
+
+    return new SqliteConnection(db);
+  }
+}
+
+const databaseDrivers = new Map([
+  ['sqlite', (options) => new SqliteDriver(options)]
+]);
+
+/**
+ * Register a driver factory so it can be selected by name in `initialize()`
+ * @param {string} name - Driver name
+ * @param {Function} factory - Receives the driver options, returns a driver
+ */
+const registerDatabaseDriver = (name, factory) => {
+  databaseDrivers.set(name, factory);
+};
 
 /**
  * Database connection pool manager
  * Manages multiple database connections with pooling and health checks
+ *
+ * A driver is any object with `connect()` resolving to a connection that
+ * implements `query(sql, params)`, `beginTransaction()`, `commit()`,
+ * `rollback()`, `ping()` and `close()`. It may also declare `dialect` and
+ * `maxConnections` (a hard cap the pool will respect).
  */
 class DatabasePoolManager {
   constructor(config = {}) {
@@ -20,28 +170,57 @@ class DatabasePoolManager {
       ...config
     };
     
-    this.pool = null;
+    this.driver = null;
+    this.dbSystem = null;
     this.connections = new Map();
+    this.idleConnections = [];
+    this.waitingRequests = [];
+    this.pendingConnections = 0;
+    this.nextConnectionId = 1;
+    this.closing = false;
+    this.counters = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      timeouts: 0
+    };
     this.healthCheckInterval = null;
+    this.idleCheckInterval = null;
     this.eventEmitter = new EventEmitter();
   }
 
   /**
    * Initialize database pool
    * @param {Object} dbConfig - Database configuration
+   * @param {string|Object} dbConfig.driver - Registered driver name or driver instance
    * @returns {Promise<void>}
    */
-  async initialize(dbConfig) {
+  async initialize(dbConfig = {}) {
+    const { driver = 'sqlite', ...driverOptions } = dbConfig;
+
     try {
-      // This is a placeholder - implement with your database driver
-      // Example for MySQL2:
-      // const mysql = require('mysql2/promise');
-      // this.pool = mysql.createPool({
-      //   ...dbConfig,
-      //   ...this.config
-      // });
+      this.dbSystem = typeof driver === 'string' ? driver : (driver.name || 'other_sql');
+      if (typeof driver === 'string') {
+        const factory = databaseDrivers.get(driver);
+        if (!factory) {
+          throw new Error(`Unknown database driver: ${driver}`);
+        }
+        this.driver = factory(driverOptions);
+      } else {
+        this.driver = driver;
+      }
+
+      this.closing = false;
+      this.config.maxConnections = Math.max(
+        1,
+        Math.min(this.config.maxConnections, this.driver.maxConnections || Infinity)
+      );
+      this.config.minConnections = Math.min(this.config.minConnections, this.config.maxConnections);
+
+      await this.ensureMinConnections();
 
       this.startHealthCheck();
+      this.startIdleCheck();
       this.eventEmitter.emit('pool:initialized');
     } catch (error) {
       this.eventEmitter.emit('pool:error', error);
@@ -50,28 +229,149 @@ class DatabasePoolManager {
   }
 
   /**
-   * Get connection from pool
+   * Open a new connection through the driver
    * @returns {Promise<Object>} Database connection
    */
-  async getConnection() {
-    if (!this.pool) {
-      throw new Error('Database pool not initialized');
-    }
+  async createConnection() {
+    this.pendingConnections++;
 
     try {
-      const connection = await this.pool.getConnection();
-      this.connections.set(connection.id, {
+      const connection = await this.driver.connect();
+      const id = this.nextConnectionId++;
+      const now = Date.now();
+
+      connection.id = id;
+      connection.release = () => this.releaseConnection(connection);
+
+      this.connections.set(id, {
         connection,
-        acquiredAt: Date.now(),
-        lastUsed: Date.now()
+        createdAt: now,
+        acquiredAt: null,
+        lastUsed: now,
+        inUse: false
       });
+      this.counters.created++;
 
-      this.eventEmitter.emit('connection:acquired', connection.id);
+      this.eventEmitter.emit('connection:created', id);
       return connection;
+    } finally {
+      this.pendingConnections--;
+    }
+  }
+
+  /**
+   * Close a connection and forget about it
+   * @param {number} id - Connection ID
+   */
+  async destroyConnection(id) {
+    const connectionInfo = this.connections.get(id);
+    if (!connectionInfo) return;
+
+    this.connections.delete(id);
+    this.idleConnections = this.idleConnections.filter(idleId => idleId !== id);
+    this.counters.destroyed++;
+
+    try {
+      await connectionInfo.connection.close();
     } catch (error) {
       this.eventEmitter.emit('connection:error', error);
-      throw error;
     }
+
+    this.eventEmitter.emit('connection:destroyed', id);
+  }
+
+  /**
+   * Open connections until the configured minimum is reached
+   */
+  async ensureMinConnections() {
+    while (
+      this.driver &&
+      !this.closing &&
+      this.connections.size + this.pendingConnections < this.config.minConnections
+    ) {
+      const connection = await this.createConnection();
+      this.makeAvailable(connection.id);
+    }
+  }
+
+  /**
+   * Mark a connection as in use
+   * @param {number} id - Connection ID
+   * @returns {Object} Database connection
+   */
+  checkout(id) {
+    const connectionInfo = this.connections.get(id);
+    const now = Date.now();
+
+    connectionInfo.inUse = true;
+    connectionInfo.acquiredAt = now;
+    connectionInfo.lastUsed = now;
+    this.counters.acquired++;
+
+    this.eventEmitter.emit('connection:acquired', id);
+    return connectionInfo.connection;
+  }
+
+  /**
+   * Hand a free connection to the oldest waiter, or park it as idle
+   * @param {number} id - Connection ID
+   */
+  makeAvailable(id) {
+    const waiter = this.waitingRequests.shift();
+
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.checkout(id));
+      return;
+    }
+
+    const connectionInfo = this.connections.get(id);
+    connectionInfo.inUse = false;
+    connectionInfo.lastUsed = Date.now();
+    this.idleConnections.push(id);
+  }
+
+  /**
+   * Get connection from pool
+   * @returns {Promise<Object>} Database connection
+   */
+  async getConnection() {
+    if (!this.driver || this.closing) {
+      throw new Error('Database pool not initialized');
+    }
+
+    // Most recently used first, so surplus connections go idle and get evicted
+    const idleId = this.idleConnections.pop();
+    if (idleId !== undefined) {
+      return this.checkout(idleId);
+    }
+
+    if (this.connections.size + this.pendingConnections < this.config.maxConnections) {
+      try {
+        const connection = await this.createConnection();
+        return this.checkout(connection.id);
+      } catch (error) {
+        this.eventEmitter.emit('connection:error', error);
+        throw error;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      waiter.timer = setTimeout(() => {
+        this.waitingRequests = this.waitingRequests.filter(pending => pending !== waiter);
+        this.counters.timeouts++;
+
+        const error = new Error(
+          `Timed out acquiring connection after ${this.config.acquireTimeout}ms`
+        );
+        this.eventEmitter.emit('connection:error', error);
+        reject(error);
+      }, this.config.acquireTimeout);
+
+      this.waitingRequests.push(waiter);
+    });
   }
 
   /**
@@ -83,11 +383,16 @@ class DatabasePoolManager {
 
     try {
       const connectionInfo = this.connections.get(connection.id);
-      if (connectionInfo) {
-        connectionInfo.lastUsed = Date.now();
-        await connection.release();
-        this.connections.delete(connection.id);
-        this.eventEmitter.emit('connection:released', connection.id);
+      if (!connectionInfo || !connectionInfo.inUse) return;
+
+      connectionInfo.inUse = false;
+      connectionInfo.lastUsed = Date.now();
+      this.eventEmitter.emit('connection:released', connection.id);
+
+      if (this.closing) {
+        await this.destroyConnection(connection.id);
+      } else {
+        this.makeAvailable(connection.id);
       }
     } catch (error) {
       this.eventEmitter.emit('connection:release-error', error);
@@ -101,18 +406,36 @@ class DatabasePoolManager {
    * @returns {Promise<Object>} Query result
    */
   async executeQuery(query, params = []) {
-    const connection = await this.getConnection();
-    
-    try {
-      const result = await connection.query(query, params);
-      this.eventEmitter.emit('query:executed', { query, params, result });
-      return result;
-    } catch (error) {
-      this.eventEmitter.emit('query:error', { query, params, error });
-      throw error;
-    } finally {
-      await this.releaseConnection(connection);
-    }
+    const operation = query.trim().split(/\s+/)[0].toUpperCase();
+    const spanOptions = {
+      kind: 'CLIENT',
+      attributes: {
+        'db.system': this.dbSystem,
+        'db.operation.name': operation,
+        'db.query.text': query.length > 2000 ? `${query.slice(0, 2000)}...` : query
+      }
+    };
+
+    return trace(`db ${operation}`, spanOptions, async (span) => {
+      const connection = await this.getConnection();
+      const startTime = Date.now();
+      
+      try {
+        const result = await connection.query(query, params);
+        const duration = Date.now() - startTime;
+        if (Array.isArray(result) && Array.isArray(result[0])) {
+          span.setAttribute('db.response.returned_rows', result[0].length);
+        }
+        this.eventEmitter.emit('query:executed', { query, params, result, duration });
+        return result;
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        this.eventEmitter.emit('query:error', { query, params, error, duration });
+        throw error;
+      } finally {
+        await this.releaseConnection(connection);
+      }
+    });
   }
 
   /**
@@ -150,21 +473,83 @@ class DatabasePoolManager {
         this.eventEmitter.emit('health:check-failed', error);
       }
     }, 30000); // Check every 30 seconds
+    this.healthCheckInterval.unref();
+  }
+
+  /**
+   * Start evicting connections that sat idle longer than idleTimeout
+   */
+  startIdleCheck() {
+    this.idleCheckInterval = setInterval(async () => {
+      try {
+        await this.evictIdleConnections();
+      } catch (error) {
+        this.eventEmitter.emit('pool:error', error);
+      }
+    }, Math.min(this.config.idleTimeout, 10000));
+    this.idleCheckInterval.unref();
+  }
+
+  /**
+   * Close idle connections past idleTimeout, keeping minConnections open
+   * @returns {Promise<number>} Number of evicted connections
+   */
+  async evictIdleConnections() {
+    const now = Date.now();
+    const expired = this.idleConnections.filter(id =>
+      now - this.connections.get(id).lastUsed > this.config.idleTimeout
+    );
+
+    let evicted = 0;
+    for (const id of expired) {
+      if (this.connections.size <= this.config.minConnections) break;
+
+      await this.destroyConnection(id);
+      this.eventEmitter.emit('connection:evicted', id);
+      evicted++;
+    }
+
+    return evicted;
   }
 
   /**
    * Check pool health
+   * @returns {Promise<Object>} Health status with current pool statistics
    */
   async checkPoolHealth() {
-    if (!this.pool) return;
+    if (!this.driver) {
+      return {
+        healthy: false,
+        error: 'Database pool not initialized',
+        ...this.getPoolStats()
+      };
+    }
+
+    const startTime = Date.now();
 
     try {
       const connection = await this.getConnection();
-      await connection.ping();
-      await this.releaseConnection(connection);
-      this.eventEmitter.emit('health:check-passed');
+      try {
+        await connection.ping();
+      } finally {
+        await this.releaseConnection(connection);
+      }
+
+      const health = {
+        healthy: true,
+        latency: Date.now() - startTime,
+        ...this.getPoolStats()
+      };
+      this.eventEmitter.emit('health:check-passed', health);
+      return health;
     } catch (error) {
       this.eventEmitter.emit('health:check-failed', error);
+      return {
+        healthy: false,
+        latency: Date.now() - startTime,
+        error: error.message,
+        ...this.getPoolStats()
+      };
     }
   }
 
@@ -173,347 +558,2298 @@ class DatabasePoolManager {
    * @returns {Object} Pool statistics
    */
   getPoolStats() {
+    const idleConnections = this.idleConnections.length;
+
     return {
       totalConnections: this.connections.size,
+      activeConnections: this.connections.size - idleConnections,
+      idleConnections,
+      pendingConnections: this.pendingConnections,
+      waitingRequests: this.waitingRequests.length,
       maxConnections: this.config.maxConnections,
       minConnections: this.config.minConnections,
-      idleConnections: Array.from(this.connections.values()).filter(
-        conn => Date.now() - conn.lastUsed > this.config.idleTimeout
-      ).length
+      ...this.counters
     };
   }
 
   /**
    * Close pool and cleanup
+   * Idle connections close immediately, busy ones as they are released
    */
   async close() {
     if (this.healthCheckInterval) {
       clearInterval(this.healthCheckInterval);
     }
 
-    if (this.pool) {
-      await this.pool.end();
+    if (this.idleCheckInterval) {
+      clearInterval(this.idleCheckInterval);
+    }
+
+    this.closing = true;
+
+    for (const waiter of this.waitingRequests) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Database pool closed'));
+    }
+    this.waitingRequests = [];
+
+    for (const id of [...this.idleConnections]) {
+      await this.destroyConnection(id);
+    }
+
+    if (this.driver && typeof this.driver.end === 'function') {
+      await this.driver.end();
     }
 
     this.eventEmitter.emit('pool:closed');
   }
 }
 
+const CONDITION_OPERATORS = new Set([
+  '=', '!=', '<>', '<', '<=', '>', '>=',
+  'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE'
+]);
+
+// Quoted strings and identifiers, escaped marks and placeholders, in that order
+const RAW_PLACEHOLDER_PATTERN = /'(?:[^']|'')*'|"(?:[^"]|"")*"|\\\?|\?/g;
+
+/**
+ * Raw SQL fragment that the query builder inserts verbatim
+ * `?` marks inside the fragment are bound to `params` in order. Marks inside
+ * quoted strings or identifiers are left alone, and `\\?` is a literal `?`
+ * (e.g. Postgres jsonb operators: `QueryBuilder.raw('data \\?| ?', [keys])`).
+ */
+class RawExpression {
+  constructor(sql, params = []) {
+    this.sql = sql;
+    this.params = params;
+  }
+}
+
+let selectExpressionWarned = false;
+
+/**
+ * Warn once per process that select() was given an unquoted expression
+ * @param {string} expression - Selected expression
+ */
+const warnSelectExpression = (expression) => {
+  if (selectExpressionWarned) return;
+  selectExpressionWarned = true;
+  process.emitWarning(
+    `QueryBuilder.select() received the expression "${expression}"; `
+      + 'pass expressions as QueryBuilder.raw() instead',
+    { type: 'DeprecationWarning', code: 'QUERYBUILDER_SELECT_EXPRESSION' }
+  );
+};
+
+/**
+ * SQL dialects understood by QueryBuilder
+ * Each one decides placeholder style, identifier quoting, boolean literals,
+ * RETURNING support and upsert syntax
+ */
+const SQL_DIALECTS = {
+  postgres: {
+    name: 'postgres',
+    quote: '"',
+    placeholder: index => `$${index}`,
+    booleanLiteral: value => (value ? 'TRUE' : 'FALSE'),
+    supportsReturning: true,
+    upsert: 'on-conflict',
+    // OFFSET is valid on its own
+    limitWithoutBound: null
+  },
+  mysql: {
+    name: 'mysql',
+    quote: '`',
+    placeholder: () => '?',
+    booleanLiteral: value => (value ? '1' : '0'),
+    supportsReturning: false,
+    upsert: 'on-duplicate-key',
+    // MySQL has no OFFSET without LIMIT; this is its documented "no limit"
+    limitWithoutBound: '18446744073709551615'
+  },
+  sqlite: {
+    name: 'sqlite',
+    quote: '"',
+    placeholder: () => '?',
+    booleanLiteral: value => (value ? '1' : '0'),
+    supportsReturning: true,
+    upsert: 'on-conflict',
+    limitWithoutBound: '-1'
+  }
+};
+
+/**
+ * Look up a dialect by name, or accept a custom dialect object
+ * @param {string|Object} dialect - Dialect name or definition
+ * @returns {Object} Dialect definition
+ */
+const resolveDialect = (dialect) => {
+  if (dialect && typeof dialect === 'object') {
+    return dialect;
+  }
+
+  const name = dialect === 'postgresql' || dialect === 'pg' ? 'postgres' : dialect;
+  if (!SQL_DIALECTS[name]) {
+    throw new Error(`Unsupported SQL dialect: ${dialect}`);
+  }
+  return SQL_DIALECTS[name];
+};
+
+/**
+ * Quote an identifier, keeping `table.column`, `*` and `name as alias` intact
+ * @param {string} identifier - Column or table reference
+ * @param {Object} dialect - Dialect definition
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (identifier, dialect = SQL_DIALECTS.sqlite) => {
+  const aliasMatch = String(identifier).match(/^(.+?)\s+as\s+(.+)$/i);
+  if (aliasMatch) {
+    return `${quoteIdentifier(aliasMatch[1].trim(), dialect)} AS ${quoteIdentifier(aliasMatch[2].trim(), dialect)}`;
+  }
+
+  const { quote } = dialect;
+  return String(identifier)
+    .split('.')
+    .map(part => (part === '*' ? part : `${quote}${part.split(quote).join(quote + quote)}${quote}`))
+    .join('.');
+};
+
 /**
  * Query builder for dynamic SQL generation
+ * Every value is bound as a parameter and every identifier is quoted
  */
 class QueryBuilder {
-  constructor() {
-    this.query = '';
-    this.params = [];
+  /**
+   * @param {Object} options - Builder options
+   * @param {string|Object} options.dialect - postgres, mysql, sqlite (default) or a custom definition
+   */
+  constructor(options = {}) {
+    this.dialect = resolveDialect(options.dialect || 'sqlite');
+    this.type = 'select';
+    this.table = null;
+    this.alias = null;
+    this.columns = ['*'];
+    this.joins = [];
     this.conditions = [];
-    this.orderBy = [];
-    this.limit = null;
-    this.offset = null;
+    this.groups = [];
+    this.havingConditions = [];
+    this.orders = [];
+    this.limitValue = null;
+    this.offsetValue = null;
+    this.rows = [];
+    this.values = {};
+    this.returningColumns = [];
+    this.conflict = null;
+  }
+
+  /**
+   * Create a raw SQL fragment for use as a column, table, value or condition
+   * @param {string} sql - SQL text, with `?` for bound values
+   * @param {Array} params - Bound values
+   * @returns {RawExpression} Raw fragment
+   */
+  static raw(sql, params = []) {
+    return new RawExpression(sql, params);
   }
 
   /**
    * Select fields
+   * Strings are column names (`table.column`, `column as alias`) and are
+   * always quoted; aggregates and other expressions should be passed as
+   * `QueryBuilder.raw('count(*) AS n')`. A string with parentheses is still
+   * inserted verbatim, as it always was, with a one-time deprecation warning.
    * @param {string|Array} fields - Fields to select
    * @returns {QueryBuilder} Query builder instance
    */
   select(fields = '*') {
-    const fieldList = Array.isArray(fields) ? fields.join(', ') : fields;
-    this.query = `SELECT ${fieldList}`;
+    const isExpression = field => typeof field === 'string' && /[()]/.test(field);
+    const toRaw = (field) => {
+      warnSelectExpression(field);
+      return new RawExpression(field);
+    };
+
+    let columns;
+    if (isExpression(fields)) {
+      // The whole list, since commas inside the expression can't be split on
+      columns = [toRaw(fields)];
+    } else {
+      columns = (Array.isArray(fields)
+        ? fields
+        : typeof fields === 'string'
+          ? fields.split(',').map(field => field.trim())
+          : [fields]
+      ).map(field => (isExpression(field) ? toRaw(field) : field));
+    }
+
+    this.type = 'select';
+    this.columns = columns;
     return this;
   }
 
   /**
    * From table
-   * @param {string} table - Table name
+   * @param {string|QueryBuilder} table - Table name or aliased subquery
    * @returns {QueryBuilder} Query builder instance
    */
   from(table) {
-    this.query += ` FROM ${table}`;
+    this.table = table;
     return this;
   }
 
   /**
-   * Add where condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare
+   * Alias this builder when it is used as a subquery
+   * @param {string} alias - Subquery alias
    * @returns {QueryBuilder} Query builder instance
    */
-  where(field, operator, value) {
-    this.conditions.push({ field, operator, value });
+  as(alias) {
+    this.alias = alias;
     return this;
   }
 
   /**
-   * Add AND condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare
+   * Build an INSERT statement
+   * @param {string} table - Table name
+   * @param {Object|Array} rows - Row or rows to insert
    * @returns {QueryBuilder} Query builder instance
    */
-  andWhere(field, operator, value) {
-    return this.where(field, operator, value);
+  insert(table, rows) {
+    this.type = 'insert';
+    this.table = table;
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
   }
 
   /**
-   * Add OR condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare
+   * Build an UPDATE statement
+   * @param {string} table - Table name
+   * @param {Object} values - Column/value pairs to set
    * @returns {QueryBuilder} Query builder instance
    */
-  orWhere(field, operator, value) {
-    this.conditions.push({ field, operator, value, type: 'OR' });
+  update(table, values) {
+    this.type = 'update';
+    this.table = table;
+    this.values = values;
     return this;
   }
 
   /**
-   * Add order by clause
-   * @param {string} field - Field name
-   * @param {string} direction - Sort direction (ASC/DESC)
+   * Build a DELETE statement
+   * @param {string} table - Table name
    * @returns {QueryBuilder} Query builder instance
    */
-  orderBy(field, direction = 'ASC') {
-    this.orderBy.push({ field, direction });
+  delete(table) {
+    this.type = 'delete';
+    if (table) {
+      this.table = table;
+    }
     return this;
   }
 
   /**
-   * Add limit clause
-   * @param {number} limit - Number of records to limit
+   * Return columns from an INSERT, UPDATE or DELETE
+   * @param {string|Array} columns - Columns to return
    * @returns {QueryBuilder} Query builder instance
    */
-  limit(limit) {
-    this.limit = limit;
+  returning(columns = '*') {
+    this.returningColumns = Array.isArray(columns) ? columns : [columns];
     return this;
   }
 
   /**
-   * Add offset clause
-   * @param {number} offset - Number of records to offset
+   * Start an upsert clause for an INSERT
+   * Follow with `.merge()` to update the existing row or `.ignore()` to skip it.
+   * MySQL resolves conflicts on any unique key, so the columns are only used
+   * by Postgres and SQLite.
+   * @param {string|Array} columns - Conflict target columns
    * @returns {QueryBuilder} Query builder instance
    */
-  offset(offset) {
-    this.offset = offset;
+  onConflict(columns = []) {
+    this.conflict = {
+      columns: Array.isArray(columns) ? columns : [columns],
+      action: 'ignore',
+      merge: null
+    };
     return this;
   }
 
   /**
-   * Build the final query
-   * @returns {Object} Query and parameters
+   * Update the conflicting row instead of inserting
+   * @param {Array|Object} values - Columns to copy from the inserted row, or column/value pairs;
+   *   defaults to every inserted column outside the conflict target
+   * @returns {QueryBuilder} Query builder instance
    */
-  build() {
-    let finalQuery = this.query;
-    let paramIndex = 0;
-
-    // Add WHERE conditions
-    if (this.conditions.length > 0) {
-      const whereClauses = this.conditions.map((condition, index) => {
-        const paramName = `param${paramIndex++}`;
-        this.params.push(condition.value);
-        
-        const prefix = index === 0 ? 'WHERE' : condition.type || 'AND';
-        return `${prefix} ${condition.field} ${condition.operator} ?`;
-      });
-      
-      finalQuery += ' ' + whereClauses.join(' ');
+  merge(values = null) {
+    if (!this.conflict) {
+      throw new Error('merge() must follow onConflict()');
     }
+    this.conflict.action = 'merge';
+    this.conflict.merge = values;
+    return this;
+  }
 
-    // Add ORDER BY
-    if (this.orderBy.length > 0) {
-      const orderClauses = this.orderBy.map(order => 
-        `${order.field} ${order.direction}`
-      );
-      finalQuery += ` ORDER BY ${orderClauses.join(', ')}`;
+  /**
+   * Skip rows that conflict
+   * @returns {QueryBuilder} Query builder instance
+   */
+  ignore() {
+    if (!this.conflict) {
+      throw new Error('ignore() must follow onConflict()');
     }
+    this.conflict.action = 'ignore';
+    return this;
+  }
 
-    // Add LIMIT
-    if (this.limit !== null) {
-      finalQuery += ` LIMIT ${this.limit}`;
-    }
+  /**
+   * Add join clause
+   * @param {string|QueryBuilder} table - Table name or aliased subquery
+   * @param {string|Function} first - Left column, or callback building the ON conditions
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @param {string} type - Join type (INNER, LEFT, RIGHT)
+   * @returns {QueryBuilder} Query builder instance
+   */
+  join(table, first, operator, second, type = 'INNER') {
+    let conditions;
 
-    // Add OFFSET
-    if (this.offset !== null) {
-      finalQuery += ` OFFSET ${this.offset}`;
+    if (typeof first === 'function') {
+      const nested = new QueryBuilder();
+      first(nested);
+      conditions = nested.conditions;
+    } else {
+      if (second === undefined) {
+        second = operator;
+        operator = '=';
+      }
+      conditions = [this.createColumnCondition(first, operator, second, 'AND')];
     }
 
+    this.joins.push({ type, table, conditions });
+    return this;
+  }
+
+  /**
+   * Add left join clause
+   * @param {string|QueryBuilder} table - Table name or aliased subquery
+   * @param {string|Function} first - Left column, or callback building the ON conditions
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @returns {QueryBuilder} Query builder instance
+   */
+  leftJoin(table, first, operator, second) {
+    return this.join(table, first, operator, second, 'LEFT');
+  }
+
+  /**
+   * Add right join clause
+   * @param {string|QueryBuilder} table - Table name or aliased subquery
+   * @param {string|Function} first - Left column, or callback building the ON conditions
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @returns {QueryBuilder} Query builder instance
+   */
+  rightJoin(table, first, operator, second) {
+    return this.join(table, first, operator, second, 'RIGHT');
+  }
+
+  /**
+   * Validate an operator before it is written into the query
+   * @param {string} operator - Comparison operator
+   * @returns {string} Normalized operator
+   */
+  normalizeOperator(operator) {
+    const normalized = String(operator).trim().toUpperCase();
+    if (!CONDITION_OPERATORS.has(normalized)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Create a column-to-column condition
+   * @param {string} first - Left column
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @param {string} boolean - AND/OR
+   * @returns {Object} Condition
+   */
+  createColumnCondition(first, operator, second, boolean) {
+    return {
+      type: 'column',
+      first,
+      operator: this.normalizeOperator(operator),
+      second,
+      boolean
+    };
+  }
+
+  /**
+   * Push a condition, or a nested group when given a callback
+   * @param {Array} target - Condition list (WHERE or HAVING)
+   * @param {Array} args - Arguments as passed to where()/having()
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  addCondition(target, args, boolean) {
+    let [field, operator, value] = args;
+
+    if (typeof field === 'function') {
+      const nested = new QueryBuilder();
+      field(nested);
+      if (nested.conditions.length > 0) {
+        target.push({ type: 'group', conditions: nested.conditions, boolean });
+      }
+      return this;
+    }
+
+    if (args.length === 2) {
+      value = operator;
+      operator = '=';
+    }
+
+    target.push({
+      type: 'basic',
+      field,
+      operator: this.normalizeOperator(operator),
+      value,
+      boolean
+    });
+    return this;
+  }
+
+  /**
+   * Add where condition
+   * Pass a callback instead of a field to build a parenthesized group
+   * @param {string|Function} field - Field name or group callback
+   * @param {string} operator - Comparison operator
+   * @param {*} value - Value to compare, or a subquery
+   * @returns {QueryBuilder} Query builder instance
+   */
+  where(...args) {
+    return this.addCondition(this.conditions, args, 'AND');
+  }
+
+  /**
+   * Add AND condition
+   * @param {string|Function} field - Field name or group callback
+   * @param {string} operator - Comparison operator
+   * @param {*} value - Value to compare
+   * @returns {QueryBuilder} Query builder instance
+   */
+  andWhere(...args) {
+    return this.where(...args);
+  }
+
+  /**
+   * Add OR condition
+   * @param {string|Function} field - Field name or group callback
+   * @param {string} operator - Comparison operator
+   * @param {*} value - Value to compare
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhere(...args) {
+    return this.addCondition(this.conditions, args, 'OR');
+  }
+
+  /**
+   * Compare two columns (useful for join conditions and correlated subqueries)
+   * @param {string} first - Left column
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereColumn(first, operator, second) {
+    if (second === undefined) {
+      second = operator;
+      operator = '=';
+    }
+    this.conditions.push(this.createColumnCondition(first, operator, second, 'AND'));
+    return this;
+  }
+
+  /**
+   * Add OR column comparison
+   * @param {string} first - Left column
+   * @param {string} operator - Comparison operator
+   * @param {string} second - Right column
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereColumn(first, operator, second) {
+    if (second === undefined) {
+      second = operator;
+      operator = '=';
+    }
+    this.conditions.push(this.createColumnCondition(first, operator, second, 'OR'));
+    return this;
+  }
+
+  /**
+   * Add IN condition
+   * @param {string} field - Field name
+   * @param {Array|QueryBuilder} values - Values or subquery
+   * @param {boolean} not - Negate the condition
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereIn(field, values, not = false, boolean = 'AND') {
+    this.conditions.push({ type: 'in', field, values, not, boolean });
+    return this;
+  }
+
+  /**
+   * Add NOT IN condition
+   * @param {string} field - Field name
+   * @param {Array|QueryBuilder} values - Values or subquery
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereNotIn(field, values) {
+    return this.whereIn(field, values, true);
+  }
+
+  /**
+   * Add OR IN condition
+   * @param {string} field - Field name
+   * @param {Array|QueryBuilder} values - Values or subquery
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereIn(field, values) {
+    return this.whereIn(field, values, false, 'OR');
+  }
+
+  /**
+   * Add OR NOT IN condition
+   * @param {string} field - Field name
+   * @param {Array|QueryBuilder} values - Values or subquery
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereNotIn(field, values) {
+    return this.whereIn(field, values, true, 'OR');
+  }
+
+  /**
+   * Add IS NULL condition
+   * @param {string} field - Field name
+   * @param {boolean} not - Negate the condition
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereNull(field, not = false, boolean = 'AND') {
+    this.conditions.push({ type: 'null', field, not, boolean });
+    return this;
+  }
+
+  /**
+   * Add IS NOT NULL condition
+   * @param {string} field - Field name
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereNotNull(field) {
+    return this.whereNull(field, true);
+  }
+
+  /**
+   * Add OR IS NULL condition
+   * @param {string} field - Field name
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereNull(field) {
+    return this.whereNull(field, false, 'OR');
+  }
+
+  /**
+   * Add OR IS NOT NULL condition
+   * @param {string} field - Field name
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereNotNull(field) {
+    return this.whereNull(field, true, 'OR');
+  }
+
+  /**
+   * Add BETWEEN condition
+   * @param {string} field - Field name
+   * @param {Array} range - [min, max]
+   * @param {boolean} not - Negate the condition
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereBetween(field, [min, max], not = false, boolean = 'AND') {
+    this.conditions.push({ type: 'between', field, min, max, not, boolean });
+    return this;
+  }
+
+  /**
+   * Add NOT BETWEEN condition
+   * @param {string} field - Field name
+   * @param {Array} range - [min, max]
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereNotBetween(field, range) {
+    return this.whereBetween(field, range, true);
+  }
+
+  /**
+   * Add OR BETWEEN condition
+   * @param {string} field - Field name
+   * @param {Array} range - [min, max]
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereBetween(field, range) {
+    return this.whereBetween(field, range, false, 'OR');
+  }
+
+  /**
+   * Add EXISTS condition
+   * @param {QueryBuilder} subquery - Subquery
+   * @param {boolean} not - Negate the condition
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereExists(subquery, not = false, boolean = 'AND') {
+    this.conditions.push({ type: 'exists', subquery, not, boolean });
+    return this;
+  }
+
+  /**
+   * Add NOT EXISTS condition
+   * @param {QueryBuilder} subquery - Subquery
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereNotExists(subquery) {
+    return this.whereExists(subquery, true);
+  }
+
+  /**
+   * Add raw where condition
+   * @param {string} sql - SQL condition, with `?` for bound values
+   * @param {Array} params - Bound values
+   * @param {string} boolean - AND/OR
+   * @returns {QueryBuilder} Query builder instance
+   */
+  whereRaw(sql, params = [], boolean = 'AND') {
+    this.conditions.push({ type: 'raw', expression: new RawExpression(sql, params), boolean });
+    return this;
+  }
+
+  /**
+   * Add raw OR condition
+   * @param {string} sql - SQL condition, with `?` for bound values
+   * @param {Array} params - Bound values
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orWhereRaw(sql, params = []) {
+    return this.whereRaw(sql, params, 'OR');
+  }
+
+  /**
+   * Add group by clause
+   * @param {...string} fields - Fields to group by
+   * @returns {QueryBuilder} Query builder instance
+   */
+  groupBy(...fields) {
+    this.groups.push(...fields.flat());
+    return this;
+  }
+
+  /**
+   * Add having condition
+   * @param {string|RawExpression|Function} field - Field, aggregate expression or group callback
+   * @param {string} operator - Comparison operator
+   * @param {*} value - Value to compare
+   * @returns {QueryBuilder} Query builder instance
+   */
+  having(...args) {
+    return this.addCondition(this.havingConditions, args, 'AND');
+  }
+
+  /**
+   * Add OR having condition
+   * @param {string|RawExpression|Function} field - Field, aggregate expression or group callback
+   * @param {string} operator - Comparison operator
+   * @param {*} value - Value to compare
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orHaving(...args) {
+    return this.addCondition(this.havingConditions, args, 'OR');
+  }
+
+  /**
+   * Add order by clause
+   * @param {string} field - Field name
+   * @param {string} direction - Sort direction (ASC/DESC)
+   * @returns {QueryBuilder} Query builder instance
+   */
+  orderBy(field, direction = 'ASC') {
+    const normalized = String(direction).toUpperCase();
+    if (normalized !== 'ASC' && normalized !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.orders.push({ field, direction: normalized });
+    return this;
+  }
+
+  /**
+   * Add limit clause
+   * @param {number} limit - Number of records to limit
+   * @returns {QueryBuilder} Query builder instance
+   */
+  limit(limit) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+    this.limitValue = limit;
+    return this;
+  }
+
+  /**
+   * Add offset clause
+   * @param {number} offset - Number of records to offset
+   * @returns {QueryBuilder} Query builder instance
+   */
+  offset(offset) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${offset}`);
+    }
+    this.offsetValue = offset;
+    return this;
+  }
+
+  /**
+   * Compile a raw fragment, binding its parameters
+   * @param {RawExpression} expression - Raw fragment
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileRaw(expression, context) {
+    const { sql, params } = expression;
+    const placeholders = (sql.match(RAW_PLACEHOLDER_PATTERN) || []).filter(token => token === '?').length;
+    if (placeholders !== params.length) {
+      throw new Error(
+        `Raw SQL has ${placeholders} placeholder(s) but ${params.length} parameter(s): ${sql}`
+      );
+    }
+
+    let index = 0;
+    return sql.replace(RAW_PLACEHOLDER_PATTERN, (token) => {
+      if (token === '\\?') return '?';
+      return token === '?' ? this.parameter(params[index++], context) : token;
+    });
+  }
+
+  /**
+   * Bind a value and return its placeholder
+   * @param {*} value - Value to bind
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} Placeholder
+   */
+  parameter(value, context) {
+    context.params.push(value);
+    return context.dialect.placeholder(context.params.length);
+  }
+
+  /**
+   * Compile a column or table reference, raw fragment or aliased subquery
+   * @param {string|RawExpression|QueryBuilder} reference - Reference to compile
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileReference(reference, context) {
+    if (reference instanceof RawExpression) {
+      return this.compileRaw(reference, context);
+    }
+
+    if (reference instanceof QueryBuilder) {
+      const subquery = `(${reference.compile(context)})`;
+      return reference.alias ? `${subquery} AS ${quoteIdentifier(reference.alias, context.dialect)}` : subquery;
+    }
+
+    return quoteIdentifier(reference, context.dialect);
+  }
+
+  /**
+   * Compile a value: subqueries and raw fragments inline, everything else bound
+   * @param {*} value - Value to compile
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileValue(value, context) {
+    if (value instanceof RawExpression) {
+      return this.compileRaw(value, context);
+    }
+
+    if (value instanceof QueryBuilder) {
+      return `(${value.compile(context)})`;
+    }
+
+    if (typeof value === 'boolean') {
+      return context.dialect.booleanLiteral(value);
+    }
+
+    return this.parameter(value, context);
+  }
+
+  /**
+   * Compile a single condition
+   * @param {Object} condition - Condition
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileCondition(condition, context) {
+    const not = condition.not ? 'NOT ' : '';
+
+    switch (condition.type) {
+      case 'basic': {
+        const field = this.compileReference(condition.field, context);
+        if (condition.value === null && condition.operator === '=') {
+          return `${field} IS NULL`;
+        }
+        if (condition.value === null && ['!=', '<>'].includes(condition.operator)) {
+          return `${field} IS NOT NULL`;
+        }
+        return `${field} ${condition.operator} ${this.compileValue(condition.value, context)}`;
+      }
+
+      case 'column':
+        return `${this.compileReference(condition.first, context)} ${condition.operator} ${this.compileReference(condition.second, context)}`;
+
+      case 'in': {
+        const field = this.compileReference(condition.field, context);
+        if (condition.values instanceof QueryBuilder) {
+          return `${field} ${not}IN (${condition.values.compile(context)})`;
+        }
+        if (condition.values.length === 0) {
+          // IN () is a syntax error; an empty set matches nothing
+          return condition.not ? '1 = 1' : '1 = 0';
+        }
+        const placeholders = condition.values.map(value => this.compileValue(value, context));
+        return `${field} ${not}IN (${placeholders.join(', ')})`;
+      }
+
+      case 'null':
+        return `${this.compileReference(condition.field, context)} IS ${not}NULL`;
+
+      case 'between':
+        return `${this.compileReference(condition.field, context)} ${not}BETWEEN ${this.compileValue(condition.min, context)} AND ${this.compileValue(condition.max, context)}`;
+
+      case 'exists':
+        return `${not}EXISTS (${condition.subquery.compile(context)})`;
+
+      case 'group':
+        return `(${this.compileConditions(condition.conditions, context)})`;
+
+      case 'raw':
+        return this.compileRaw(condition.expression, context);
+
+      default:
+        throw new Error(`Unknown condition type: ${condition.type}`);
+    }
+  }
+
+  /**
+   * Compile a list of conditions joined by their AND/OR
+   * @param {Array} conditions - Conditions
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileConditions(conditions, context) {
+    return conditions
+      .map((condition, index) => {
+        const sql = this.compileCondition(condition, context);
+        return index === 0 ? sql : `${condition.boolean} ${sql}`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Compile the WHERE clause
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileWhere(context) {
+    return this.conditions.length > 0
+      ? ` WHERE ${this.compileConditions(this.conditions, context)}`
+      : '';
+  }
+
+  /**
+   * Compile a SELECT statement
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileSelect(context) {
+    const columns = this.columns.map(column => this.compileReference(column, context));
+    let sql = `SELECT ${columns.join(', ')}`;
+
+    if (this.table) {
+      sql += ` FROM ${this.compileReference(this.table, context)}`;
+    }
+
+    for (const join of this.joins) {
+      sql += ` ${join.type} JOIN ${this.compileReference(join.table, context)}`;
+      sql += ` ON ${this.compileConditions(join.conditions, context)}`;
+    }
+
+    sql += this.compileWhere(context);
+
+    if (this.groups.length > 0) {
+      const groups = this.groups.map(group => this.compileReference(group, context));
+      sql += ` GROUP BY ${groups.join(', ')}`;
+    }
+
+    if (this.havingConditions.length > 0) {
+      sql += ` HAVING ${this.compileConditions(this.havingConditions, context)}`;
+    }
+
+    if (this.orders.length > 0) {
+      const orderClauses = this.orders.map(order =>
+        `${this.compileReference(order.field, context)} ${order.direction}`
+      );
+      sql += ` ORDER BY ${orderClauses.join(', ')}`;
+    }
+
+    if (this.limitValue !== null) {
+      sql += ` LIMIT ${this.parameter(this.limitValue, context)}`;
+    } else if (this.offsetValue !== null && context.dialect.limitWithoutBound) {
+      sql += ` LIMIT ${context.dialect.limitWithoutBound}`;
+    }
+
+    if (this.offsetValue !== null) {
+      sql += ` OFFSET ${this.parameter(this.offsetValue, context)}`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Compile an INSERT statement
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileInsert(context) {
+    if (this.rows.length === 0) {
+      throw new Error('Insert requires at least one row');
+    }
+
+    const columns = Object.keys(this.rows[0]);
+    const values = this.rows.map(row =>
+      `(${columns.map(column => this.compileValue(row[column] === undefined ? null : row[column], context)).join(', ')})`
+    );
+
+    const { dialect } = context;
+    const ignore = this.conflict && this.conflict.action === 'ignore' && dialect.upsert === 'on-duplicate-key';
+    const sql = `INSERT ${ignore ? 'IGNORE ' : ''}INTO ${quoteIdentifier(this.table, dialect)} (${columns.map(column => quoteIdentifier(column, dialect)).join(', ')}) VALUES ${values.join(', ')}`;
+
+    return sql + this.compileConflict(columns, context) + this.compileReturning(context);
+  }
+
+  /**
+   * Compile the upsert clause for the dialect
+   * @param {Array} columns - Inserted columns
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileConflict(columns, context) {
+    if (!this.conflict) {
+      return '';
+    }
+
+    const { dialect } = context;
+    const wrap = column => quoteIdentifier(column, dialect);
+    const onDuplicateKey = dialect.upsert === 'on-duplicate-key';
+
+    if (this.conflict.action === 'ignore') {
+      if (onDuplicateKey) {
+        return '';
+      }
+      const target = this.conflict.columns.length > 0 ? ` (${this.conflict.columns.map(wrap).join(', ')})` : '';
+      return ` ON CONFLICT${target} DO NOTHING`;
+    }
+
+    const merge = this.conflict.merge ||
+      columns.filter(column => !this.conflict.columns.includes(column));
+    const assignments = Array.isArray(merge)
+      ? merge.map(column => `${wrap(column)} = ${onDuplicateKey ? `VALUES(${wrap(column)})` : `excluded.${wrap(column)}`}`)
+      : Object.entries(merge).map(([column, value]) => `${wrap(column)} = ${this.compileValue(value, context)}`);
+
+    if (assignments.length === 0) {
+      throw new Error('Upsert merge requires at least one column');
+    }
+
+    if (onDuplicateKey) {
+      return ` ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    }
+
+    if (this.conflict.columns.length === 0) {
+      throw new Error(`${dialect.name} upserts require conflict target columns`);
+    }
+
+    return ` ON CONFLICT (${this.conflict.columns.map(wrap).join(', ')}) DO UPDATE SET ${assignments.join(', ')}`;
+  }
+
+  /**
+   * Compile the RETURNING clause
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileReturning(context) {
+    if (this.returningColumns.length === 0) {
+      return '';
+    }
+
+    if (!context.dialect.supportsReturning) {
+      throw new Error(`RETURNING is not supported by the ${context.dialect.name} dialect`);
+    }
+
+    const columns = this.returningColumns.map(column => this.compileReference(column, context));
+    return ` RETURNING ${columns.join(', ')}`;
+  }
+
+  /**
+   * Compile an UPDATE statement
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileUpdate(context) {
+    const assignments = Object.entries(this.values).map(([column, value]) =>
+      `${quoteIdentifier(column, context.dialect)} = ${this.compileValue(value, context)}`
+    );
+
+    if (assignments.length === 0) {
+      throw new Error('Update requires at least one value');
+    }
+
+    return `UPDATE ${quoteIdentifier(this.table, context.dialect)} SET ${assignments.join(', ')}${this.compileWhere(context)}${this.compileReturning(context)}`;
+  }
+
+  /**
+   * Compile a DELETE statement
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compileDelete(context) {
+    return `DELETE FROM ${quoteIdentifier(this.table, context.dialect)}${this.compileWhere(context)}${this.compileReturning(context)}`;
+  }
+
+  /**
+   * Compile the statement, appending bound values to the context
+   * @param {Object} context - Dialect and values bound so far
+   * @returns {string} SQL
+   */
+  compile(context) {
+    if (this.type !== 'select' && !this.table) {
+      throw new Error(`${this.type.toUpperCase()} requires a table`);
+    }
+
+    switch (this.type) {
+      case 'insert':
+        return this.compileInsert(context);
+      case 'update':
+        return this.compileUpdate(context);
+      case 'delete':
+        return this.compileDelete(context);
+      default:
+        return this.compileSelect(context);
+    }
+  }
+
+  /**
+   * Build the final query
+   * @param {string|Object} dialect - Dialect override (defaults to the builder's own)
+   * @returns {Object} Query and parameters
+   */
+  build(dialect = this.dialect) {
+    const context = { dialect: resolveDialect(dialect), params: [] };
+    const query = this.compile(context);
+
     return {
-      query: finalQuery,
-      params: this.params
+      query,
+      params: context.params
+    };
+  }
+}
+
+/**
+ * Check whether a driver error is a unique or primary key violation
+ * (Postgres 23505, MySQL ER_DUP_ENTRY, SQLite constraint errors)
+ * @param {Error} error - Driver error
+ * @returns {boolean} True for a duplicate key
+ */
+const isUniqueViolation = (error) => (
+  error.code === '23505'
+  || error.code === 'ER_DUP_ENTRY'
+  || error.errno === 1062
+  || /^SQLITE_CONSTRAINT(_PRIMARYKEY|_UNIQUE)?$/.test(error.code)
+  || [1555, 2067].includes(error.errcode)
+  || /UNIQUE constraint failed/.test(error.message)
+);
+
+/**
+ * Check whether a driver error means the queried table doesn't exist
+ * (Postgres 42P01, MySQL ER_NO_SUCH_TABLE, SQLite "no such table")
+ * @param {Error} error - Driver error
+ * @returns {boolean} True for a missing table
+ */
+const isMissingTable = (error) => (
+  error.code === '42P01'
+  || error.code === 'ER_NO_SUCH_TABLE'
+  || error.errno === 1146
+  || /no such table/i.test(error.message)
+);
+
+/**
+ * Split a SQL migration file into its up and down sections
+ * Sections are introduced by `-- migrate:up` and `-- migrate:down`; a file
+ * without markers is treated as up-only
+ * @param {string} contents - File contents
+ * @returns {Object} { up, down }
+ */
+const parseSqlMigration = (contents) => {
+  const upMarker = /^--\s*migrate:up\s*$/im;
+  const downMarker = /^--\s*migrate:down\s*$/im;
+
+  if (!upMarker.test(contents)) {
+    return { up: contents.trim(), down: null };
+  }
+
+  const afterUp = contents.split(upMarker)[1];
+  const [up, down] = afterUp.split(downMarker);
+
+  return {
+    up: up.trim(),
+    down: down && down.trim() ? down.trim() : null
+  };
+};
+
+/**
+ * Database migration manager
+ * Migrations come from `registerMigration()` or from timestamped files
+ * (`20240101120000_create_users.sql` / `.js`) loaded with `loadMigrations()`
+ */
+class MigrationManager {
+  constructor(dbPool, options = {}) {
+    this.dbPool = dbPool;
+    this.migrations = new Map();
+    this.options = {
+      directory: null,
+      tableName: 'migrations',
+      lockTableName: 'migrations_lock',
+      lockTimeout: 60000,
+      lockRetryInterval: 500,
+      dryRun: false,
+      allowDrift: false,
+      logger: console,
+      ...options
+    };
+    this.lockOwner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * SQL dialect of the underlying pool's driver
+   * @returns {string} Dialect name
+   */
+  get dialect() {
+    return (this.dbPool.driver && this.dbPool.driver.dialect) || 'sqlite';
+  }
+
+  /**
+   * Create a query builder for the pool's dialect
+   * @returns {QueryBuilder} Query builder instance
+   */
+  queryBuilder() {
+    return new QueryBuilder({ dialect: this.dialect });
+  }
+
+  /**
+   * Register migration
+   * @param {string} name - Migration name
+   * @param {Function|string} up - Up migration function or SQL
+   * @param {Function|string} down - Down migration function or SQL
+   */
+  registerMigration(name, up, down) {
+    const checksum = crypto
+      .createHash('sha256')
+      .update(`${up}\n${down || ''}`)
+      .digest('hex');
+
+    this.migrations.set(name, { up, down, checksum, source: null });
+  }
+
+  /**
+   * Load timestamped migration files from a directory
+   * SQL files use `-- migrate:up` / `-- migrate:down` sections; JS files
+   * export `up` and `down`, each a function receiving the connection or a SQL string
+   * @param {string} directory - Migrations directory
+   * @returns {Promise<Array>} Loaded migration names
+   */
+  async loadMigrations(directory = this.options.directory) {
+    if (!directory) {
+      throw new Error('Migrations directory not configured');
+    }
+
+    const files = (await fs.readdir(directory))
+      .filter(file => /^\d{8,}_.+\.(sql|js)$/.test(file))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.resolve(directory, file);
+      const contents = await fs.readFile(filePath, 'utf8');
+      const name = file.replace(/\.(sql|js)$/, '');
+      const checksum = crypto.createHash('sha256').update(contents).digest('hex');
+
+      let steps;
+      if (file.endsWith('.sql')) {
+        steps = parseSqlMigration(contents);
+      } else {
+        delete require.cache[filePath];
+        const { up, down = null } = require(filePath);
+        steps = { up, down };
+      }
+
+      if (!steps.up) {
+        throw new Error(`Migration ${file} has no up section`);
+      }
+
+      this.migrations.set(name, { ...steps, checksum, source: filePath });
+    }
+
+    return files.map(file => file.replace(/\.(sql|js)$/, ''));
+  }
+
+  /**
+   * Create migrations table
+   */
+  async createMigrationsTable() {
+    const table = quoteIdentifier(this.options.tableName, resolveDialect(this.dialect));
+    const query = `
+      CREATE TABLE IF NOT EXISTS ${table} (
+        name VARCHAR(255) NOT NULL PRIMARY KEY,
+        checksum VARCHAR(64),
+        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    
+    await this.dbPool.executeQuery(query);
+
+    // Tables created before checksums were recorded lack the column
+    try {
+      await this.dbPool.executeQuery(`SELECT checksum FROM ${table} WHERE 1 = 0`);
+    } catch (error) {
+      await this.dbPool.executeQuery(`ALTER TABLE ${table} ADD COLUMN checksum VARCHAR(64)`);
+    }
+  }
+
+  /**
+   * Get executed migrations with their recorded checksums
+   * @returns {Promise<Array>} Rows of { name, checksum, executed_at }
+   */
+  async getAppliedMigrations() {
+    const { query, params } = this.queryBuilder()
+      .select(['name', 'checksum', 'executed_at'])
+      .from(this.options.tableName)
+      .orderBy('executed_at')
+      .orderBy('name')
+      .build();
+
+    const result = await this.dbPool.executeQuery(query, params);
+    return result[0];
+  }
+
+  /**
+   * Get executed migrations
+   * @returns {Promise<Array>} List of executed migrations
+   */
+  async getExecutedMigrations() {
+    const applied = await this.getAppliedMigrations();
+    return applied.map(row => row.name);
+  }
+
+  /**
+   * Report pending, applied, drifted and missing migrations
+   * Drifted means the file changed after it was applied; missing means the
+   * database has a migration this process doesn't know about
+   * @returns {Promise<Array>} Status entries sorted by name
+   */
+  async status() {
+    let applied = [];
+    try {
+      applied = await this.getAppliedMigrations();
+    } catch (error) {
+      // No migrations table yet: everything is pending
+      if (!isMissingTable(error)) throw error;
+    }
+
+    const appliedByName = new Map(applied.map(row => [row.name, row]));
+    const names = new Set([...this.migrations.keys(), ...appliedByName.keys()]);
+
+    return Array.from(names).sort().map(name => {
+      const migration = this.migrations.get(name);
+      const row = appliedByName.get(name);
+
+      let state = 'pending';
+      if (row && !migration) {
+        state = 'missing';
+      } else if (row && row.checksum && row.checksum !== migration.checksum) {
+        state = 'drifted';
+      } else if (row) {
+        state = 'applied';
+      }
+
+      return {
+        name,
+        state,
+        checksum: migration ? migration.checksum : null,
+        appliedChecksum: row ? row.checksum : null,
+        executedAt: row ? row.executed_at : null,
+        source: migration ? migration.source : null
+      };
+    });
+  }
+
+  /**
+   * Create the lock table used to serialize migration runs
+   */
+  async createLockTable() {
+    const table = quoteIdentifier(this.options.lockTableName, resolveDialect(this.dialect));
+    await this.dbPool.executeQuery(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id INTEGER NOT NULL PRIMARY KEY,
+        locked_by VARCHAR(255) NOT NULL,
+        locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Take the migration lock, waiting up to lockTimeout for another run to finish
+   * The lock is a single row, so it works the same on every driver. Only a
+   * duplicate key means another run holds it; any other error is thrown.
+   */
+  async acquireLock() {
+    await this.createLockTable();
+
+    const { query, params } = this.queryBuilder()
+      .insert(this.options.lockTableName, { id: 1, locked_by: this.lockOwner })
+      .build();
+    const deadline = Date.now() + this.options.lockTimeout;
+
+    for (;;) {
+      try {
+        await this.dbPool.executeQuery(query, params);
+        return;
+      } catch (error) {
+        if (!isUniqueViolation(error)) throw error;
+        if (Date.now() >= deadline) {
+          throw new Error(
+            `Could not acquire migration lock within ${this.options.lockTimeout}ms; ` +
+            'another migration may be running (use forceUnlock() to clear a stale lock)'
+          );
+        }
+        await new Promise(resolve => setTimeout(resolve, this.options.lockRetryInterval));
+      }
+    }
+  }
+
+  /**
+   * Release the migration lock held by this manager
+   */
+  async releaseLock() {
+    const { query, params } = this.queryBuilder()
+      .delete(this.options.lockTableName)
+      .where('id', 1)
+      .where('locked_by', this.lockOwner)
+      .build();
+
+    await this.dbPool.executeQuery(query, params);
+  }
+
+  /**
+   * Clear the migration lock regardless of owner (after a crashed deploy)
+   */
+  async forceUnlock() {
+    await this.createLockTable();
+    const { query, params } = this.queryBuilder()
+      .delete(this.options.lockTableName)
+      .build();
+
+    await this.dbPool.executeQuery(query, params);
+  }
+
+  /**
+   * Run a callback while holding the migration lock
+   * @param {Function} callback - Work to run
+   * @returns {Promise<*>} Callback result
+   */
+  async withLock(callback) {
+    await this.acquireLock();
+    try {
+      return await callback();
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Run one migration step: SQL text is executed, functions get the connection
+   * @param {Object} connection - Database connection
+   * @param {Function|string} step - Up or down step
+   */
+  async runStep(connection, step) {
+    if (typeof step === 'function') {
+      await step(connection);
+    } else if (typeof connection.exec === 'function') {
+      await connection.exec(step);
+    } else {
+      await connection.query(step);
+    }
+  }
+
+  /**
+   * Collect the SQL a step would run, without touching the database
+   * @param {Function|string} step - Up or down step
+   * @returns {Promise<Array>} SQL statements
+   */
+  async recordStep(step) {
+    const statements = [];
+    const record = (sql, params = []) => {
+      statements.push(params.length > 0 ? `${sql.trim()} -- params: ${JSON.stringify(params)}` : sql.trim());
+      return [[], undefined];
+    };
+    const connection = {
+      query: async (sql, params) => record(sql, params),
+      exec: async sql => record(sql)
+    };
+
+    await this.runStep(connection, step);
+    return statements;
+  }
+
+  /**
+   * Print the SQL of a step in dry-run mode
+   * @param {string} name - Migration name
+   * @param {string} direction - up/down
+   * @param {Function|string} step - Step to print
+   * @returns {Promise<Object>} { name, direction, statements }
+   */
+  async printStep(name, direction, step) {
+    const statements = await this.recordStep(step);
+    this.options.logger.log(`-- ${name} (${direction})`);
+    statements.forEach(statement => this.options.logger.log(statement));
+    return { name, direction, statements };
+  }
+
+  /**
+   * Run migrations
+   * @param {string} target - Target migration (optional)
+   * @param {Object} options - { dryRun } to print SQL instead of executing it
+   * @returns {Promise<Array>} Migrations run (or, in dry-run, the SQL they would run)
+   */
+  async migrate(target = null, options = {}) {
+    const dryRun = options.dryRun ?? this.options.dryRun;
+
+    const run = async () => {
+      const report = await this.status();
+
+      const drifted = report.filter(entry => entry.state === 'drifted');
+      if (drifted.length > 0 && !this.options.allowDrift) {
+        throw new Error(
+          `Applied migrations were modified: ${drifted.map(entry => entry.name).join(', ')}`
+        );
+      }
+
+      const pendingMigrations = report
+        .filter(entry => entry.state === 'pending')
+        .map(entry => entry.name);
+
+      if (target) {
+        const targetIndex = pendingMigrations.indexOf(target);
+        if (targetIndex === -1) {
+          throw new Error(`Target migration ${target} not found`);
+        }
+        pendingMigrations.splice(targetIndex + 1);
+      }
+
+      const results = [];
+
+      for (const migrationName of pendingMigrations) {
+        const migration = this.migrations.get(migrationName);
+
+        if (dryRun) {
+          results.push(await this.printStep(migrationName, 'up', migration.up));
+          continue;
+        }
+
+        const { query, params } = this.queryBuilder()
+          .insert(this.options.tableName, { name: migrationName, checksum: migration.checksum })
+          .build();
+
+        await this.dbPool.executeTransaction(async (connection) => {
+          await this.runStep(connection, migration.up);
+          await connection.query(query, params);
+        });
+
+        results.push({ name: migrationName, direction: 'up' });
+        this.options.logger.log(`Migration ${migrationName} executed successfully`);
+      }
+
+      return results;
+    };
+
+    if (dryRun) {
+      return run();
+    }
+
+    await this.createMigrationsTable();
+    return this.withLock(run);
+  }
+
+  /**
+   * Rollback migrations
+   * @param {number} steps - Number of migrations to rollback
+   * @param {Object} options - { dryRun } to print SQL instead of executing it
+   * @returns {Promise<Array>} Migrations rolled back (or the SQL they would run)
+   */
+  async rollback(steps = 1, options = {}) {
+    const dryRun = options.dryRun ?? this.options.dryRun;
+
+    const run = async () => {
+      const executedMigrations = await this.getExecutedMigrations();
+      const migrationsToRollback = executedMigrations
+        .slice(-steps)
+        .reverse();
+
+      const results = [];
+
+      for (const migrationName of migrationsToRollback) {
+        const migration = this.migrations.get(migrationName);
+        
+        if (!migration || !migration.down) {
+          throw new Error(`Down migration not found for ${migrationName}`);
+        }
+
+        if (dryRun) {
+          results.push(await this.printStep(migrationName, 'down', migration.down));
+          continue;
+        }
+
+        const { query, params } = this.queryBuilder()
+          .delete(this.options.tableName)
+          .where('name', migrationName)
+          .build();
+
+        await this.dbPool.executeTransaction(async (connection) => {
+          await this.runStep(connection, migration.down);
+          await connection.query(query, params);
+        });
+
+        results.push({ name: migrationName, direction: 'down' });
+        this.options.logger.log(`Migration ${migrationName} rolled back successfully`);
+      }
+
+      return results;
     };
+
+    return dryRun ? run() : this.withLock(run);
+  }
+}
+
+/**
+ * Per-dialect catalog queries used by DatabaseBackup
+ * Postgres has no built-in DDL export, so its tables are rebuilt from
+ * information_schema (types, nullability, defaults) plus pg_indexes;
+ * sequences and foreign keys are not carried over
+ */
+const BACKUP_SCHEMA_READERS = {
+  sqlite: {
+    async listTables(connection) {
+      const [rows] = await connection.query(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+      );
+      return rows.map(row => row.name);
+    },
+
+    async describeTable(connection, table) {
+      const [[definition]] = await connection.query(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+        [table]
+      );
+      const [columns] = await connection.query('SELECT name, pk FROM pragma_table_info(?)', [table]);
+      const [indexes] = await connection.query(
+        "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+        [table]
+      );
+
+      return {
+        columns: columns.map(column => column.name),
+        primaryKey: columns
+          .filter(column => column.pk > 0)
+          .sort((a, b) => a.pk - b.pk)
+          .map(column => column.name),
+        createSql: definition.sql,
+        indexes: indexes.map(index => index.sql)
+      };
+    }
+  },
+
+  mysql: {
+    async listTables(connection) {
+      const [rows] = await connection.query(
+        "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE' ORDER BY table_name"
+      );
+      return rows.map(row => row.name);
+    },
+
+    async describeTable(connection, table) {
+      const [[definition]] = await connection.query(
+        `SHOW CREATE TABLE ${quoteIdentifier(table, SQL_DIALECTS.mysql)}`
+      );
+      const [columns] = await connection.query(
+        'SELECT column_name AS name, column_key AS columnKey FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? ORDER BY ordinal_position',
+        [table]
+      );
+
+      return {
+        columns: columns.map(column => column.name),
+        primaryKey: columns.filter(column => column.columnKey === 'PRI').map(column => column.name),
+        createSql: definition['Create Table'],
+        indexes: []
+      };
+    }
+  },
+
+  postgres: {
+    async listTables(connection) {
+      const [rows] = await connection.query(
+        "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema() AND table_type = 'BASE TABLE' ORDER BY table_name"
+      );
+      return rows.map(row => row.name);
+    },
+
+    async describeTable(connection, table) {
+      const [columns] = await connection.query(
+        'SELECT column_name, data_type, is_nullable, column_default FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 ORDER BY ordinal_position',
+        [table]
+      );
+      const [indexes] = await connection.query(
+        'SELECT indexdef FROM pg_indexes WHERE schemaname = current_schema() AND tablename = $1',
+        [table]
+      );
+      const [primaryKey] = await connection.query(
+        "SELECT kcu.column_name FROM information_schema.table_constraints tc JOIN information_schema.key_column_usage kcu ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema WHERE tc.table_schema = current_schema() AND tc.table_name = $1 AND tc.constraint_type = 'PRIMARY KEY' ORDER BY kcu.ordinal_position",
+        [table]
+      );
+
+      const definitions = columns.map(column => {
+        let definition = `${quoteIdentifier(column.column_name, SQL_DIALECTS.postgres)} ${column.data_type}`;
+        if (column.column_default && !column.column_default.startsWith('nextval(')) {
+          definition += ` DEFAULT ${column.column_default}`;
+        }
+        if (column.is_nullable === 'NO') {
+          definition += ' NOT NULL';
+        }
+        return definition;
+      });
+
+      return {
+        columns: columns.map(column => column.column_name),
+        primaryKey: primaryKey.map(column => column.column_name),
+        createSql: `CREATE TABLE ${quoteIdentifier(table, SQL_DIALECTS.postgres)} (${definitions.join(', ')})`,
+        indexes: indexes.map(index => index.indexdef)
+      };
+    }
+  }
+};
+
+/**
+ * Render a value as a SQL literal for the SQL backup format
+ * @param {*} value - Column value
+ * @param {Object} dialect - Dialect definition
+ * @returns {string} SQL literal
+ */
+const toSqlLiteral = (value, dialect) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'boolean') return dialect.booleanLiteral(value);
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    const hex = Buffer.from(value).toString('hex');
+    return dialect.name === 'postgres' ? `'\\x${hex}'::bytea` : `X'${hex}'`;
+  }
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // MySQL treats backslashes in strings as escapes by default
+  if (dialect.name === 'mysql') {
+    text = text.replace(/\\/g, '\\\\');
+  }
+
+  return `'${text.replace(/'/g, "''")}'`;
+};
+
+/**
+ * Make a row JSON-safe: binary becomes { $binary: base64 }, bigints become strings
+ * @param {Object} row - Database row
+ * @returns {Object} Serializable row
+ */
+const encodeBackupRow = (row) => {
+  const encoded = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      encoded[column] = { $binary: Buffer.from(value).toString('base64') };
+    } else if (typeof value === 'bigint') {
+      encoded[column] = value.toString();
+    } else {
+      encoded[column] = value;
+    }
   }
-}
+  return encoded;
+};
 
 /**
- * Database migration manager
+ * Reverse encodeBackupRow
+ * @param {Object} row - Row read from a backup
+ * @returns {Object} Row ready to insert
  */
-class MigrationManager {
-  constructor(dbPool) {
+const decodeBackupRow = (row) => {
+  const decoded = {};
+  for (const [column, value] of Object.entries(row)) {
+    decoded[column] = value && typeof value === 'object' && typeof value.$binary === 'string'
+      ? Buffer.from(value.$binary, 'base64')
+      : value;
+  }
+  return decoded;
+};
+
+/**
+ * Check a table name against a filter (exact name, `*` glob or RegExp)
+ * @param {string} table - Table name
+ * @param {string|RegExp} pattern - Filter pattern
+ * @returns {boolean} True on match
+ */
+const matchesTablePattern = (table, pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern.test(table);
+  }
+  if (pattern.includes('*')) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(table);
+  }
+  return table === pattern;
+};
+
+/**
+ * Write a line to a stream, waiting for it to drain when its buffer is full
+ * @param {WriteStream} stream - Output stream
+ * @param {string} line - Line to write
+ */
+const writeLine = async (stream, line) => {
+  if (stream.destroyed) {
+    throw stream.errored || new Error('Output stream closed');
+  }
+  if (!stream.write(`${line}\n`)) {
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(stream.errored || new Error('Output stream closed'));
+      };
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    });
+  }
+};
+
+/**
+ * Build the query for the next page of a table's rows
+ * Tables with a primary key are paged by key (WHERE key > last key), which is
+ * stable and stays fast on large tables; the rest are ordered by every
+ * column and paged with OFFSET.
+ * @param {Object} dialect - Dialect definition
+ * @param {string} table - Table name
+ * @param {Object} schema - { columns, primaryKey }
+ * @param {number} batchSize - Rows per page
+ * @param {Object|null} lastRow - Last row of the previous page
+ * @param {number} offset - Rows read so far
+ * @returns {Object} { query, params }
+ */
+const buildBackupPageQuery = (dialect, table, schema, batchSize, lastRow, offset) => {
+  const builder = new QueryBuilder({ dialect }).select().from(table).limit(batchSize);
+  const keyColumns = schema.primaryKey || [];
+
+  if (keyColumns.length === 0) {
+    schema.columns.forEach(column => builder.orderBy(column));
+    return builder.offset(offset).build();
+  }
+
+  keyColumns.forEach(column => builder.orderBy(column));
+  if (lastRow) {
+    const columns = keyColumns.map(column => quoteIdentifier(column, dialect)).join(', ');
+    const placeholders = keyColumns.map(() => '?').join(', ');
+    builder.whereRaw(`(${columns}) > (${placeholders})`, keyColumns.map(column => lastRow[column]));
+  }
+  return builder.build();
+};
+
+/**
+ * Database backup utility
+ * Logical, driver-agnostic export through DatabasePoolManager: each table's
+ * schema and rows go to a gzip'd JSON-lines (default) or SQL file
+ */
+class DatabaseBackup {
+  constructor(dbPool, options = {}) {
     this.dbPool = dbPool;
-    this.migrations = new Map();
+    this.options = {
+      format: null,
+      batchSize: 1000,
+      tables: null,
+      exclude: [],
+      ...options
+    };
+    this.eventEmitter = new EventEmitter();
   }
 
   /**
-   * Register migration
-   * @param {string} name - Migration name
-   * @param {Function} up - Up migration function
-   * @param {Function} down - Down migration function
+   * SQL dialect of the underlying pool's driver
+   * @returns {Object} Dialect definition
    */
-  registerMigration(name, up, down) {
-    this.migrations.set(name, { up, down });
+  get dialect() {
+    return resolveDialect((this.dbPool.driver && this.dbPool.driver.dialect) || 'sqlite');
   }
 
   /**
-   * Create migrations table
+   * Catalog queries for the pool's dialect
+   * @returns {Object} Schema reader
    */
-  async createMigrationsTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS migrations (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL UNIQUE,
-        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-    
-    await this.dbPool.executeQuery(query);
+  get schemaReader() {
+    const reader = BACKUP_SCHEMA_READERS[this.dialect.name];
+    if (!reader) {
+      throw new Error(`Backups are not supported for the ${this.dialect.name} dialect`);
+    }
+    return reader;
   }
 
   /**
-   * Get executed migrations
-   * @returns {Promise<Array>} List of executed migrations
+   * Apply include/exclude filters to a table list
+   * @param {Array} tables - All tables
+   * @param {Object} options - { tables, exclude }
+   * @returns {Array} Selected tables
    */
-  async getExecutedMigrations() {
-    const result = await this.dbPool.executeQuery(
-      'SELECT name FROM migrations ORDER BY executed_at'
-    );
-    return result[0].map(row => row.name);
+  filterTables(tables, options) {
+    return tables.filter(table => {
+      if (options.tables && !options.tables.some(pattern => matchesTablePattern(table, pattern))) {
+        return false;
+      }
+      return !options.exclude.some(pattern => matchesTablePattern(table, pattern));
+    });
   }
 
   /**
-   * Run migrations
-   * @param {string} target - Target migration (optional)
+   * Create database backup
+   * @param {string} outputPath - Output file path (gzip'd)
+   * @param {Object} options - { format: 'jsonl'|'sql', tables, exclude, batchSize }
+   * @returns {Promise<Object>} Backup summary
    */
-  async migrate(target = null) {
-    await this.createMigrationsTable();
-    
-    const executedMigrations = await this.getExecutedMigrations();
-    const pendingMigrations = Array.from(this.migrations.keys())
-      .filter(name => !executedMigrations.includes(name))
-      .sort();
-
-    if (target) {
-      const targetIndex = pendingMigrations.indexOf(target);
-      if (targetIndex === -1) {
-        throw new Error(`Target migration ${target} not found`);
-      }
-      pendingMigrations.splice(targetIndex + 1);
-    }
+  async createBackup(outputPath, options = {}) {
+    const settings = { ...this.options, ...options };
+    const format = settings.format || (/\.sql(\.gz)?$/.test(outputPath) ? 'sql' : 'jsonl');
+    const { dialect, schemaReader } = this;
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    const output = createCompressor('gzip');
+    // Attached before the first write, so a failing disk rejects the backup
+    const written = stream.promises.pipeline(output, require('fs').createWriteStream(tempPath));
+    written.catch(() => {});
+    const summary = [];
 
-    for (const migrationName of pendingMigrations) {
-      const migration = this.migrations.get(migrationName);
-      
+    try {
       await this.dbPool.executeTransaction(async (connection) => {
-        await migration.up(connection);
-        await connection.query(
-          'INSERT INTO migrations (name) VALUES (?)',
-          [migrationName]
-        );
+        const tables = this.filterTables(await schemaReader.listTables(connection), settings);
+
+        if (format === 'sql') {
+          await writeLine(output, `-- Logical backup (${dialect.name}) created ${new Date().toISOString()}`);
+        } else {
+          await writeLine(output, JSON.stringify({
+            type: 'backup',
+            version: 1,
+            dialect: dialect.name,
+            createdAt: new Date().toISOString()
+          }));
+        }
+
+        for (const [index, table] of tables.entries()) {
+          const schema = await schemaReader.describeTable(connection, table);
+
+          if (format === 'sql') {
+            await writeLine(output, `${schema.createSql};`);
+            for (const indexSql of schema.indexes) {
+              await writeLine(output, `${indexSql};`);
+            }
+          } else {
+            await writeLine(output, JSON.stringify({ type: 'table', name: table, schema }));
+          }
+
+          let rowCount = 0;
+          let lastRow = null;
+          for (;;) {
+            const { query, params } = buildBackupPageQuery(
+              dialect, table, schema, settings.batchSize, lastRow, rowCount
+            );
+            const [rows] = await connection.query(query, params);
+
+            for (const row of rows) {
+              if (format === 'sql') {
+                const columns = schema.columns.map(column => quoteIdentifier(column, dialect));
+                const values = schema.columns.map(column => toSqlLiteral(row[column], dialect));
+                await writeLine(
+                  output,
+                  `INSERT INTO ${quoteIdentifier(table, dialect)} (${columns.join(', ')}) VALUES (${values.join(', ')});`
+                );
+              } else {
+                await writeLine(output, JSON.stringify({ type: 'row', table, data: encodeBackupRow(row) }));
+              }
+            }
+
+            rowCount += rows.length;
+            lastRow = rows[rows.length - 1];
+            if (rows.length < settings.batchSize) break;
+          }
+
+          summary.push({ table, rows: rowCount });
+          this.eventEmitter.emit('backup:progress', {
+            table,
+            rows: rowCount,
+            completed: index + 1,
+            total: tables.length
+          });
+        }
       });
-      
-      console.log(`Migration ${migrationName} executed successfully`);
+
+      output.end();
+      await written;
+      await fs.rename(tempPath, outputPath);
+      const { size } = await fs.stat(outputPath);
+
+      this.eventEmitter.emit('backup:completed', { path: outputPath, tables: summary });
+      return { path: outputPath, format, size, tables: summary };
+    } catch (error) {
+      output.destroy();
+      this.eventEmitter.emit('backup:error', error);
+      throw error;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
     }
   }
 
   /**
-   * Rollback migrations
-   * @param {number} steps - Number of migrations to rollback
+   * Restore database from backup
+   * Runs in a single transaction, so a failed restore leaves nothing behind
+   * (on databases with transactional DDL)
+   * @param {string} backupPath - Backup file path
+   * @param {Object} options - { tables, exclude, batchSize, dropExisting, createTables }
+   * @returns {Promise<Object>} Restore summary
    */
-  async rollback(steps = 1) {
-    const executedMigrations = await this.getExecutedMigrations();
-    const migrationsToRollback = executedMigrations
-      .slice(-steps)
-      .reverse();
+  async restoreBackup(backupPath, options = {}) {
+    const settings = {
+      dropExisting: false,
+      createTables: true,
+      ...this.options,
+      ...options
+    };
 
-    for (const migrationName of migrationsToRollback) {
-      const migration = this.migrations.get(migrationName);
-      
-      if (!migration || !migration.down) {
-        throw new Error(`Down migration not found for ${migrationName}`);
-      }
+    try {
+      await fs.access(backupPath);
+      // A read or gunzip error destroys the input, which fails the line
+      // iterator and rolls the transaction back
+      const input = stream.pipeline(
+        require('fs').createReadStream(backupPath),
+        createDecompressor('gzip'),
+        () => {}
+      );
 
-      await this.dbPool.executeTransaction(async (connection) => {
-        await migration.down(connection);
-        await connection.query(
-          'DELETE FROM migrations WHERE name = ?',
-          [migrationName]
-        );
-      });
-      
-      console.log(`Migration ${migrationName} rolled back successfully`);
+      const lines = require('readline').createInterface({ input, crlfDelay: Infinity });
+
+      // Peek at the first line to tell the formats apart
+      const iterator = lines[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      const allLines = async function* () {
+        if (first.done) return;
+        yield first.value;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+          yield next.value;
+        }
+      };
+
+      const summary = await this.dbPool.executeTransaction(async (connection) => (
+        !first.done && first.value.startsWith('{')
+          ? this.restoreJsonLines(connection, allLines(), settings)
+          : this.restoreSql(connection, allLines(), settings)
+      ));
+
+      this.eventEmitter.emit('restore:completed', { path: backupPath, tables: summary });
+      return { path: backupPath, tables: summary };
+    } catch (error) {
+      this.eventEmitter.emit('restore:error', error);
+      throw error;
     }
   }
-}
 
-/**
- * Database backup utility
- */
-class DatabaseBackup {
-  constructor(dbConfig) {
-    this.dbConfig = dbConfig;
+  /**
+   * Run a statement through the connection
+   * @param {Object} connection - Database connection
+   * @param {string} sql - Statement
+   */
+  async runStatement(connection, sql) {
+    if (typeof connection.exec === 'function') {
+      await connection.exec(sql);
+    } else {
+      await connection.query(sql);
+    }
   }
 
   /**
-   * Create database backup
-   * @param {string} outputPath - Output file path
-   * @returns {Promise<string>} Backup file path
-   */
-  async createBackup(outputPath) {
-    // This is a placeholder - implement with your database backup tool
-    // Example for MySQL:
-    // const { exec } = require('child_process');
-    // const util = require('util');
-    // const execAsync = util.promisify(exec);
-    
-    // const command = `mysqldump -h ${this.dbConfig.host} -u ${this.dbConfig.user} -p${this.dbConfig.password} ${this.dbConfig.database} > ${outputPath}`;
-    // await execAsync(command);
-    
-    console.log(`Backup created at: ${outputPath}`);
-    return outputPath;
+   * Restore a JSON-lines backup
+   * @param {Object} connection - Database connection (inside a transaction)
+   * @param {AsyncIterable} lines - Backup lines
+   * @param {Object} settings - Restore settings
+   * @returns {Promise<Array>} Restored tables with row counts
+   */
+  async restoreJsonLines(connection, lines, settings) {
+    const { dialect } = this;
+    const summary = [];
+    let current = null;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const { query, params } = new QueryBuilder({ dialect }).insert(current.table, batch).build();
+      await connection.query(query, params);
+      current.rows += batch.length;
+      batch = [];
+    };
+
+    const finishTable = async () => {
+      if (!current) return;
+      await flush();
+      summary.push(current);
+      this.eventEmitter.emit('restore:progress', { ...current, completed: summary.length });
+      current = null;
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const record = JSON.parse(line);
+
+      if (record.type === 'backup' && record.dialect !== dialect.name) {
+        throw new Error(`Backup was taken from ${record.dialect}, cannot restore into ${dialect.name}`);
+      }
+
+      if (record.type === 'table') {
+        await finishTable();
+        if (!this.filterTables([record.name], settings).length) continue;
+
+        if (settings.dropExisting) {
+          await this.runStatement(connection, `DROP TABLE IF EXISTS ${quoteIdentifier(record.name, dialect)}`);
+        }
+        if (settings.createTables) {
+          await this.runStatement(connection, record.schema.createSql);
+          for (const indexSql of record.schema.indexes) {
+            await this.runStatement(connection, indexSql);
+          }
+        }
+        current = { table: record.name, rows: 0 };
+      }
+
+      if (record.type === 'row' && current && record.table === current.table) {
+        batch.push(decodeBackupRow(record.data));
+        if (batch.length >= settings.batchSize) {
+          await flush();
+        }
+      }
+    }
+
+    await finishTable();
+    return summary;
   }
 
   /**
-   * Restore database from backup
-   * @param {string} backupPath - Backup file path
+   * Restore a SQL backup, statement by statement
+   * Table filters apply to CREATE/INSERT statements by their target table
+   * @param {Object} connection - Database connection (inside a transaction)
+   * @param {AsyncIterable} lines - Backup lines
+   * @param {Object} settings - Restore settings
+   * @returns {Promise<Array>} Restored tables with row counts
    */
-  async restoreBackup(backupPath) {
-    // This is a placeholder - implement with your database restore tool
-    // Example for MySQL:
-    // const { exec } = require('child_process');
-    // const util = require('util');
-    // const execAsync = util.promisify(exec);
-    
-    // const command = `mysql -h ${this.dbConfig.host} -u ${this.dbConfig.user} -p${this.dbConfig.password} ${this.dbConfig.database} < ${backupPath}`;
-    // await execAsync(command);
-    
-    console.log(`Database restored from: ${backupPath}`);
+  async restoreSql(connection, lines, settings) {
+    const { dialect } = this;
+    const summary = [];
+    let current = null;
+    const targetPattern = /^(?:CREATE TABLE|CREATE (?:UNIQUE )?INDEX .+? ON|INSERT INTO)\s+(?:IF NOT EXISTS\s+)?([`"]?)((?:[^`"]|\1\1)+?)\1[\s(]/i;
+    let statement = '';
+    let quote = null;
+
+    const execute = async (sql) => {
+      const match = sql.match(targetPattern);
+      const table = match ? match[2].split(match[1] + match[1]).join(match[1]) : null;
+
+      if (table && !this.filterTables([table], settings).length) return;
+
+      if (table && (!current || current.table !== table)) {
+        finishTable();
+        current = { table, rows: 0 };
+      }
+
+      if (/^CREATE TABLE/i.test(sql)) {
+        if (settings.dropExisting) {
+          await this.runStatement(connection, `DROP TABLE IF EXISTS ${quoteIdentifier(table, dialect)}`);
+        }
+        if (!settings.createTables) return;
+      }
+
+      await this.runStatement(connection, sql);
+
+      if (current && /^INSERT/i.test(sql)) {
+        current.rows++;
+      }
+    };
+
+    const finishTable = () => {
+      if (!current) return;
+      summary.push(current);
+      this.eventEmitter.emit('restore:progress', { ...current, completed: summary.length });
+    };
+
+    for await (const line of lines) {
+      const header = line.match(/^-- Logical backup \((\w+)\)/);
+      if (header && header[1] !== dialect.name) {
+        throw new Error(`Backup was taken from ${header[1]}, cannot restore into ${dialect.name}`);
+      }
+
+      if (!quote && !statement.trim() && line.startsWith('--')) continue;
+
+      // Split on semicolons outside quoted strings and identifiers
+      for (const char of `${line}\n`) {
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === "'" || char === '"' || char === '`') {
+          quote = char;
+        } else if (char === ';') {
+          await execute(statement.trim());
+          statement = '';
+          continue;
+        }
+        statement += char;
+      }
+    }
+
+    if (statement.trim()) {
+      await execute(statement.trim());
+    }
+
+    finishTable();
+    return summary;
   }
 }
 
+/**
+ * Normalize a query so that executions differing only in literals group together
+ * @param {string} query - SQL query
+ * @returns {Object} { fingerprint, id } - normalized text and a short hash of it
+ */
+const fingerprintQuery = (query) => {
+  const fingerprint = String(query)
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, '?')
+    .replace(/\$\d+/g, '?')
+    .replace(/\b\d+(\.\d+)?\b/g, '?')
+    .replace(/\b(true|false|null)\b/gi, '?')
+    .replace(/\s+/g, ' ')
+    .replace(/\(\s*\?(\s*,\s*\?)*\s*\)/g, '(?+)')
+    .trim()
+    .toLowerCase();
+
+  return {
+    fingerprint,
+    id: crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16)
+  };
+};
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+const percentileOf = (sorted, percentile) => {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+};
+
+const EXPLAIN_PREFIXES = {
+  sqlite: 'EXPLAIN QUERY PLAN',
+  mysql: 'EXPLAIN FORMAT=JSON',
+  postgres: 'EXPLAIN (FORMAT JSON)'
+};
+
 /**
  * Database performance monitor
+ * Groups queries by fingerprint, keeps latency histograms per fingerprint,
+ * optionally captures EXPLAIN output for slow queries and flags N+1 patterns
+ * inside a request
  */
 class DatabaseMonitor {
-  constructor(dbPool) {
+  constructor(dbPool, options = {}) {
     this.dbPool = dbPool;
+    this.options = {
+      slowQueryThreshold: 1000,
+      maxQueries: 1000,
+      maxSamples: 1000,
+      maxFingerprints: 1000,
+      histogramBuckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+      explainSlowQueries: false,
+      explainInterval: 60000,
+      nPlusOneThreshold: 5,
+      ...options
+    };
     this.metrics = {
       queries: [],
       slowQueries: [],
-      errors: []
+      errors: [],
+      nPlusOne: []
     };
+    this.fingerprints = new Map();
+    // Lifetime totals over every query, unaffected by fingerprint eviction
+    // and clearMetrics(), for counters that must never go down
+    this.totals = {
+      count: 0,
+      errors: 0,
+      totalDuration: 0,
+      buckets: new Array(this.options.histogramBuckets.length + 1).fill(0)
+    };
+    this.requestStorage = new AsyncLocalStorage();
+    this.eventEmitter = new EventEmitter();
     this.startTime = Date.now();
   }
 
+  /**
+   * Record every query the pool executes
+   * @returns {DatabaseMonitor} Monitor instance
+   */
+  attachToPool() {
+    this.dbPool.eventEmitter.on('query:executed', ({ query, params, duration }) => {
+      this.logQuery(query, params, duration);
+    });
+    this.dbPool.eventEmitter.on('query:error', ({ query, params, duration, error }) => {
+      this.logQuery(query, params, duration, error);
+    });
+    return this;
+  }
+
   /**
    * Log query execution
    * @param {string} query - SQL query
@@ -522,32 +2858,313 @@ class DatabaseMonitor {
    * @param {Error} error - Error if any
    */
   logQuery(query, params, duration, error = null) {
+    const { fingerprint, id } = fingerprintQuery(query);
+    const tracking = this.getRequestTracking();
     const queryLog = {
       query,
       params,
       duration,
+      fingerprint: id,
+      requestId: tracking ? tracking.requestId : null,
       timestamp: new Date(),
       error: error?.message
     };
 
     this.metrics.queries.push(queryLog);
+    this.recordFingerprint(id, fingerprint, duration, error);
+    this.trackRequestQuery(id, fingerprint, query);
 
-    // Track slow queries (over 1000ms)
-    if (duration > 1000) {
+    // Track slow queries
+    if (duration > this.options.slowQueryThreshold) {
       this.metrics.slowQueries.push(queryLog);
+      if (this.metrics.slowQueries.length > this.options.maxQueries) {
+        this.metrics.slowQueries.shift();
+      }
+      this.eventEmitter.emit('query:slow', queryLog);
+
+      if (this.options.explainSlowQueries && !error) {
+        this.captureExplain(queryLog, params).catch(explainError => {
+          this.eventEmitter.emit('explain:error', { queryLog, error: explainError });
+        });
+      }
     }
 
     // Track errors
     if (error) {
       this.metrics.errors.push(queryLog);
+      if (this.metrics.errors.length > this.options.maxQueries) {
+        this.metrics.errors.shift();
+      }
     }
 
-    // Keep only last 1000 queries
-    if (this.metrics.queries.length > 1000) {
+    // Keep only the most recent queries
+    if (this.metrics.queries.length > this.options.maxQueries) {
       this.metrics.queries.shift();
     }
   }
 
+  /**
+   * Add a sample to a fingerprint's histogram
+   * Only the maxFingerprints most recently seen fingerprints are kept
+   * @param {string} id - Fingerprint ID
+   * @param {string} fingerprint - Normalized query
+   * @param {number} duration - Execution duration
+   * @param {Error} error - Error if any
+   */
+  recordFingerprint(id, fingerprint, duration, error) {
+    let entry = this.fingerprints.get(id);
+
+    if (entry) {
+      // Re-insert so the Map stays ordered from least to most recently used
+      this.fingerprints.delete(id);
+      this.fingerprints.set(id, entry);
+    } else {
+      entry = {
+        id,
+        fingerprint,
+        count: 0,
+        errors: 0,
+        totalDuration: 0,
+        minDuration: Infinity,
+        maxDuration: 0,
+        buckets: new Array(this.options.histogramBuckets.length + 1).fill(0),
+        samples: [],
+        plan: null,
+        planCapturedAt: 0
+      };
+      this.fingerprints.set(id, entry);
+
+      if (this.fingerprints.size > this.options.maxFingerprints) {
+        this.fingerprints.delete(this.fingerprints.keys().next().value);
+      }
+    }
+
+    entry.count++;
+    entry.totalDuration += duration;
+    entry.minDuration = Math.min(entry.minDuration, duration);
+    entry.maxDuration = Math.max(entry.maxDuration, duration);
+    if (error) {
+      entry.errors++;
+    }
+
+    const bucketIndex = this.options.histogramBuckets.findIndex(bound => duration <= bound);
+    entry.buckets[bucketIndex === -1 ? entry.buckets.length - 1 : bucketIndex]++;
+
+    this.totals.count++;
+    this.totals.totalDuration += duration;
+    this.totals.buckets[bucketIndex === -1 ? this.totals.buckets.length - 1 : bucketIndex]++;
+    if (error) {
+      this.totals.errors++;
+    }
+
+    // Percentiles come from a sliding window of recent samples
+    entry.samples.push(duration);
+    if (entry.samples.length > this.options.maxSamples) {
+      entry.samples.shift();
+    }
+  }
+
+  /**
+   * Run EXPLAIN for a slow query, at most once per fingerprint per explainInterval
+   * Only read queries are explained, so nothing is executed twice
+   * @param {Object} queryLog - Logged query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<*>} Plan rows, or null when skipped
+   */
+  async captureExplain(queryLog, params = []) {
+    const entry = this.fingerprints.get(queryLog.fingerprint);
+    const dialect = (this.dbPool?.driver && this.dbPool.driver.dialect) || 'sqlite';
+    const prefix = EXPLAIN_PREFIXES[dialect];
+
+    if (!prefix || !/^\s*(SELECT|WITH)\b/i.test(queryLog.query)) return null;
+    if (entry && Date.now() - entry.planCapturedAt < this.options.explainInterval) {
+      queryLog.plan = entry.plan;
+      return entry.plan;
+    }
+
+    if (entry) {
+      entry.planCapturedAt = Date.now();
+    }
+
+    // Straight through a connection so the EXPLAIN itself isn't logged
+    const connection = await this.dbPool.getConnection();
+    let plan;
+    try {
+      [plan] = await connection.query(`${prefix} ${queryLog.query}`, params);
+    } finally {
+      await this.dbPool.releaseConnection(connection);
+    }
+
+    queryLog.plan = plan;
+    if (entry) {
+      entry.plan = plan;
+    }
+
+    this.eventEmitter.emit('query:plan', { fingerprint: queryLog.fingerprint, query: queryLog.query, plan });
+    return plan;
+  }
+
+  /**
+   * Count a query against the current request and flag repeated fingerprints
+   * @param {string} id - Fingerprint ID
+   * @param {string} fingerprint - Normalized query
+   * @param {string} query - Original query
+   */
+  trackRequestQuery(id, fingerprint, query) {
+    const context = this.getRequestTracking();
+    if (!context) return;
+
+    const count = (context.counts.get(id) || 0) + 1;
+    context.counts.set(id, count);
+
+    if (count === this.options.nPlusOneThreshold) {
+      const detection = {
+        requestId: context.requestId,
+        method: context.method,
+        url: context.url,
+        fingerprint: id,
+        normalizedQuery: fingerprint,
+        example: query,
+        count,
+        timestamp: new Date()
+      };
+
+      context.detections.set(id, detection);
+      this.metrics.nPlusOne.push(detection);
+      if (this.metrics.nPlusOne.length > this.options.maxQueries) {
+        this.metrics.nPlusOne.shift();
+      }
+
+      this.eventEmitter.emit('query:n-plus-one', detection);
+    } else if (context.detections.has(id)) {
+      context.detections.get(id).count = count;
+    }
+  }
+
+  /**
+   * Get the current request's query tracking state
+   * Uses the context from runInRequestContext/requestMiddleware, or else one
+   * kept on the shared request context (see requestContext.js), so N+1
+   * detection also works under the requestLogger middleware alone.
+   * @returns {Object|null} { requestId, method, url, counts, detections }
+   */
+  getRequestTracking() {
+    const own = this.requestStorage.getStore();
+    if (own) return own;
+
+    const shared = requestContext.getContext();
+    if (!shared) return null;
+
+    if (!shared.queryTracking) {
+      shared.queryTracking = new WeakMap();
+    }
+    if (!shared.queryTracking.has(this)) {
+      shared.queryTracking.set(this, {
+        requestId: shared.requestId,
+        method: shared.method,
+        url: shared.url,
+        counts: new Map(),
+        detections: new Map()
+      });
+    }
+    return shared.queryTracking.get(this);
+  }
+
+  /**
+   * Run a function inside a request context for N+1 detection
+   * @param {Object} info - { requestId, method, url }
+   * @param {Function} fn - Function to run
+   * @returns {*} Function result
+   */
+  runInRequestContext(info, fn) {
+    const context = {
+      requestId: info.requestId || requestContext.getRequestId() || crypto.randomUUID(),
+      method: info.method,
+      url: info.url,
+      counts: new Map(),
+      detections: new Map()
+    };
+
+    return this.requestStorage.run(context, fn);
+  }
+
+  /**
+   * Express middleware that scopes N+1 detection to each request
+   * @param {Object} options - { onDetect } called with the request's detections when it finishes
+   * @returns {Function} Express middleware
+   */
+  requestMiddleware(options = {}) {
+    const { onDetect } = options;
+
+    return (req, res, next) => {
+      this.runInRequestContext({
+        requestId: req.id || requestContext.getRequestId() || req.headers['x-request-id'],
+        method: req.method,
+        url: req.originalUrl || req.url
+      }, () => {
+        const context = this.requestStorage.getStore();
+
+        res.on('finish', () => {
+          if (context.detections.size > 0 && onDetect) {
+            onDetect(Array.from(context.detections.values()), req, res);
+          }
+        });
+
+        next();
+      });
+    };
+  }
+
+  /**
+   * Get latency statistics per fingerprint, slowest p95 first
+   * @param {number} limit - Number of fingerprints to return
+   * @returns {Array} Fingerprint statistics
+   */
+  getFingerprintStats(limit = 20) {
+    return Array.from(this.fingerprints.values())
+      .map(entry => {
+        const sorted = [...entry.samples].sort((a, b) => a - b);
+        return {
+          id: entry.id,
+          fingerprint: entry.fingerprint,
+          count: entry.count,
+          errors: entry.errors,
+          avgDuration: Math.round(entry.totalDuration / entry.count),
+          minDuration: entry.minDuration,
+          maxDuration: entry.maxDuration,
+          p50: percentileOf(sorted, 50),
+          p95: percentileOf(sorted, 95),
+          p99: percentileOf(sorted, 99),
+          histogram: this.cumulativeHistogram(entry.buckets),
+          plan: entry.plan
+        };
+      })
+      .sort((a, b) => b.p95 - a.p95)
+      .slice(0, limit);
+  }
+
+  /**
+   * Turn per-bucket counts into cumulative `le` buckets
+   * @param {Array} buckets - Per-bucket counts
+   * @returns {Array} [{ le, count }]
+   */
+  cumulativeHistogram(buckets) {
+    let running = 0;
+    return [...this.options.histogramBuckets, Infinity].map((bound, index) => {
+      running += buckets[index];
+      return { le: bound, count: running };
+    });
+  }
+
+  /**
+   * Get N+1 detections
+   * @param {number} limit - Number of detections to return
+   * @returns {Array} Most recent detections
+   */
+  getNPlusOneReport(limit = 10) {
+    return this.metrics.nPlusOne.slice(-limit).reverse();
+  }
+
   /**
    * Get performance statistics
    * @returns {Object} Performance statistics
@@ -565,12 +3182,19 @@ class DatabaseMonitor {
       ? Math.max(...this.metrics.queries.map(q => q.duration))
       : 0;
 
+    const sorted = this.metrics.queries.map(q => q.duration).sort((a, b) => a - b);
+
     return {
       totalQueries,
       totalErrors,
       totalSlowQueries,
       avgDuration: Math.round(avgDuration),
       maxDuration,
+      p50: percentileOf(sorted, 50),
+      p95: percentileOf(sorted, 95),
+      p99: percentileOf(sorted, 99),
+      totalFingerprints: this.fingerprints.size,
+      nPlusOneDetections: this.metrics.nPlusOne.length,
       uptime: Date.now() - this.startTime,
       errorRate: totalQueries > 0 ? (totalErrors / totalQueries) * 100 : 0
     };
@@ -605,14 +3229,20 @@ class DatabaseMonitor {
     this.metrics.queries = [];
     this.metrics.slowQueries = [];
     this.metrics.errors = [];
+    this.metrics.nPlusOne = [];
+    this.fingerprints.clear();
     this.startTime = Date.now();
   }
 }
 
 module.exports = {
   DatabasePoolManager,
+  SqliteDriver,
+  registerDatabaseDriver,
   QueryBuilder,
+  SQL_DIALECTS,
   MigrationManager,
   DatabaseBackup,
-  DatabaseMonitor
+  DatabaseMonitor,
+  fingerprintQuery
 };
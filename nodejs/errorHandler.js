@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { getLogFields } = require('./requestContext');
 
 /**
  * Custom error classes for different types of errors
@@ -105,6 +106,7 @@ class ErrorLogger {
       message: error.message,
       stack: this.includeStack ? error.stack : undefined,
       timestamp: this.includeTimestamp ? new Date().toISOString() : undefined,
+      ...getLogFields(),
       ...context
     };
 
@@ -405,6 +407,7 @@ function createValidationError(errors, message = 'Validation failed') {
 class ErrorMonitor {
   constructor(options = {}) {
     this.errorCounts = new Map();
+    this.totalCounts = new Map();
     this.alertThreshold = options.alertThreshold || 10;
     this.timeWindow = options.timeWindow || 60000; // 1 minute
     this.alertCallback = options.alertCallback || this.defaultAlertCallback;
@@ -424,6 +427,7 @@ class ErrorMonitor {
     
     const timestamps = this.errorCounts.get(errorKey);
     timestamps.push(now);
+    this.totalCounts.set(errorKey, (this.totalCounts.get(errorKey) || 0) + 1);
     
     // Remove old timestamps outside the time window
     const cutoff = now - this.timeWindow;
@@ -458,7 +462,8 @@ class ErrorMonitor {
     for (const [errorKey, timestamps] of this.errorCounts) {
       const recentErrors = timestamps.filter(timestamp => timestamp > cutoff);
       stats[errorKey] = {
-        total: timestamps.length,
+        name: errorKey.split(':')[0],
+        total: this.totalCounts.get(errorKey) || timestamps.length,
         recent: recentErrors.length,
         rate: recentErrors.length / (this.timeWindow / 1000) // errors per second
       };
@@ -3,6 +3,8 @@
  */
 
 const os = require('os');
+const fs = require('fs');
+const { makeRequest } = require('./networkUtils');
 
 /**
  * Build a simple health object
@@ -41,6 +43,319 @@ function healthMiddleware(deps = {}) {
   };
 }
 
-module.exports = { getHealth, healthMiddleware };
+/**
+ * Run a promise with a time limit
+ * @param {Promise} promise work
+ * @param {number} ms time limit
+ * @param {string} name check name, for the error
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Health check ${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Registry of named health checks with per-check timeout, criticality and
+ * result caching, serving Kubernetes-style /livez and /readyz probes.
+ *
+ * A check is `async () => boolean | { healthy, ...details }`; throwing counts
+ * as unhealthy. A failing critical check fails readiness (503); a failing
+ * non-critical one only marks it degraded (200). Liveness runs only checks
+ * registered with `liveness: true`, so a slow dependency never gets the
+ * process restarted.
+ */
+class HealthRegistry {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout default per-check timeout in ms (default 2000)
+   * @param {number} options.cacheTtl how long results are reused in ms (default 5000)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 2000;
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 5000;
+    this.checks = new Map();
+  }
+
+  /**
+   * Register a check
+   * @param {string} name check name
+   * @param {Function} check async () => boolean | { healthy, ...details }
+   * @param {Object} options {timeout, critical (default true), liveness (default false), cacheTtl}
+   */
+  register(name, check, options = {}) {
+    if (typeof check !== 'function') {
+      throw new Error(`Health check ${name} must be a function`);
+    }
+    this.checks.set(name, {
+      name,
+      check,
+      timeout: options.timeout || this.timeout,
+      critical: options.critical !== false,
+      liveness: options.liveness === true,
+      cacheTtl: options.cacheTtl !== undefined ? options.cacheTtl : this.cacheTtl,
+      lastResult: null,
+      running: null,
+    });
+    return this;
+  }
+
+  /**
+   * Remove a check
+   * @param {string} name check name
+   */
+  unregister(name) {
+    return this.checks.delete(name);
+  }
+
+  /**
+   * Run one check, reusing a cached or in-flight result
+   * @param {string} name check name
+   * @param {Object} options {force: ignore the cache}
+   */
+  async runCheck(name, options = {}) {
+    const entry = this.checks.get(name);
+    if (!entry) {
+      throw new Error(`Unknown health check: ${name}`);
+    }
+
+    const cached = entry.lastResult;
+    if (!options.force && cached && Date.now() - cached.checkedAt < entry.cacheTtl) {
+      return { ...cached, cached: true };
+    }
+    if (entry.running) {
+      return entry.running;
+    }
+
+    const startTime = Date.now();
+    entry.running = withTimeout(Promise.resolve().then(() => entry.check()), entry.timeout, name)
+      .then((outcome) => {
+        const details = outcome && typeof outcome === 'object' ? outcome : {};
+        const healthy = outcome && typeof outcome === 'object' ? outcome.healthy !== false : Boolean(outcome);
+        return { status: healthy ? 'pass' : 'fail', details };
+      }, error => ({ status: 'fail', error: error.message }))
+      .then((outcome) => {
+        const result = {
+          name,
+          critical: entry.critical,
+          ...outcome,
+          duration: Date.now() - startTime,
+          checkedAt: Date.now(),
+        };
+        entry.lastResult = result;
+        entry.running = null;
+        return { ...result, cached: false };
+      });
+
+    return entry.running;
+  }
+
+  /**
+   * Run checks and aggregate them
+   * @param {Object} options {type: 'readiness' (all checks) or 'liveness', force}
+   */
+  async check(options = {}) {
+    const type = options.type || 'readiness';
+    const entries = Array.from(this.checks.values())
+      .filter(entry => type === 'readiness' || entry.liveness);
+
+    const results = await Promise.all(entries.map(entry => this.runCheck(entry.name, options)));
+    const failed = results.filter(result => result.status === 'fail');
+
+    let status = 'ok';
+    if (failed.some(result => result.critical)) {
+      status = 'fail';
+    } else if (failed.length > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      type,
+      checks: Object.fromEntries(results.map(({ name, ...result }) => [
+        name,
+        { ...result, checkedAt: new Date(result.checkedAt).toISOString() },
+      ])),
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Express handler for /livez
+   */
+  livezHandler() {
+    return this.createHandler('liveness');
+  }
+
+  /**
+   * Express handler for /readyz
+   */
+  readyzHandler() {
+    return this.createHandler('readiness');
+  }
+
+  /**
+   * Build a probe handler; `?force=1` bypasses the cache
+   * @param {string} type readiness or liveness
+   */
+  createHandler(type) {
+    return async (req, res) => {
+      const force = Boolean(req.query && req.query.force);
+      const data = await this.check({ type, force });
+      res.set('Cache-Control', 'no-store');
+      res.status(data.status === 'fail' ? 503 : 200).json(data);
+    };
+  }
+}
+
+/**
+ * Database pool check using DatabasePoolManager.checkPoolHealth
+ * @param {Object} pool DatabasePoolManager
+ * @param {Object} options {maxLatency: fail above this many ms}
+ */
+function databaseCheck(pool, options = {}) {
+  return async () => {
+    const health = await pool.checkPoolHealth();
+    if (health.healthy && options.maxLatency && health.latency > options.maxLatency) {
+      return { ...health, healthy: false, error: `Latency ${health.latency}ms over ${options.maxLatency}ms` };
+    }
+    return health;
+  };
+}
+
+/**
+ * Cache check: `ping()` when the client has one (Redis), else a write/read
+ * round trip of a short-lived probe key
+ * @param {Object} cache CacheManager, cache store or Redis client
+ */
+function cacheCheck(cache) {
+  return async () => {
+    const startTime = Date.now();
+    if (typeof cache.ping === 'function') {
+      await cache.ping();
+      return { healthy: true, latency: Date.now() - startTime };
+    }
+
+    const key = `__health__:${process.pid}`;
+    const value = String(startTime);
+    if (typeof cache.getOrSet === 'function') {
+      await cache.set(key, value, { ttl: 10000 });
+    } else {
+      await cache.set(key, value, 10000);
+    }
+    const readBack = await cache.get(key);
+    await cache.delete(key);
+
+    return {
+      healthy: readBack === value,
+      latency: Date.now() - startTime,
+      ...(readBack === value ? {} : { error: 'Probe value did not round-trip' }),
+    };
+  };
+}
+
+/**
+ * Queue backlog check over QueueManager.getAllStatuses
+ * @param {Object} manager QueueManager
+ * @param {Object} options {maxWaiting, maxDeadLetter, queues: names to check (default all)}
+ */
+function queueBacklogCheck(manager, options = {}) {
+  const { maxWaiting = 1000, maxDeadLetter = Infinity, queues = null } = options;
+
+  return async () => {
+    const statuses = Object.values(manager.getAllStatuses())
+      .filter(status => !queues || queues.includes(status.name));
+    const problems = [];
+
+    for (const status of statuses) {
+      if (status.size > maxWaiting) {
+        problems.push(`${status.name}: ${status.size} waiting (max ${maxWaiting})`);
+      }
+      if (status.deadLetter > maxDeadLetter) {
+        problems.push(`${status.name}: ${status.deadLetter} dead-lettered (max ${maxDeadLetter})`);
+      }
+    }
+
+    return {
+      healthy: problems.length === 0,
+      queues: Object.fromEntries(statuses.map(status => [
+        status.name,
+        { waiting: status.size, running: status.running, deadLetter: status.deadLetter, paused: status.paused },
+      ])),
+      ...(problems.length > 0 ? { error: problems.join('; ') } : {}),
+    };
+  };
+}
+
+/**
+ * Disk space check for the filesystem holding a path
+ * @param {Object} options {path (default cwd), minFreeBytes, minFreePercent (default 10)}
+ */
+function diskSpaceCheck(options = {}) {
+  const { path = process.cwd(), minFreeBytes = 0, minFreePercent = 10 } = options;
+
+  return async () => {
+    const stats = await fs.promises.statfs(path);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    const freePercent = total > 0 ? (free / total) * 100 : 0;
+    const healthy = free >= minFreeBytes && freePercent >= minFreePercent;
+
+    return {
+      healthy,
+      path,
+      freeBytes: free,
+      totalBytes: total,
+      freePercent: Math.round(freePercent * 100) / 100,
+      ...(healthy ? {} : { error: `Only ${Math.round(freePercent)}% free on ${path}` }),
+    };
+  };
+}
+
+/**
+ * Outbound URL reachability check
+ * @param {string} url URL to request
+ * @param {Object} options {method (default 'HEAD'), expectedStatus: fn(status) => boolean (default 2xx/3xx), timeout}
+ */
+function urlCheck(url, options = {}) {
+  const {
+    method = 'HEAD',
+    expectedStatus = status => status >= 200 && status < 400,
+    timeout = 5000,
+  } = options;
+
+  return async () => {
+    const startTime = Date.now();
+    const response = await makeRequest(url, { method, timeout });
+    return {
+      healthy: expectedStatus(response.statusCode),
+      statusCode: response.statusCode,
+      latency: Date.now() - startTime,
+    };
+  };
+}
 
+// Example usage:
+// const health = new HealthRegistry({ cacheTtl: 5000 })
+//   .register('db', databaseCheck(pool), { timeout: 1000 })
+//   .register('cache', cacheCheck(cacheManager), { critical: false })
+//   .register('queues', queueBacklogCheck(queueManager, { maxWaiting: 500 }))
+//   .register('disk', diskSpaceCheck({ path: '/var/data' }), { critical: false })
+//   .register('payments', urlCheck('https://payments.internal/health'), { critical: false })
+//   .register('event-loop', () => true, { liveness: true });
+// app.get('/livez', health.livezHandler());
+// app.get('/readyz', health.readyzHandler());
 
+module.exports = {
+  getHealth,
+  healthMiddleware,
+  HealthRegistry,
+  databaseCheck,
+  cacheCheck,
+  queueBacklogCheck,
+  diskSpaceCheck,
+  urlCheck,
+};
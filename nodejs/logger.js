@@ -1,10 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { getLogFields } = require('./requestContext');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// Level names other libraries use, mapped to the nearest level here
+const LEVEL_ALIASES = {
+  fatal: 'error',
+  critical: 'error',
+  warning: 'warn',
+  verbose: 'debug',
+  trace: 'debug'
+};
+
+const warnedLevels = new Set();
+
+/**
+ * Map a level name to one of LEVELS, case-insensitively
+ * Unknown levels are logged as info, with a warning the first time each is seen,
+ * so a stray level name never makes a log call throw
+ * @param {*} level - Level name
+ * @returns {string} Level
+ */
+function normalizeLevel(level) {
+  const name = String(level).toLowerCase();
+  if (LEVELS[name] !== undefined) return name;
+  if (LEVEL_ALIASES[name]) return LEVEL_ALIASES[name];
+
+  if (!warnedLevels.has(name)) {
+    warnedLevels.add(name);
+    process.emitWarning(`Unknown log level "${level}"; logging as info`, { code: 'LOGGER_UNKNOWN_LEVEL' });
+  }
+  return 'info';
+}
+
+// Fields whose values are replaced before any transport sees a record
+const DEFAULT_REDACTED_FIELDS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'apiKey',
+  'api_key',
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'cardNumber',
+  'cvv'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Record fields set by the logger itself
+const CORE_FIELDS = ['timestamp', 'level', 'message'];
+
+/**
+ * Check a digit string with the Luhn checksum used by card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Issuer prefixes and lengths of the major card networks
+ * (Visa, Mastercard, Amex, Diners, Discover, JCB, UnionPay)
+ */
+const CARD_NETWORKS = [
+  { prefix: /^4/, lengths: [13, 16, 19] },
+  { prefix: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16] },
+  { prefix: /^3[47]/, lengths: [15] },
+  { prefix: /^3(0[0-5]|[689])/, lengths: [14, 16, 17, 18, 19] },
+  { prefix: /^(6011|64[4-9]|65)/, lengths: [16, 17, 18, 19] },
+  { prefix: /^35(2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  { prefix: /^62/, lengths: [16, 17, 18, 19] }
+];
+
+/**
+ * Check whether a digit string looks like a card number: a known issuer
+ * prefix, that network's length, and a valid Luhn checksum. The prefix check
+ * keeps millisecond timestamps and most numeric IDs from being masked.
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether it looks like a card number
+ */
+function isCardNumber(digits) {
+  return CARD_NETWORKS.some(network => network.prefix.test(digits) && network.lengths.includes(digits.length))
+    && passesLuhn(digits);
+}
+
+/**
+ * Mask card numbers (optionally grouped by spaces or dashes) in a string,
+ * keeping the last four digits
+ * @param {string} text - Text
+ * @returns {string} Masked text
+ */
+function maskCardNumbers(text) {
+  return text.replace(/\b\d(?:[ -]?\d){12,18}\b/g, (match) => {
+    const digits = match.replace(/\D/g, '');
+    return isCardNumber(digits) ? `****${digits.slice(-4)}` : match;
+  });
+}
+
+/**
+ * Build the redaction function for a logger
+ * @param {Object} options - Logger options
+ * @returns {Function} (value) => redacted copy
+ */
+function createRedactor(options) {
+  const fields = options.redact === false ? [] : (options.redact || DEFAULT_REDACTED_FIELDS);
+  const names = new Set(fields.filter(field => !field.includes('.')).map(field => field.toLowerCase()));
+  const paths = new Set(fields.filter(field => field.includes('.')).map(field => field.toLowerCase()));
+  const patterns = options.redactPatterns || [];
+  const cards = options.redactCardNumbers !== false && options.redact !== false;
+
+  const redactString = (text) => {
+    let result = cards ? maskCardNumbers(text) : text;
+    for (const pattern of patterns) {
+      result = result.replace(pattern, REDACTED);
+    }
+    return result;
+  };
+
+  const redact = (value, trail, seen, depth) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value)) return '[Circular]';
+    if (depth > 10) return '[Object]';
+
+    seen.add(value);
+    let result;
+    if (value instanceof Error) {
+      result = redact({ name: value.name, message: value.message, stack: value.stack, ...value }, trail, seen, depth);
+    } else if (Array.isArray(value)) {
+      result = value.map(item => redact(item, trail, seen, depth + 1));
+    } else {
+      result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const keyPath = trail ? `${trail}.${key}` : key;
+        result[key] = names.has(key.toLowerCase()) || paths.has(keyPath.toLowerCase())
+          ? REDACTED
+          : redact(item, keyPath, seen, depth + 1);
+      }
+    }
+    seen.delete(value);
+    return result;
+  };
+
+  return value => redact(value, '', new WeakSet(), 0);
+}
+
+/**
+ * Format a record's timestamp for text output
+ * @param {Object} record - Log record
+ * @param {string} format - 'ISO', 'local' or 'custom'
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(record, format) {
+  const now = new Date(record.timestamp);
+
+  switch (format) {
+    case 'local':
+      return now.toLocaleString();
+    case 'custom': {
+      // Simple custom format implementation
+      const year = now.getFullYear();
+      const month = String(now.getMonth() + 1).padStart(2, '0');
+      const day = String(now.getDate()).padStart(2, '0');
+      const hours = String(now.getHours()).padStart(2, '0');
+      const minutes = String(now.getMinutes()).padStart(2, '0');
+      const seconds = String(now.getSeconds()).padStart(2, '0');
+
+      return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    }
+    default:
+      return record.timestamp;
+  }
+}
+
+/**
+ * Built-in formatters: (record) => string
+ */
+const formatters = {
+  /**
+   * One JSON object per line
+   * @returns {Function} Formatter
+   */
+  json: () => record => JSON.stringify(record),
+
+  /**
+   * `[timestamp] [LEVEL] message {fields}`
+   * @param {Object} options - Options
+   * @param {boolean} options.timestamp - Include timestamps (default true)
+   * @param {string} options.timestampFormat - 'ISO' (default), 'local' or 'custom'
+   * @returns {Function} Formatter
+   */
+  text: (options = {}) => (record) => {
+    const { timestamp, level, message, ...fields } = record;
+    const prefix = options.timestamp === false
+      ? `[${level.toUpperCase()}]`
+      : `[${formatTimestamp(record, options.timestampFormat)}] [${level.toUpperCase()}]`;
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+
+    return `${prefix} ${message}${extra}`;
+  }
+};
+
+/**
+ * Built-in transports
+ *
+ * A transport is an object with `write(record, formatted)` and optionally
+ * `level` (most verbose level it accepts), `formatter` and `close()`.
+ */
+const transports = {
+  /**
+   * Write to the console method matching the level
+   * @param {Object} options - { level, formatter }
+   * @returns {Object} Transport
+   */
+  console: (options = {}) => ({
+    level: options.level,
+    formatter: options.formatter,
+    write: (record, formatted) => console[record.level](formatted)
+  }),
+
+  /**
+   * Append to a file, rotating it when it would exceed maxSize:
+   * app.log -> app.log.1 -> app.log.2 ..., keeping maxFiles old files.
+   * Writes are synchronous, like console output, so nothing is lost on exit.
+   * @param {Object} options - Options
+   * @param {string} options.filename - Log file path
+   * @param {number} options.maxSize - Bytes before rotating (default 10 MB)
+   * @param {number} options.maxFiles - Rotated files to keep (default 5)
+   * @param {string} options.level - Most verbose level written
+   * @param {Function} options.formatter - Formatter (default JSON)
+   * @returns {Object} Transport
+   */
+  file: (options = {}) => {
+    const { filename, maxSize = 10 * 1024 * 1024, maxFiles = 5 } = options;
+    if (!filename) {
+      throw new Error('File transport requires a filename');
+    }
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    let size = 0;
+    try {
+      size = fs.statSync(filename).size;
+    } catch (error) {
+      size = 0;
+    }
+    let fd = fs.openSync(filename, 'a');
+
+    const rotate = () => {
+      fs.closeSync(fd);
+      for (let i = maxFiles - 1; i >= 1; i--) {
+        try {
+          fs.renameSync(`${filename}.${i}`, `${filename}.${i + 1}`);
+        } catch (error) {
+          // No file at this position yet
+        }
+      }
+      if (maxFiles > 0) {
+        fs.renameSync(filename, `${filename}.1`);
+      } else {
+        fs.unlinkSync(filename);
+      }
+      fd = fs.openSync(filename, 'a');
+      size = 0;
+    };
+
+    return {
+      level: options.level,
+      formatter: options.formatter || formatters.json(),
+      write: (record, formatted) => {
+        const line = `${formatted}\n`;
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > maxSize) {
+          rotate();
+        }
+        fs.writeSync(fd, line);
+        size += bytes;
+      },
+      close: () => {
+        if (fd !== null) {
+          fs.closeSync(fd);
+          fd = null;
+        }
+      }
+    };
+  },
+
+  /**
+   * Keep the most recent records in memory, e.g. for a debug endpoint or tests
+   * @param {Object} options - Options
+   * @param {number} options.limit - Records kept (default 1000)
+   * @param {string} options.level - Most verbose level kept
+   * @returns {Object} Transport with getRecords({ level, limit }) and clear()
+   */
+  memory: (options = {}) => {
+    const limit = options.limit || 1000;
+    let records = [];
+    let next = 0;
+
+    return {
+      level: options.level,
+      formatter: record => record,
+      write: (record) => {
+        if (records.length < limit) {
+          records.push(record);
+        } else {
+          records[next] = record;
+        }
+        next = (next + 1) % limit;
+      },
+      getRecords: (filter = {}) => {
+        const ordered = records.length < limit
+          ? records.slice()
+          : records.slice(next).concat(records.slice(0, next));
+        const matching = filter.level
+          ? ordered.filter(record => LEVELS[record.level] <= LEVELS[filter.level])
+          : ordered;
+        return filter.limit ? matching.slice(-filter.limit) : matching;
+      },
+      clear: () => {
+        records = [];
+        next = 0;
+      }
+    };
+  },
+
+  /**
+   * Write formatted lines to any writable stream
+   * @param {Object} options - { stream, level, formatter (default JSON) }
+   * @returns {Object} Transport
+   */
+  stream: (options = {}) => {
+    if (!options.stream || typeof options.stream.write !== 'function') {
+      throw new Error('Stream transport requires a writable stream');
+    }
+
+    return {
+      level: options.level,
+      formatter: options.formatter || formatters.json(),
+      write: (record, formatted) => options.stream.write(`${formatted}\n`)
+    };
+  }
+};
+
 /**
  * Enhanced logging utility with multiple log levels and formatting options
+ *
+ * Every method builds the same record, `{ timestamp, level, message, ...fields }`,
+ * redacts it, and hands it to each transport whose level allows it.
  * @param {Object} options - Logger configuration options
- * @param {string} [options.level='info'] - Log level (error, warn, info, debug)
- * @param {boolean} [options.timestamp=true] - Include timestamps
+ * @param {string} [options.level='info'] - Log level (error, warn, info, debug);
+ *   the default for transports without their own level
+ * @param {boolean} [options.timestamp=true] - Include timestamps in text output
  * @param {string} [options.timestampFormat='ISO'] - Timestamp format ('ISO', 'local', 'custom')
- * @param {string} [options.customFormat] - Custom timestamp format string
+ * @param {string} [options.format='text'] - Default formatter ('text' or 'json')
+ * @param {Array} [options.transports] - Transports (default: console)
+ * @param {Object} [options.context] - Fields added to every record
+ * @param {Array<string>|false} [options.redact] - Field names or dotted paths to
+ *   redact (default DEFAULT_REDACTED_FIELDS), or false to disable redaction
+ * @param {Array<RegExp>} [options.redactPatterns] - Patterns redacted from strings
+ * @param {boolean} [options.redactCardNumbers=true] - Mask card numbers in strings
+ * @param {boolean} [options.requestContext=true] - Add the current request's
+ *   requestId and traceId (see requestContext.js) to records
  * @returns {Object} Logger object with log methods
  */
 function createLogger(options = {}) {
@@ -12,107 +390,148 @@ function createLogger(options = {}) {
     level = 'info',
     timestamp = true,
     timestampFormat = 'ISO',
-    customFormat = 'YYYY-MM-DD HH:mm:ss'
+    format = 'text'
   } = options;
 
-  const levels = {
-    error: 0,
-    warn: 1,
-    info: 2,
-    debug: 3
+  const state = {
+    level: LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info
   };
+  const defaultFormatter = format === 'json'
+    ? formatters.json()
+    : formatters.text({ timestamp, timestampFormat });
+  const outputs = (options.transports || [transports.console()]).map(transport => ({
+    transport,
+    format: transport.formatter || defaultFormatter
+  }));
+  const redact = createRedactor(options);
+  const contextFields = options.requestContext === false ? () => ({}) : getLogFields;
 
-  let currentLevel = levels[level] || levels.info;
-
-  const getTimestamp = () => {
-    if (!timestamp) return '';
-    
-    const now = new Date();
-    
-    switch (timestampFormat) {
-      case 'ISO':
-        return `[${now.toISOString()}]`;
-      case 'local':
-        return `[${now.toLocaleString()}]`;
-      case 'custom':
-        // Simple custom format implementation
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        
-        return `[${year}-${month}-${day} ${hours}:${minutes}:${seconds}]`;
-      default:
-        return `[${now.toISOString()}]`;
-    }
-  };
+  const accepts = (transport, recordLevel) => LEVELS[recordLevel] <= (
+    transport.level !== undefined && LEVELS[transport.level] !== undefined
+      ? LEVELS[transport.level]
+      : state.level
+  );
 
-  const log = (level, message, data = null) => {
-    if (levels[level] <= currentLevel) {
-      const timestamp = getTimestamp();
-      const prefix = timestamp ? `${timestamp} [${level.toUpperCase()}]` : `[${level.toUpperCase()}]`;
-      
-      if (data) {
-        console[level](`${prefix} ${message}`, data);
-      } else {
-        console[level](`${prefix} ${message}`);
+  const build = (bindings) => {
+    const log = (requestedLevel, message, data = null) => {
+      const level = normalizeLevel(requestedLevel);
+      if (!outputs.some(output => accepts(output.transport, level))) return;
+
+      let fields = data;
+      if (data instanceof Error) {
+        fields = { error: data };
+      } else if (data !== null && data !== undefined && (typeof data !== 'object' || Array.isArray(data))) {
+        fields = { data };
       }
-    }
-  };
 
-  return {
-    error: (message, data) => log('error', message, data),
-    warn: (message, data) => log('warn', message, data),
-    info: (message, data) => log('info', message, data),
-    debug: (message, data) => log('debug', message, data),
-    
-    // Utility methods
-    setLevel: (newLevel) => {
-      if (levels[newLevel] !== undefined) {
-        currentLevel = levels[newLevel];
+      // User data can't replace the core fields; colliding values are kept
+      // under `fields` instead
+      const extra = { ...contextFields(), ...bindings, ...fields };
+      const collisions = {};
+      for (const name of CORE_FIELDS) {
+        if (name in extra) {
+          collisions[name] = extra[name];
+          delete extra[name];
+        }
+      }
+      if (Object.keys(collisions).length > 0) {
+        extra.fields = { ...extra.fields, ...collisions };
       }
-    },
-    
-    // Performance logging
-    time: (label) => console.time(label),
-    timeEnd: (label) => console.timeEnd(label),
-    
-    // Group logging
-    group: (label) => console.group(label),
-    groupEnd: () => console.groupEnd(),
-    
-    // Table logging
-    table: (data) => console.table(data),
-    
-    // Structured logging
-    log: (level, message, metadata = {}) => {
-      const logEntry = {
+
+      const record = redact({
         timestamp: new Date().toISOString(),
-        level: level.toUpperCase(),
-        message,
-        ...metadata
-      };
-      console.log(JSON.stringify(logEntry));
-    },
-    
-    // Success logging
-    success: (message, data) => log('info', `✅ ${message}`, data),
-    
-    // Failure logging
-    failure: (message, data) => log('error', `❌ ${message}`, data)
+        level,
+        message: String(message),
+        ...extra
+      });
+
+      for (const output of outputs) {
+        if (!accepts(output.transport, level)) continue;
+        try {
+          output.transport.write(record, output.format(record));
+        } catch (error) {
+          console.error('Log transport failed:', error.message);
+        }
+      }
+    };
+
+    return {
+      error: (message, data) => log('error', message, data),
+      warn: (message, data) => log('warn', message, data),
+      info: (message, data) => log('info', message, data),
+      debug: (message, data) => log('debug', message, data),
+
+      // Structured logging, same record and transports as the level methods
+      log: (level, message, metadata = {}) => log(level, message, metadata),
+
+      /**
+       * Create a logger that adds fields to every record
+       * Children share their parent's transports and level.
+       * @param {Object} childBindings - Fields, e.g. { requestId }
+       * @returns {Object} Logger
+       */
+      child: childBindings => build({ ...bindings, ...childBindings }),
+
+      // Utility methods
+      setLevel: (newLevel) => {
+        if (LEVELS[newLevel] !== undefined) {
+          state.level = LEVELS[newLevel];
+        }
+      },
+
+      /**
+       * Flush and close transports
+       * @returns {Promise<void>}
+       */
+      close: () => Promise.all(outputs
+        .filter(output => typeof output.transport.close === 'function')
+        .map(output => output.transport.close())).then(() => {}),
+
+      // Performance logging
+      time: (label) => console.time(label),
+      timeEnd: (label) => console.timeEnd(label),
+
+      // Group logging
+      group: (label) => console.group(label),
+      groupEnd: () => console.groupEnd(),
+
+      // Table logging
+      table: (data) => console.table(data),
+
+      // Success logging
+      success: (message, data) => log('info', `✅ ${message}`, data),
+
+      // Failure logging
+      failure: (message, data) => log('error', `❌ ${message}`, data)
+    };
   };
+
+  return build({ ...(options.context || {}) });
 }
 
 // Example usage:
-// const logger = createLogger({ 
-//   level: 'debug', 
-//   timestamp: true, 
-//   timestampFormat: 'local' 
+// const logger = createLogger({
+//   level: 'debug',
+//   timestamp: true,
+//   timestampFormat: 'local'
 // });
-// 
+//
 // logger.info('Server started', { port: 3000 });
 // logger.error('Database connection failed', { error: 'Connection timeout' });
+//
+// const logger = createLogger({
+//   transports: [
+//     createLogger.transports.console({ level: 'info' }),
+//     createLogger.transports.file({ filename: 'logs/app.log', level: 'debug', maxSize: 5e6 })
+//   ],
+//   redact: [...createLogger.DEFAULT_REDACTED_FIELDS, 'user.ssn']
+// });
+// const requestLogger = logger.child({ requestId: 'abc123' });
+// requestLogger.info('Login', { user: 'ana', password: 'hunter2' }); // password: [REDACTED]
 
-module.exports = createLogger;
\ No newline at end of file
+module.exports = createLogger;
+module.exports.createLogger = createLogger;
+module.exports.transports = transports;
+module.exports.formatters = formatters;
+module.exports.LEVELS = LEVELS;
+module.exports.DEFAULT_REDACTED_FIELDS = DEFAULT_REDACTED_FIELDS;
@@ -0,0 +1,688 @@
+/**
+ * Prometheus metrics for Node.js applications
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format, plus collectors that turn the stats of this library's cache, rate
+ * limiter, error monitor, database monitor, queue manager and task scheduler
+ * into metrics at scrape time.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label name -> value
+ * @returns {string} Label block, empty when there are no labels
+ */
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render a sample value
+ * @param {number} value - Value
+ * @returns {string} Prometheus number
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Render one metric family
+ * @param {Object} family - { name, help, type, samples: [{ name, labels, value }] }
+ * @returns {string} Text block
+ */
+function formatFamily(family) {
+  const lines = [
+    `# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${family.name} ${family.type}`
+  ];
+  for (const sample of family.samples) {
+    lines.push(`${sample.name || family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Base class for metrics with label sets
+ */
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {Object} options - Options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} options.labelNames - Allowed label names
+   */
+  constructor(type, options = {}) {
+    if (!options.name || !NAME_PATTERN.test(options.name)) {
+      throw new Error(`Invalid metric name: ${options.name}`);
+    }
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help || options.name;
+    this.labelNames = options.labelNames || [];
+    this.values = new Map();
+  }
+
+  /**
+   * Key for a label set, checking label names
+   * @param {Object} labels - Labels
+   * @returns {string} Key
+   */
+  getKey(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label ${name} for metric ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  /**
+   * Get or create the entry for a label set
+   * @param {Object} labels - Labels
+   * @param {Function} create - () => initial entry
+   * @returns {Object} Entry
+   */
+  getEntry(labels, create) {
+    const key = this.getKey(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: { ...labels }, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Remove all values
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Get samples for rendering
+   * @returns {Array} [{ name, labels, value }]
+   */
+  getSamples() {
+    return Array.from(this.values.values()).map(entry => ({ labels: entry.labels, value: entry.value }));
+  }
+
+  /**
+   * Get the metric family for rendering
+   * @returns {Object} { name, help, type, samples }
+   */
+  collect() {
+    return { name: this.name, help: this.help, type: this.type, samples: this.getSamples() };
+  }
+}
+
+/**
+ * Value that only goes up (requests served, errors seen)
+ */
+class Counter extends Metric {
+  constructor(options = {}) {
+    super('counter', options);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object|number} labels - Labels, or the amount when unlabelled
+   * @param {number} amount - Amount (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getEntry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Get the current value
+   * @param {Object} labels - Labels
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    const entry = this.values.get(this.getKey(labels));
+    return entry ? entry.value : 0;
+  }
+}
+
+/**
+ * Value that goes up and down (queue length, connections in use)
+ */
+class Gauge extends Metric {
+  constructor(options = {}) {
+    super('gauge', options);
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object|number} labels - Labels, or the value when unlabelled
+   * @param {number} value - Value
+   */
+  set(labels = {}, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.getEntry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Increase the gauge
+   * @param {Object|number} labels - Labels, or the amount when unlabelled
+   * @param {number} amount - Amount (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    this.getEntry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Decrease the gauge
+   * @param {Object|number} labels - Labels, or the amount when unlabelled
+   * @param {number} amount - Amount (default 1)
+   */
+  dec(labels = {}, amount = 1) {
+    if (typeof labels === 'number') {
+      [labels, amount] = [{}, labels];
+    }
+    this.inc(labels, -amount);
+  }
+
+  /**
+   * Get the current value
+   * @param {Object} labels - Labels
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    const entry = this.values.get(this.getKey(labels));
+    return entry ? entry.value : 0;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets (durations, sizes)
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {Array<number>} options.buckets - Upper bounds (default: request
+   *   durations in seconds from 5ms to 10s)
+   */
+  constructor(options = {}) {
+    super('histogram', options);
+    if (this.labelNames.includes('le')) {
+      throw new Error('Histogram labels cannot include "le"');
+    }
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record a value
+   * @param {Object|number} labels - Labels, or the value when unlabelled
+   * @param {number} value - Value
+   */
+  observe(labels = {}, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+
+    const entry = this.getEntry(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      entry.counts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer that observes the elapsed seconds when called
+   * @param {Object} labels - Labels
+   * @returns {Function} (extraLabels) => elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  getSamples() {
+    return Array.from(this.values.values()).flatMap(entry => histogramSamples(
+      this.name, entry.labels, this.buckets, entry.counts, entry.sum, entry.count
+    ));
+  }
+}
+
+/**
+ * Build histogram samples from per-bucket counts
+ * @param {string} name - Metric name
+ * @param {Object} labels - Labels
+ * @param {Array<number>} bounds - Bucket upper bounds
+ * @param {Array<number>} counts - Observations per bucket (not cumulative)
+ * @param {number} sum - Sum of observations
+ * @param {number} count - Number of observations, including those above every bound
+ * @returns {Array} Samples
+ */
+function histogramSamples(name, labels, bounds, counts, sum, count) {
+  const samples = [];
+  let cumulative = 0;
+  bounds.forEach((bound, index) => {
+    cumulative += counts[index];
+    samples.push({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: cumulative });
+  });
+  samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+  samples.push({ name: `${name}_sum`, labels, value: sum });
+  samples.push({ name: `${name}_count`, labels, value: count });
+  return samples;
+}
+
+/**
+ * Holds metrics and collectors and renders them for scraping
+ */
+class MetricsRegistry {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.defaultLabels - Labels added to every sample (e.g. { service: 'api' })
+   */
+  constructor(options = {}) {
+    this.registered = new Map();
+    this.collectors = [];
+    this.defaultLabels = options.defaultLabels || {};
+  }
+
+  /**
+   * Register a metric
+   * @param {Metric} metric - Metric
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    if (this.registered.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.registered.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Create and register a counter, or return the registered one
+   * @param {Object} options - Counter options
+   * @returns {Counter} Counter
+   */
+  counter(options) {
+    return this.registered.get(options.name) || this.register(new Counter(options));
+  }
+
+  /**
+   * Create and register a gauge, or return the registered one
+   * @param {Object} options - Gauge options
+   * @returns {Gauge} Gauge
+   */
+  gauge(options) {
+    return this.registered.get(options.name) || this.register(new Gauge(options));
+  }
+
+  /**
+   * Create and register a histogram, or return the registered one
+   * @param {Object} options - Histogram options
+   * @returns {Histogram} Histogram
+   */
+  histogram(options) {
+    return this.registered.get(options.name) || this.register(new Histogram(options));
+  }
+
+  /**
+   * Get a registered metric
+   * @param {string} name - Metric name
+   * @returns {Metric|undefined} Metric
+   */
+  getMetric(name) {
+    return this.registered.get(name);
+  }
+
+  /**
+   * Register a collector, run at every scrape
+   * @param {Function} collector - () => families (or a Promise of them), each
+   *   { name, help, type, samples: [{ name, labels, value }] }
+   * @returns {Function} Unregisters the collector
+   */
+  registerCollector(collector) {
+    this.collectors.push(collector);
+    return () => {
+      this.collectors = this.collectors.filter(existing => existing !== collector);
+    };
+  }
+
+  /**
+   * Gather every metric family
+   * Families with the same name from several collectors (e.g. two caches)
+   * are merged.
+   * @returns {Promise<Array>} Families
+   */
+  async collect() {
+    const families = new Map();
+    const add = (family) => {
+      const existing = families.get(family.name);
+      if (existing) {
+        existing.samples.push(...family.samples);
+      } else {
+        families.set(family.name, { ...family, samples: [...family.samples] });
+      }
+    };
+
+    for (const metric of this.registered.values()) {
+      add(metric.collect());
+    }
+    for (const collector of this.collectors) {
+      try {
+        for (const family of await collector()) {
+          add(family);
+        }
+      } catch (error) {
+        console.error('Metrics collector failed:', error.message);
+      }
+    }
+
+    return Array.from(families.values()).map(family => ({
+      ...family,
+      samples: family.samples.map(sample => ({ ...sample, labels: { ...this.defaultLabels, ...sample.labels } }))
+    }));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async metrics() {
+    const families = await this.collect();
+    return `${families.filter(family => family.samples.length > 0).map(formatFamily).join('\n')}\n`;
+  }
+
+  /**
+   * Reset registered metrics (collectors are unaffected)
+   */
+  resetMetrics() {
+    for (const metric of this.registered.values()) {
+      metric.reset();
+    }
+  }
+}
+
+const defaultRegistry = new MetricsRegistry();
+
+/**
+ * Shorthand for building collector output
+ * @param {string} name - Metric name
+ * @param {string} type - counter or gauge
+ * @param {string} help - Description
+ * @param {Array} samples - [{ labels, value }]
+ * @returns {Object} Family
+ */
+function family(name, type, help, samples) {
+  return { name, type, help, samples: samples.filter(sample => typeof sample.value === 'number') };
+}
+
+/**
+ * Collector for a CacheManager
+ * @param {CacheManager} cache - Cache manager
+ * @param {Object} options - { name: value of the `cache` label (default 'default') }
+ * @returns {Function} Collector
+ */
+function cacheCollector(cache, options = {}) {
+  const labels = { cache: options.name || 'default' };
+  const counters = {
+    hits: 'Cache lookups that found a fresh value',
+    misses: 'Cache lookups that found nothing',
+    sets: 'Values written to the cache',
+    deletes: 'Values deleted from the cache',
+    evictions: 'Entries evicted to respect size limits',
+    evictedBytes: 'Bytes evicted to respect size limits',
+    staleHits: 'Stale values served while revalidating',
+    staleIfErrorHits: 'Stale values served because loading failed',
+    coalesced: 'getOrSet calls that joined an in-flight load',
+    refreshes: 'Background refreshes started',
+    refreshErrors: 'Background refreshes that failed',
+    invalidations: 'Entries removed by tag or pattern invalidation'
+  };
+
+  return () => {
+    const stats = cache.getStats();
+    if (!stats.enabled) return [];
+
+    const snake = key => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    const families = Object.entries(counters).map(([key, help]) => family(
+      `cache_${snake(key)}_total`, 'counter', help, [{ labels, value: stats[key] }]
+    ));
+    families.push(family('cache_inflight_loads', 'gauge', 'getOrSet loads in progress', [{ labels, value: stats.inflight }]));
+
+    if (stats.store) {
+      families.push(family('cache_entries', 'gauge', 'Entries in the cache store', [{ labels, value: stats.store.entries }]));
+      families.push(family('cache_bytes', 'gauge', 'Bytes held by the cache store', [{ labels, value: stats.store.bytes }]));
+    }
+    return families;
+  };
+}
+
+/**
+ * Collector for a RateLimiter
+ * @param {RateLimiter} limiter - Rate limiter
+ * @param {Object} options - { name: value of the `limiter` label (default 'default') }
+ * @returns {Function} Collector
+ */
+function rateLimiterCollector(limiter, options = {}) {
+  const name = options.name || 'default';
+
+  return async () => {
+    const stats = limiter.getStats();
+    return [
+      family('ratelimit_requests_total', 'counter', 'Requests checked by the rate limiter', [
+        { labels: { limiter: name, result: 'allowed' }, value: stats.allowed },
+        { labels: { limiter: name, result: 'denied' }, value: stats.denied }
+      ]),
+      family('ratelimit_tracked_keys', 'gauge', 'Keys with rate limit state', [
+        { labels: { limiter: name }, value: await stats.keys }
+      ])
+    ];
+  };
+}
+
+/**
+ * Collector for an ErrorMonitor, labelled by error name
+ * @param {ErrorMonitor} monitor - Error monitor
+ * @returns {Function} Collector
+ */
+function errorMonitorCollector(monitor) {
+  return () => {
+    const totals = new Map();
+    const recent = new Map();
+    for (const entry of Object.values(monitor.getStats())) {
+      totals.set(entry.name, (totals.get(entry.name) || 0) + entry.total);
+      recent.set(entry.name, (recent.get(entry.name) || 0) + entry.recent);
+    }
+
+    return [
+      family('errors_total', 'counter', 'Errors tracked by the error monitor',
+        Array.from(totals, ([name, value]) => ({ labels: { name }, value }))),
+      family('errors_recent', 'gauge', 'Errors within the monitor\'s time window',
+        Array.from(recent, ([name, value]) => ({ labels: { name }, value })))
+    ];
+  };
+}
+
+/**
+ * Collector for a DatabaseMonitor
+ * Query durations are exposed as a histogram in seconds using the monitor's
+ * own buckets, from the monitor's lifetime totals (fingerprints can be
+ * evicted, which would make sums over them go down).
+ * @param {DatabaseMonitor} monitor - Database monitor
+ * @returns {Function} Collector
+ */
+function databaseMonitorCollector(monitor) {
+  return () => {
+    const bounds = monitor.options.histogramBuckets;
+    const { buckets, totalDuration: sum, count, errors } = monitor.totals;
+    const counts = buckets.slice(0, bounds.length);
+
+    const stats = monitor.getStats();
+    return [
+      {
+        name: 'db_query_duration_seconds',
+        type: 'histogram',
+        help: 'Database query duration',
+        samples: histogramSamples('db_query_duration_seconds', {}, bounds.map(bound => bound / 1000), counts, sum / 1000, count)
+      },
+      family('db_query_errors_total', 'counter', 'Database queries that failed', [{ labels: {}, value: errors }]),
+      family('db_query_fingerprints', 'gauge', 'Distinct normalized queries seen', [{ labels: {}, value: stats.totalFingerprints }]),
+      family('db_n_plus_one_detections', 'gauge', 'Retained N+1 query detections', [{ labels: {}, value: stats.nPlusOneDetections }])
+    ];
+  };
+}
+
+/**
+ * Collector for a QueueManager, labelled by queue
+ * @param {QueueManager} manager - Queue manager
+ * @returns {Function} Collector
+ */
+function queueManagerCollector(manager) {
+  return () => {
+    const statuses = Object.values(manager.getAllStatuses());
+    const samples = (pick) => statuses.map(status => ({ labels: { queue: status.name }, value: pick(status) }));
+
+    return [
+      family('queue_jobs', 'gauge', 'Jobs in each queue by state', statuses.flatMap(status => [
+        { labels: { queue: status.name, state: 'waiting' }, value: status.size },
+        { labels: { queue: status.name, state: 'active' }, value: status.running },
+        { labels: { queue: status.name, state: 'dead_letter' }, value: status.deadLetter }
+      ])),
+      family('queue_jobs_added_total', 'counter', 'Jobs added', samples(status => status.stats.total)),
+      family('queue_jobs_completed_total', 'counter', 'Jobs completed', samples(status => status.stats.completed)),
+      family('queue_jobs_failed_total', 'counter', 'Jobs that failed for good', samples(status => status.stats.failed)),
+      family('queue_job_retries_total', 'counter', 'Job retries scheduled', samples(status => status.stats.retries)),
+      family('queue_paused', 'gauge', '1 if the queue is paused', samples(status => (status.paused ? 1 : 0))),
+      family('queue_concurrency', 'gauge', 'Jobs the queue runs at once', samples(status => status.concurrency))
+    ];
+  };
+}
+
+/**
+ * Collector for a TaskScheduler, labelled by task
+ * @param {TaskScheduler} scheduler - Task scheduler
+ * @returns {Function} Collector
+ */
+function taskSchedulerCollector(scheduler) {
+  return () => {
+    const stats = scheduler.getStats();
+    const tasks = stats.taskNames
+      .map(name => ({ name, stats: scheduler.getTaskStats(name) }))
+      .filter(task => task.stats);
+
+    const results = { succeeded: 'success', failed: 'failure', timedOut: 'timeout', skipped: 'skipped' };
+    return [
+      family('scheduler_tasks', 'gauge', 'Scheduled tasks by state', [
+        { labels: { state: 'running' }, value: stats.runningTasks },
+        { labels: { state: 'stopped' }, value: stats.stoppedTasks }
+      ]),
+      family('scheduler_task_runs_total', 'counter', 'Finished task runs by result', tasks.flatMap(task => (
+        Object.entries(results).map(([key, result]) => ({ labels: { task: task.name, result }, value: task.stats[key] }))
+      ))),
+      family('scheduler_task_active_runs', 'gauge', 'Task runs in progress',
+        tasks.map(task => ({ labels: { task: task.name }, value: task.stats.active }))),
+      family('scheduler_task_queued_runs', 'gauge', 'Task runs waiting behind an overlapping run',
+        tasks.map(task => ({ labels: { task: task.name }, value: task.stats.queued }))),
+      family('scheduler_task_last_run_timestamp_seconds', 'gauge', 'When each task last started',
+        tasks.filter(task => task.stats.lastRun).map(task => ({
+          labels: { task: task.name },
+          value: new Date(task.stats.lastRun.startedAt || task.stats.lastRun.scheduledFor).getTime() / 1000
+        })))
+    ];
+  };
+}
+
+/**
+ * Collector for process memory, CPU and uptime
+ * @returns {Function} Collector
+ */
+function processCollector() {
+  return () => {
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    return [
+      family('process_cpu_seconds_total', 'counter', 'User and system CPU time', [{ labels: {}, value: (cpu.user + cpu.system) / 1e6 }]),
+      family('process_resident_memory_bytes', 'gauge', 'Resident memory size', [{ labels: {}, value: memory.rss }]),
+      family('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use', [{ labels: {}, value: memory.heapUsed }]),
+      family('nodejs_heap_total_bytes', 'gauge', 'V8 heap allocated', [{ labels: {}, value: memory.heapTotal }]),
+      family('process_uptime_seconds', 'gauge', 'Process uptime', [{ labels: {}, value: process.uptime() }])
+    ];
+  };
+}
+
+/**
+ * Express handler serving the registry at e.g. `GET /metrics`
+ * @param {MetricsRegistry} registry - Registry (default: the shared one)
+ * @returns {Function} Express handler
+ */
+function createMetricsHandler(registry = defaultRegistry) {
+  return async (req, res, next) => {
+    try {
+      const body = await registry.metrics();
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(body);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Example usage:
+// const registry = new MetricsRegistry({ defaultLabels: { service: 'api' } });
+// registry.registerCollector(cacheCollector(cacheManager, { name: 'users' }));
+// registry.registerCollector(queueManagerCollector(queueManager));
+// registry.registerCollector(processCollector());
+// const requests = registry.counter({ name: 'http_requests_total', help: 'HTTP requests', labelNames: ['method', 'status'] });
+// requests.inc({ method: 'GET', status: 200 });
+// app.get('/metrics', createMetricsHandler(registry));
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  defaultRegistry,
+  cacheCollector,
+  rateLimiterCollector,
+  errorMonitorCollector,
+  databaseMonitorCollector,
+  queueManagerCollector,
+  taskSchedulerCollector,
+  processCollector,
+  createMetricsHandler
+};
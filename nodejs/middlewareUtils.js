@@ -4,10 +4,16 @@
  */
 
 const crypto = require('crypto');
+const { RateLimiter } = require('./rateLimiter');
+const { requestContextMiddleware } = require('./requestContext');
+const tracing = require('./tracing');
 
 /**
  * Request logging middleware with customizable options
+ * Also starts the request context (see requestContext.js), so everything
+ * logged while handling the request carries its request ID.
  * @param {Object} options - Logging options
+ * @param {string} options.requestIdHeader - Header to read and echo the request ID (default 'X-Request-Id')
  * @returns {Function} Express middleware
  */
 function requestLogger(options = {}) {
@@ -16,10 +22,13 @@ function requestLogger(options = {}) {
     includeHeaders = false,
     includeBody = false,
     excludePaths = [],
-    customFormat
+    customFormat,
+    requestIdHeader = 'X-Request-Id'
   } = options;
 
-  return (req, res, next) => {
+  const withContext = requestContextMiddleware({ header: requestIdHeader });
+
+  return (req, res, next) => withContext(req, res, () => {
     const startTime = Date.now();
     const originalSend = res.send;
 
@@ -32,6 +41,7 @@ function requestLogger(options = {}) {
     res.send = function(data) {
       const duration = Date.now() - startTime;
       const logData = {
+        requestId: req.id,
         method: req.method,
         url: req.url,
         statusCode: res.statusCode,
@@ -54,7 +64,7 @@ function requestLogger(options = {}) {
       } else {
         switch (format) {
           case 'combined':
-            console.log(`${logData.method} ${logData.url} ${logData.statusCode} ${logData.duration}`);
+            console.log(`${logData.method} ${logData.url} ${logData.statusCode} ${logData.duration} ${logData.requestId}`);
             break;
           case 'detailed':
             console.log(JSON.stringify(logData, null, 2));
@@ -63,7 +73,7 @@ function requestLogger(options = {}) {
             console.log(`${logData.method} ${logData.url} ${logData.statusCode}`);
             break;
           default:
-            console.log(`${logData.method} ${logData.url} ${logData.statusCode} ${logData.duration}`);
+            console.log(`${logData.method} ${logData.url} ${logData.statusCode} ${logData.duration} ${logData.requestId}`);
         }
       }
 
@@ -71,6 +81,60 @@ function requestLogger(options = {}) {
     };
 
     next();
+  });
+}
+
+/**
+ * Request tracing middleware
+ * Records a SERVER span per request with the tracer set via
+ * tracing.setTracer(), continuing the caller's trace from an incoming
+ * `traceparent` header. Handlers run with the span active, so spans they
+ * start (queries, outbound requests) become its children.
+ * @param {Object} options - Tracing options
+ * @param {Array<string>} options.excludePaths - Path prefixes not traced (e.g. health checks)
+ * @returns {Function} Express middleware
+ */
+function traceRequests(options = {}) {
+  const { excludePaths = [] } = options;
+
+  return (req, res, next) => {
+    const tracer = tracing.getTracer();
+    if (!tracer || excludePaths.some(path => req.path.startsWith(path))) {
+      return next();
+    }
+
+    const span = tracer.startSpan(`${req.method} ${req.path}`, {
+      kind: 'SERVER',
+      parent: tracing.extractTraceContext(req.headers) || undefined,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'url.full': req.originalUrl || req.url,
+        'client.address': req.ip,
+        'user_agent.original': req.headers['user-agent']
+      }
+    });
+
+    res.on('finish', () => {
+      // Express knows the matched route only once routing is done
+      if (req.route && req.route.path) {
+        span.name = `${req.method} ${(req.baseUrl || '') + req.route.path}`;
+        span.setAttribute('http.route', (req.baseUrl || '') + req.route.path);
+      }
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus('ERROR', `HTTP ${res.statusCode}`);
+      }
+      span.end();
+    });
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        span.setStatus('ERROR', 'Connection closed before response finished');
+        span.end();
+      }
+    });
+
+    tracer.runWithSpan(span, () => next());
   };
 }
 
@@ -252,6 +316,9 @@ function cors(options = {}) {
 
 /**
  * Rate limiting middleware
+ * Pass a shared `store` (see rateLimiter.js) to enforce the limit across
+ * cluster workers or hosts, and a `name` when other limiters with the same
+ * settings (e.g. login and API) share that store but must count separately
  * @param {Object} options - Rate limiting options
  * @returns {Function} Express middleware
  */
@@ -263,48 +330,35 @@ function rateLimit(options = {}) {
     statusCode = 429,
     headers = true,
     skipSuccessfulRequests = false,
-    skipFailedRequests = false
+    skipFailedRequests = false,
+    algorithm = 'sliding-window',
+    store,
+    name,
+    keyGenerator = req => req.ip
   } = options;
 
-  const store = new Map();
-
-  return (req, res, next) => {
-    const key = req.ip;
-    const now = Date.now();
-    const windowStart = now - windowMs;
+  const limiter = new RateLimiter({ algorithm, windowMs, maxRequests: max, store, name });
 
-    if (!store.has(key)) {
-      store.set(key, []);
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await limiter.consume(keyGenerator(req));
+    } catch (error) {
+      return next(error);
     }
 
-    const requests = store.get(key);
-    
-    // Remove old requests outside the window
-    const validRequests = requests.filter(timestamp => timestamp > windowStart);
-    store.set(key, validRequests);
-
-    if (validRequests.length >= max) {
-      if (headers) {
-        res.set('X-RateLimit-Limit', max);
-        res.set('X-RateLimit-Remaining', 0);
-        res.set('X-RateLimit-Reset', new Date(now + windowMs).toISOString());
-      }
+    if (headers) {
+      res.set('X-RateLimit-Limit', max);
+      res.set('X-RateLimit-Remaining', result.remaining);
+      res.set('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
+    }
 
+    if (!result.allowed) {
       return res.status(statusCode).json({
         error: message
       });
     }
 
-    // Add current request
-    validRequests.push(now);
-    store.set(key, validRequests);
-
-    if (headers) {
-      res.set('X-RateLimit-Limit', max);
-      res.set('X-RateLimit-Remaining', max - validRequests.length);
-      res.set('X-RateLimit-Reset', new Date(now + windowMs).toISOString());
-    }
-
     next();
   };
 }
@@ -553,6 +607,7 @@ function securityHeaders(options = {}) {
 
 module.exports = {
   requestLogger,
+  traceRequests,
   validateRequest,
   authenticate,
   authorize,
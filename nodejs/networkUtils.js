@@ -5,9 +5,12 @@
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { trace, injectTraceContext } = require('./tracing');
 
 /**
  * Make HTTP request
+ * Recorded as a CLIENT span when tracing is on, and sends the W3C
+ * `traceparent` header so the server can continue the trace.
  * @param {string} url - URL to request
  * @param {Object} options - Request options
  * @returns {Promise} Response promise
@@ -21,8 +24,24 @@ const makeRequest = (url, options = {}) => {
     followRedirects = true
   } = options;
   
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  const spanOptions = {
+    kind: 'CLIENT',
+    attributes: {
+      'http.request.method': method,
+      'url.full': `${urlObj.origin}${urlObj.pathname}`,
+      'server.address': urlObj.hostname,
+      'server.port': Number(urlObj.port) || (urlObj.protocol === 'https:' ? 443 : 80)
+    }
+  };
+
+  return trace(`HTTP ${method}`, spanOptions, span => new Promise((resolve, reject) => {
     const isHttps = urlObj.protocol === 'https:';
     const client = isHttps ? https : http;
     
@@ -31,15 +50,20 @@ const makeRequest = (url, options = {}) => {
       port: urlObj.port || (isHttps ? 443 : 80),
       path: urlObj.pathname + urlObj.search,
       method,
-      headers: {
+      headers: injectTraceContext({
         'User-Agent': 'Node.js Network Utils',
         'Content-Type': 'application/json',
         ...headers
-      },
+      }),
       timeout
     };
     
     const req = client.request(requestOptions, (res) => {
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 400) {
+        span.setStatus('ERROR', `HTTP ${res.statusCode}`);
+      }
+
       let data = '';
       
       res.on('data', (chunk) => {
@@ -84,7 +108,7 @@ const makeRequest = (url, options = {}) => {
     }
     
     req.end();
-  });
+  }));
 };
 
 /**
@@ -4,6 +4,185 @@
  */
 
 const EventEmitter = require('events');
+const { getNextExecutions } = require('./schedulingUtils');
+const { trace, injectTraceContext } = require('./tracing');
+
+/**
+ * In-memory job store (the default; nothing survives a restart)
+ *
+ * Job stores implement `load()`, `save(record)`, `remove(id)` and `close()`,
+ * and optionally `attach(queueName)`, called when a queue starts using them.
+ * A record is a plain object: { id, queue, name, data, options, attempts,
+ * state, createdAt, scheduledFor }. A store may be shared by several queues;
+ * each queue only recovers its own records. Records in the `pending` state
+ * also carry `dependencies`, `onDependencyFailure` and `settled`; they belong
+ * to a QueueManager, which recovers them.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async load() {
+    return Array.from(this.jobs.values());
+  }
+
+  async save(record) {
+    this.jobs.set(record.id, record);
+  }
+
+  async remove(id) {
+    this.jobs.delete(id);
+  }
+
+  async close() {}
+}
+
+/**
+ * Append-only log job store
+ * Every change is appended as a JSON line; `load()` replays the log and the
+ * file is compacted once it holds compactThreshold more entries than live jobs
+ */
+class FileJobStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.fs = require('fs').promises;
+    this.path = require('path');
+    this.jobs = new Map();
+    this.entries = 0;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Run file operations one at a time so log order matches call order
+   * @param {Function} operation - Async file operation
+   * @returns {Promise} Operation result
+   */
+  enqueueWrite(operation) {
+    const result = this.writeChain.then(operation);
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  async load() {
+    let contents = '';
+    try {
+      contents = await this.fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.jobs.clear();
+    this.entries = 0;
+
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line from a crash mid-write; everything before it is intact
+        continue;
+      }
+
+      this.entries++;
+      if (entry.op === 'save') {
+        this.jobs.set(entry.job.id, entry.job);
+      } else if (entry.op === 'remove') {
+        this.jobs.delete(entry.id);
+      }
+    }
+
+    return Array.from(this.jobs.values());
+  }
+
+  async save(record) {
+    this.jobs.set(record.id, record);
+    return this.append({ op: 'save', job: record });
+  }
+
+  async remove(id) {
+    this.jobs.delete(id);
+    return this.append({ op: 'remove', id });
+  }
+
+  async append(entry) {
+    return this.enqueueWrite(async () => {
+      await this.fs.mkdir(this.path.dirname(this.filePath), { recursive: true });
+      await this.fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.entries++;
+
+      if (this.entries - this.jobs.size > this.compactThreshold) {
+        await this.compact();
+      }
+    });
+  }
+
+  /**
+   * Rewrite the log with one entry per live job
+   */
+  async compact() {
+    const tempPath = `${this.filePath}.compact`;
+    const lines = Array.from(this.jobs.values())
+      .map(job => `${JSON.stringify({ op: 'save', job })}\n`)
+      .join('');
+
+    await this.fs.writeFile(tempPath, lines);
+    await this.fs.rename(tempPath, this.filePath);
+    this.entries = this.jobs.size;
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+/**
+ * Redis job store implementation (one hash per queue)
+ * The hash key defaults to `queue:<queue name>:jobs`
+ */
+class RedisJobStore {
+  constructor(redisClient, key = null) {
+    this.redis = redisClient;
+    this.key = key;
+  }
+
+  attach(queueName) {
+    if (!this.key) {
+      this.key = `queue:${queueName}:jobs`;
+    }
+  }
+
+  async load() {
+    const jobs = await this.redis.hgetall(this.key);
+    return Object.values(jobs || {}).map(job => JSON.parse(job));
+  }
+
+  async save(record) {
+    await this.redis.hset(this.key, record.id, JSON.stringify(record));
+  }
+
+  async remove(id) {
+    await this.redis.hdel(this.key, id);
+  }
+
+  async close() {}
+}
+
+/**
+ * Retry delay strategies: (attempt, baseDelay) => milliseconds
+ */
+const BACKOFF_STRATEGIES = {
+  fixed: (attempt, delay) => delay,
+  exponential: (attempt, delay) => delay * 2 ** (attempt - 1),
+  // "Equal jitter": half the exponential delay plus a random share of the rest
+  'exponential-jitter': (attempt, delay) => {
+    const exponential = delay * 2 ** (attempt - 1);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+};
 
 /**
  * Base Queue class
@@ -16,9 +195,23 @@ class Queue extends EventEmitter {
     this.timeout = options.timeout || 30000;
     this.retries = options.retries || 3;
     this.retryDelay = options.retryDelay || 1000;
+    this.backoff = options.backoff || 'fixed';
+    this.deadLetterEnabled = options.deadLetter !== false;
+    this.deadLetterLimit = options.deadLetterLimit || 1000;
+    this.stallTimeout = options.stallTimeout || 0;
+    this.store = options.store || new MemoryJobStore();
+    if (typeof this.store.attach === 'function') {
+      this.store.attach(this.name);
+    }
+    this.handlers = new Map();
     this.jobs = [];
+    this.activeJobs = new Map();
+    this.deadLetter = new Map();
     this.running = 0;
     this.paused = false;
+    this.wakeupTimer = null;
+    this.wakeupAt = null;
+    this.stallTimer = null;
     this.stats = {
       completed: 0,
       failed: 0,
@@ -27,34 +220,71 @@ class Queue extends EventEmitter {
     };
   }
 
+  /**
+   * Register a named job handler
+   * Only named jobs are persisted: a function can't be written to the store,
+   * so it couldn't be run again after a restart
+   * @param {string} name - Job name
+   * @param {Function} handler - Receives (data, job)
+   * @returns {Queue} Queue instance
+   */
+  define(name, handler) {
+    this.handlers.set(name, handler);
+    return this;
+  }
+
   /**
    * Add job to queue
-   * @param {Function} job - Job function
-   * @param {Object} options - Job options
+   * @param {Function|string} job - Job function, or the name of a defined handler
+   * @param {Object} options - Job options (`data` is passed to named handlers)
+   * @param {string|Object|Function} options.backoff - fixed, exponential, exponential-jitter,
+   *   { type, delay, maxDelay } or (attempt, error, job) => delay
    * @returns {Promise} Job promise
    */
   async add(job, options = {}) {
-    const jobId = this.generateId();
+    const { data, jobId: customId, childResults, childFailures, ...jobOptions } = options;
+    this.validateBackoff(jobOptions.backoff || this.backoff);
+    const jobId = customId || this.generateId();
     const jobData = {
       id: jobId,
-      job,
+      job: typeof job === 'function' ? job : null,
+      name: typeof job === 'string' ? job : null,
+      data,
+      childResults: childResults || {},
+      childFailures: childFailures || {},
       options: {
-        priority: options.priority || 0,
-        delay: options.delay || 0,
-        timeout: options.timeout || this.timeout,
-        retries: options.retries || this.retries,
-        retryDelay: options.retryDelay || this.retryDelay,
-        ...options
+        priority: jobOptions.priority || 0,
+        delay: jobOptions.delay || 0,
+        timeout: jobOptions.timeout || this.timeout,
+        retries: jobOptions.retries || this.retries,
+        retryDelay: jobOptions.retryDelay || this.retryDelay,
+        ...jobOptions
       },
       attempts: 0,
+      errors: [],
+      progress: 0,
       createdAt: Date.now(),
-      scheduledFor: Date.now() + (options.delay || 0)
+      scheduledFor: Date.now() + (jobOptions.delay || 0),
+      // Trace context of the code adding the job, continued when it runs
+      traceparent: injectTraceContext({}).traceparent || null
     };
 
-    this.jobs.push(jobData);
+    await this.persist(jobData, 'waiting');
+    this.enqueue(jobData);
     this.stats.total++;
     this.emit('job:added', jobData);
 
+    this.process();
+    return jobId;
+  }
+
+  /**
+   * Put a job in the in-memory queue, keeping priority/schedule order
+   * @param {Object} jobData - Job data
+   */
+  enqueue(jobData) {
+    this.jobs.push(jobData);
+
     // Sort by priority and scheduled time
     this.jobs.sort((a, b) => {
       if (a.options.priority !== b.options.priority) {
@@ -62,9 +292,264 @@ class Queue extends EventEmitter {
       }
       return a.scheduledFor - b.scheduledFor;
     });
+  }
+
+  /**
+   * Serialize a job for the store
+   * @param {Object} job - Job data
+   * @param {string} state - waiting/active
+   * @returns {Object} Job record
+   */
+  toRecord(job, state) {
+    return {
+      id: job.id,
+      queue: this.name,
+      name: job.name,
+      data: job.data,
+      options: job.options,
+      attempts: job.attempts,
+      errors: job.errors,
+      progress: job.progress,
+      childResults: job.childResults,
+      childFailures: job.childFailures,
+      state,
+      createdAt: job.createdAt,
+      scheduledFor: job.scheduledFor,
+      failedAt: job.failedAt || null,
+      traceparent: job.traceparent || null
+    };
+  }
+
+  /**
+   * Write a named job's state to the store (function jobs stay in memory)
+   * @param {Object} job - Job data
+   * @param {string|null} state - New state, or null to remove the job
+   */
+  async persist(job, state) {
+    if (!job.name) return;
+
+    try {
+      if (state) {
+        await this.store.save(this.toRecord(job, state));
+      } else {
+        await this.store.remove(job.id);
+      }
+    } catch (error) {
+      this.emit('store:error', { job, error });
+    }
+  }
+
+  /**
+   * Reload jobs from the store after a restart
+   * Jobs that were active when the process died are reported as stalled and
+   * count as a failed attempt, so they are retried or dead-lettered per their
+   * retry policy. Define handlers first.
+   * @returns {Promise<Object>} { restored, requeued, failed, deadLettered } counts
+   */
+  async recover() {
+    const records = await this.store.load();
+    const known = new Set(this.jobs.map(job => job.id));
+    const summary = { restored: 0, requeued: 0, failed: 0, deadLettered: 0 };
+
+    for (const record of records) {
+      if (record.queue !== this.name || known.has(record.id)) continue;
+      // Held by QueueManager until its dependencies settle
+      if (record.state === 'pending') continue;
+
+      const job = {
+        id: record.id,
+        job: null,
+        name: record.name,
+        data: record.data,
+        options: record.options,
+        attempts: record.attempts,
+        errors: record.errors || [],
+        progress: record.progress || 0,
+        childResults: record.childResults || {},
+        childFailures: record.childFailures || {},
+        createdAt: record.createdAt,
+        scheduledFor: record.scheduledFor,
+        failedAt: record.failedAt,
+        traceparent: record.traceparent || null
+      };
+
+      if (record.state === 'dead') {
+        this.deadLetter.set(job.id, job);
+        summary.deadLettered++;
+        continue;
+      }
+
+      this.stats.total++;
+
+      if (record.state === 'active') {
+        this.emit('job:stalled', { queue: this.name, job, reason: 'process restart' });
+
+        const retried = await this.handleFailure(job, new Error('Job interrupted by process restart'));
+        if (retried) {
+          summary.requeued++;
+        } else {
+          summary.failed++;
+        }
+      } else {
+        this.enqueue(job);
+        summary.restored++;
+      }
+
+      this.emit('job:recovered', { job, previousState: record.state });
+    }
 
     this.process();
-    return jobId;
+    return summary;
+  }
+
+  /**
+   * Check whether a job is waiting, running or dead-lettered in this queue
+   * @param {string} id - Job ID
+   * @returns {boolean} True when the queue holds the job
+   */
+  hasJob(id) {
+    return this.activeJobs.has(id)
+      || this.deadLetter.has(id)
+      || this.jobs.some(job => job.id === id);
+  }
+
+  /**
+   * Check a backoff option before a job is accepted
+   * @param {string|Object|Function} backoff - Backoff option
+   */
+  validateBackoff(backoff) {
+    if (typeof backoff === 'function') return;
+
+    const type = typeof backoff === 'string' ? backoff : backoff.type || 'fixed';
+    if (!BACKOFF_STRATEGIES[type]) {
+      throw new Error(`Unknown backoff strategy: ${type}`);
+    }
+  }
+
+  /**
+   * Delay before the next attempt of a failed job
+   * Custom backoff functions can't be persisted, so recovered jobs fall back
+   * to the queue's backoff
+   * @param {Object} job - Job data
+   * @param {Error} error - Error from the last attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(job, error) {
+    const backoff = job.options.backoff || this.backoff;
+
+    if (typeof backoff === 'function') {
+      return Math.max(0, Number(backoff(job.attempts, error, job)) || 0);
+    }
+
+    const {
+      type = 'fixed',
+      delay = job.options.retryDelay,
+      maxDelay = Infinity
+    } = typeof backoff === 'string' ? { type: backoff } : backoff;
+
+    return Math.round(Math.min(maxDelay, BACKOFF_STRATEGIES[type](job.attempts, delay)));
+  }
+
+  /**
+   * Record a failed attempt, then retry the job or move it to the dead-letter queue
+   * @param {Object} job - Job data
+   * @param {Error} error - Error from the attempt
+   * @returns {Promise<boolean>} True when the job will be retried
+   */
+  async handleFailure(job, error) {
+    job.attempts++;
+    job.errors = [...(job.errors || []), {
+      attempt: job.attempts,
+      message: error.message,
+      stack: error.stack,
+      timestamp: Date.now()
+    }];
+    this.stats.retries++;
+
+    if (job.attempts < job.options.retries) {
+      const delay = this.getBackoffDelay(job, error);
+      job.scheduledFor = Date.now() + delay;
+      await this.persist(job, 'waiting');
+      this.enqueue(job);
+      this.emit('job:retry', { queue: this.name, job, error, attempt: job.attempts, delay });
+      return true;
+    }
+
+    this.stats.failed++;
+    job.failedAt = Date.now();
+
+    if (this.deadLetterEnabled) {
+      this.deadLetter.set(job.id, job);
+      if (this.deadLetter.size > this.deadLetterLimit) {
+        const oldest = this.deadLetter.values().next().value;
+        this.deadLetter.delete(oldest.id);
+        await this.persist(oldest, null);
+      }
+      await this.persist(job, 'dead');
+      this.emit('job:dead-lettered', { queue: this.name, job, error });
+    } else {
+      await this.persist(job, null);
+    }
+
+    this.emit('job:failed', {
+      queue: this.name,
+      job,
+      error,
+      attempts: job.attempts,
+      errors: job.errors
+    });
+    return false;
+  }
+
+  /**
+   * Get dead-lettered jobs, most recent failure first
+   * @param {number} limit - Number of jobs to return
+   * @returns {Array} Jobs with their error history
+   */
+  getDeadLetterJobs(limit = 100) {
+    return Array.from(this.deadLetter.values())
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue with a fresh set of attempts
+   * Its error history is kept
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} False when the job isn't dead-lettered
+   */
+  async retryDeadLetter(jobId) {
+    const job = this.deadLetter.get(jobId);
+    if (!job) return false;
+
+    this.deadLetter.delete(jobId);
+    job.attempts = 0;
+    job.failedAt = null;
+    job.scheduledFor = Date.now();
+
+    await this.persist(job, 'waiting');
+    this.enqueue(job);
+    this.emit('job:dead-letter-retried', { queue: this.name, job });
+    this.process();
+    return true;
+  }
+
+  /**
+   * Remove dead-lettered jobs
+   * @param {string} jobId - Job ID (omit to purge all)
+   * @returns {Promise<number>} Number of purged jobs
+   */
+  async purgeDeadLetter(jobId = null) {
+    const jobs = jobId
+      ? [this.deadLetter.get(jobId)].filter(Boolean)
+      : Array.from(this.deadLetter.values());
+
+    for (const job of jobs) {
+      this.deadLetter.delete(job.id);
+      await this.persist(job, null);
+    }
+
+    return jobs.length;
   }
 
   /**
@@ -78,52 +563,141 @@ class Queue extends EventEmitter {
       job.scheduledFor <= now && job.attempts < job.options.retries
     );
 
-    if (availableJobs.length === 0) return;
+    if (availableJobs.length === 0) {
+      this.scheduleWakeup();
+      return;
+    }
 
     const job = availableJobs.shift();
     this.jobs = this.jobs.filter(j => j.id !== job.id);
+    await this.runJob(job);
+  }
+
+  /**
+   * Call process() again when the earliest future job becomes due
+   * (retries and recovered jobs would otherwise wait for the next add)
+   */
+  scheduleWakeup() {
+    if (this.jobs.length === 0) return;
+
+    const nextAt = Math.min(...this.jobs.map(job => job.scheduledFor));
+    if (this.wakeupTimer && this.wakeupAt <= nextAt) return;
+
+    clearTimeout(this.wakeupTimer);
+    this.wakeupAt = nextAt;
+    this.wakeupTimer = setTimeout(() => {
+      this.wakeupTimer = null;
+      this.process();
+    }, Math.max(0, nextAt - Date.now()));
+  }
+
+  /**
+   * Run a job taken off the queue and apply the retry policy
+   * @param {Object} job - Job data
+   */
+  async runJob(job) {
     this.running++;
+    this.activeJobs.set(job.id, job);
+    job.startedAt = Date.now();
+    job.lastActivityAt = job.startedAt;
+    job.stalled = false;
+    this.startStallCheck();
 
     try {
+      await this.persist(job, 'active');
       this.emit('job:started', job);
       
       const result = await this.executeJob(job);
       
+      await this.persist(job, null);
       this.stats.completed++;
       this.emit('job:completed', { job, result });
       
     } catch (error) {
-      job.attempts++;
-      this.stats.retries++;
-      
-      if (job.attempts >= job.options.retries) {
-        this.stats.failed++;
-        this.emit('job:failed', { job, error });
-      } else {
-        // Retry job
-        job.scheduledFor = Date.now() + job.options.retryDelay;
-        this.jobs.push(job);
-        this.jobs.sort((a, b) => a.scheduledFor - b.scheduledFor);
-        this.emit('job:retry', { job, error, attempt: job.attempts });
-      }
+      await this.handleFailure(job, error);
     } finally {
+      this.activeJobs.delete(job.id);
       this.running--;
       this.process();
     }
   }
 
+  /**
+   * Report job progress (also available to handlers as `job.updateProgress`)
+   * @param {Object} job - Job data
+   * @param {number|Object} progress - Progress value
+   */
+  updateProgress(job, progress) {
+    job.progress = progress;
+    job.lastActivityAt = Date.now();
+    job.stalled = false;
+    this.emit('job:progress', { queue: this.name, job, progress });
+  }
+
+  /**
+   * Watch active jobs for stalls while any are running (stallTimeout > 0)
+   * A job stalls when it reports no progress for stallTimeout; it keeps
+   * running, and the event fires once until it reports progress again
+   */
+  startStallCheck() {
+    if (!this.stallTimeout || this.stallTimer) return;
+
+    this.stallTimer = setInterval(() => {
+      if (this.activeJobs.size === 0) {
+        clearInterval(this.stallTimer);
+        this.stallTimer = null;
+        return;
+      }
+
+      const now = Date.now();
+      for (const job of this.activeJobs.values()) {
+        if (!job.stalled && now - job.lastActivityAt > this.stallTimeout) {
+          job.stalled = true;
+          this.emit('job:stalled', {
+            queue: this.name,
+            job,
+            reason: 'no progress',
+            idleFor: now - job.lastActivityAt
+          });
+        }
+      }
+    }, Math.max(100, Math.floor(this.stallTimeout / 2)));
+  }
+
   /**
    * Execute job with timeout
    * @param {Object} job - Job data
    * @returns {Promise} Job result
    */
   async executeJob(job) {
-    return new Promise((resolve, reject) => {
+    const spanOptions = {
+      kind: 'CONSUMER',
+      parent: job.traceparent || undefined,
+      attributes: {
+        'messaging.system': 'queue-manager',
+        'messaging.destination.name': this.name,
+        'messaging.message.id': job.id,
+        'job.name': job.name || 'anonymous',
+        'job.attempt': job.attempts + 1
+      }
+    };
+
+    return trace(`${this.name} process`, spanOptions, () => new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error('Job timeout'));
       }, job.options.timeout);
 
-      Promise.resolve(job.job())
+      const handler = job.job || this.handlers.get(job.name);
+      if (!handler) {
+        clearTimeout(timeout);
+        reject(new Error(`No handler defined for job ${job.name}`));
+        return;
+      }
+
+      job.updateProgress = progress => this.updateProgress(job, progress);
+
+      Promise.resolve()
+        .then(() => handler(job.data, job))
         .then(result => {
           clearTimeout(timeout);
           resolve(result);
@@ -132,7 +706,7 @@ class Queue extends EventEmitter {
           clearTimeout(timeout);
           reject(error);
         });
-    });
+    }));
   }
 
   /**
@@ -157,6 +731,10 @@ class Queue extends EventEmitter {
    */
   clear() {
     this.jobs = [];
+    clearTimeout(this.wakeupTimer);
+    this.wakeupTimer = null;
+    clearInterval(this.stallTimer);
+    this.stallTimer = null;
     this.emit('queue:cleared');
   }
 
@@ -177,6 +755,7 @@ class Queue extends EventEmitter {
       name: this.name,
       size: this.jobs.length,
       running: this.running,
+      deadLetter: this.deadLetter.size,
       paused: this.paused,
       concurrency: this.concurrency,
       stats: { ...this.stats }
@@ -256,6 +835,7 @@ class DelayedQueue extends Queue {
   constructor(options = {}) {
     super(options);
     this.timer = null;
+    this.repeatables = new Map();
     this.startTimer();
   }
 
@@ -283,6 +863,221 @@ class DelayedQueue extends Queue {
     return this.addDelayed(job, delay, options);
   }
 
+  /**
+   * Add a job that runs on a cron schedule or a fixed interval
+   * Each run is queued as a delayed job whose ID is derived from the
+   * definition and run time, and the next run is queued when one starts.
+   * Calling this again for the same definition (e.g. after a restart and
+   * `recover()`) returns the existing definition instead of scheduling twice.
+   * Definitions are identified by job name and schedule, so anonymous
+   * functions need an explicit `repeat.key`.
+   * @param {Function|string} job - Job function, or the name of a defined handler
+   * @param {Object} repeat - Repeat options
+   * @param {string} repeat.cron - Cron expression
+   * @param {number} repeat.every - Interval in milliseconds (instead of cron)
+   * @param {string} repeat.tz - Timezone for the cron expression
+   * @param {number} repeat.limit - Maximum number of runs
+   * @param {Date|number} repeat.startDate - No runs before this time
+   * @param {Date|number} repeat.endDate - No runs after this time
+   * @param {string} repeat.key - Custom definition key
+   * @param {Object} options - Job options
+   * @returns {Promise<Object>} Repeatable definition
+   */
+  async addRepeatable(job, repeat = {}, options = {}) {
+    if (!repeat.cron === !repeat.every) {
+      throw new Error('Repeatable jobs need exactly one of cron or every');
+    }
+    if (repeat.every && !(repeat.every > 0)) {
+      throw new Error('Repeat interval must be a positive number of milliseconds');
+    }
+
+    const name = typeof job === 'string' ? job : job.name || repeat.key;
+    if (!name) {
+      throw new Error('Anonymous repeatable jobs need a repeat.key');
+    }
+    const toTime = date => (date instanceof Date ? date.getTime() : date || null);
+    const definition = {
+      key: repeat.key || this.getRepeatableKey(name, repeat),
+      name,
+      cron: repeat.cron || null,
+      every: repeat.every || null,
+      tz: repeat.tz || null,
+      limit: repeat.limit || null,
+      startDate: toTime(repeat.startDate),
+      endDate: toTime(repeat.endDate),
+      count: 0
+    };
+
+    const existing = this.repeatables.get(definition.key);
+    if (existing) {
+      return existing.definition;
+    }
+
+    const nextRun = this.getNextRepeatTime(definition, Date.now());
+    if (nextRun === null) {
+      throw new Error(`Repeatable job ${definition.key} has no upcoming runs`);
+    }
+
+    await this.scheduleRepeat(job, definition, nextRun, options);
+    return definition;
+  }
+
+  /**
+   * Build the key that identifies a repeatable definition
+   * @param {string} name - Job name
+   * @param {Object} repeat - Repeat options
+   * @returns {string} Definition key
+   */
+  getRepeatableKey(name, repeat) {
+    const schedule = repeat.cron ? `cron:${repeat.cron}` : `every:${repeat.every}`;
+    return `${name}:${schedule}:${repeat.tz || ''}`;
+  }
+
+  /**
+   * Work out when a repeatable definition runs next
+   * Intervals are aligned to startDate (or the epoch) so every process
+   * computes the same run times
+   * @param {Object} definition - Repeatable definition
+   * @param {number} after - Find the first run after this time
+   * @returns {number|null} Run time, or null when the schedule is finished
+   */
+  getNextRepeatTime(definition, after) {
+    if (definition.limit && definition.count >= definition.limit) {
+      return null;
+    }
+
+    const from = Math.max(after, (definition.startDate || 0) - 1);
+    let nextRun;
+
+    if (definition.every) {
+      const anchor = definition.startDate || 0;
+      nextRun = anchor + (Math.floor((from - anchor) / definition.every) + 1) * definition.every;
+    } else {
+      // Throws for an invalid expression or timezone, so addRepeatable rejects it
+      const [next] = getNextExecutions(definition.cron, 1, { currentDate: from, tz: definition.tz });
+      nextRun = next ? next.getTime() : null;
+    }
+
+    if (nextRun === null || (definition.endDate && nextRun > definition.endDate)) {
+      return null;
+    }
+    return nextRun;
+  }
+
+  /**
+   * Queue the run of a repeatable definition at the given time
+   * @param {Function|string} job - Job function or handler name
+   * @param {Object} definition - Repeatable definition
+   * @param {number} runAt - Run time
+   * @param {Object} options - Job options
+   */
+  async scheduleRepeat(job, definition, runAt, options) {
+    const jobId = `repeat:${definition.key}:${runAt}`;
+    this.repeatables.set(definition.key, { definition, job, options, nextRun: runAt, jobId });
+
+    await this.add(job, {
+      ...options,
+      jobId,
+      delay: Math.max(0, runAt - Date.now()),
+      repeat: { ...definition }
+    });
+  }
+
+  /**
+   * List repeatable definitions
+   * @returns {Array} Definitions with their next run time
+   */
+  getRepeatables() {
+    return Array.from(this.repeatables.values()).map(({ definition, nextRun, jobId }) => ({
+      ...definition,
+      nextRun: nextRun ? new Date(nextRun) : null,
+      jobId
+    }));
+  }
+
+  /**
+   * Remove a repeatable definition and its queued run
+   * @param {string} key - Definition key
+   * @returns {Promise<boolean>} False when the definition doesn't exist
+   */
+  async removeRepeatable(key) {
+    const entry = this.repeatables.get(key);
+    if (!entry) return false;
+
+    this.repeatables.delete(key);
+    const queued = this.jobs.find(job => job.id === entry.jobId);
+    if (queued) {
+      this.jobs = this.jobs.filter(job => job !== queued);
+      await this.persist(queued, null);
+    }
+
+    this.emit('repeatable:removed', entry.definition);
+    return true;
+  }
+
+  /**
+   * Queue the next run of a repeatable job as the current one starts
+   * Retries of a run don't schedule another
+   * @param {Object} job - Job data
+   */
+  async runJob(job) {
+    const definition = job.options.repeat;
+    const entry = definition && this.repeatables.get(definition.key);
+
+    if (entry && entry.jobId === job.id && job.attempts === 0) {
+      const next = { ...definition, count: definition.count + 1 };
+      const nextRun = this.getNextRepeatTime(next, job.scheduledFor);
+
+      if (nextRun === null) {
+        entry.definition = next;
+        entry.nextRun = null;
+        entry.jobId = null;
+        this.emit('repeatable:finished', next);
+      } else {
+        const { repeat, jobId, delay, ...options } = job.options;
+        await this.scheduleRepeat(job.job || job.name, next, nextRun, options);
+      }
+    }
+
+    return super.runJob(job);
+  }
+
+  /**
+   * Reload jobs from the store and rebuild repeatable definitions
+   * If a definition was re-added before recovery, the duplicate run with the
+   * later time is dropped. Runs being retried are left alone: the run after
+   * them was queued when they first started.
+   * @returns {Promise<Object>} Recovery summary
+   */
+  async recover() {
+    const summary = await super.recover();
+    const runs = this.jobs
+      .filter(job => job.options.repeat && job.attempts === 0)
+      .sort((a, b) => a.scheduledFor - b.scheduledFor);
+    const seen = new Set();
+
+    for (const job of runs) {
+      const { key } = job.options.repeat;
+      if (seen.has(key)) {
+        this.jobs = this.jobs.filter(queued => queued !== job);
+        await this.persist(job, null);
+        continue;
+      }
+      seen.add(key);
+
+      const { repeat, jobId, delay, ...options } = job.options;
+      this.repeatables.set(key, {
+        definition: repeat,
+        job: job.job || job.name,
+        options,
+        nextRun: job.scheduledFor,
+        jobId: job.id
+      });
+    }
+
+    return summary;
+  }
+
   /**
    * Start timer for processing delayed jobs
    */
@@ -353,43 +1148,36 @@ class RateLimitedQueue extends Queue {
 
     const job = availableJobs.shift();
     this.jobs = this.jobs.filter(j => j.id !== job.id);
-    this.running++;
     this.jobTimestamps.push(now);
-
-    try {
-      this.emit('job:started', job);
-      
-      const result = await this.executeJob(job);
-      
-      this.stats.completed++;
-      this.emit('job:completed', { job, result });
-      
-    } catch (error) {
-      job.attempts++;
-      this.stats.retries++;
-      
-      if (job.attempts >= job.options.retries) {
-        this.stats.failed++;
-        this.emit('job:failed', { job, error });
-      } else {
-        job.scheduledFor = Date.now() + job.options.retryDelay;
-        this.jobs.push(job);
-        this.jobs.sort((a, b) => a.scheduledFor - b.scheduledFor);
-        this.emit('job:retry', { job, error, attempt: job.attempts });
-      }
-    } finally {
-      this.running--;
-      this.process();
-    }
+    await this.runJob(job);
   }
 }
 
+/**
+ * What a dependent job does when one of its dependencies fails:
+ * - fail: the dependent fails without running (and so do its own dependents)
+ * - ignore: the dependent runs once the rest settle; the failure is dropped
+ * - continue: the dependent runs and sees the failure in `job.childFailures`
+ */
+const DEPENDENCY_FAILURE_POLICIES = ['fail', 'ignore', 'continue'];
+
 /**
  * Queue Manager for multiple queues
+ *
+ * Jobs added through `addJob`/`addFlow` can depend on other jobs, in any
+ * managed queue. A dependent is held by the manager until its dependencies
+ * settle, then added to its queue with the results in `job.childResults`,
+ * keyed by dependency job ID. Named dependents are saved to their queue's
+ * store in the `pending` state, along with the outcomes of the dependencies
+ * settled so far, and `recoverAll()` picks them up again.
  */
 class QueueManager {
-  constructor() {
+  constructor(options = {}) {
     this.queues = new Map();
+    this.pendingJobs = new Map();
+    this.dependents = new Map();
+    this.settledJobs = new Map();
+    this.settledLimit = options.settledLimit || 10000;
   }
 
   /**
@@ -416,10 +1204,385 @@ class QueueManager {
         queue = new Queue({ name, ...options });
     }
 
+    queue.on('job:completed', ({ job, result }) => {
+      this.settleJob(name, job.id, { status: 'completed', result });
+    });
+    queue.on('job:failed', ({ job, error }) => {
+      this.settleJob(name, job.id, { status: 'failed', error });
+    });
+
     this.queues.set(name, queue);
     return queue;
   }
 
+  /**
+   * Add a job that may depend on other jobs
+   * @param {string} name - Queue name
+   * @param {Function|string} job - Job function, or the name of a defined handler
+   * @param {Object} options - Queue.add options, plus:
+   * @param {Array} options.dependsOn - Job IDs in the same queue, or { queue, id }
+   * @param {string} options.onDependencyFailure - fail, ignore or continue
+   * @returns {Promise<string>} Job ID
+   */
+  async addJob(name, job, options = {}) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      throw new Error(`Queue ${name} not found`);
+    }
+
+    const { dependsOn = [], onDependencyFailure = 'fail', ...jobOptions } = options;
+    if (dependsOn.length === 0) {
+      return queue.add(job, jobOptions);
+    }
+
+    if (!DEPENDENCY_FAILURE_POLICIES.includes(onDependencyFailure)) {
+      throw new Error(`Unknown dependency failure policy: ${onDependencyFailure}`);
+    }
+
+    const jobId = jobOptions.jobId || queue.generateId();
+    const key = this.jobKey(name, jobId);
+    const dependencies = dependsOn.map(dependency => (
+      typeof dependency === 'string'
+        ? { queue: name, id: dependency }
+        : { queue: dependency.queue || name, id: dependency.id }
+    ));
+
+    const settled = {};
+    for (const dependency of dependencies) {
+      const dependencyQueue = this.queues.get(dependency.queue);
+      if (!dependencyQueue) {
+        throw new Error(`Queue ${dependency.queue} not found`);
+      }
+
+      const dependencyKey = this.jobKey(dependency.queue, dependency.id);
+      if (this.dependsOn(dependencyKey, key)) {
+        throw new Error(`Circular dependency: ${jobId} -> ${dependency.id}`);
+      }
+
+      // A dead-lettered job whose outcome has aged out of settledJobs still failed
+      const deadLettered = dependencyQueue.deadLetter.get(dependency.id);
+      if (this.settledJobs.has(dependencyKey)) {
+        settled[dependencyKey] = this.toSavedOutcome(this.settledJobs.get(dependencyKey));
+      } else if (deadLettered) {
+        const errors = deadLettered.errors || [];
+        settled[dependencyKey] = {
+          status: 'failed',
+          error: { message: errors.length > 0 ? errors[errors.length - 1].message : 'Job failed' }
+        };
+      } else if (!this.isKnownJob(dependency.queue, dependency.id)) {
+        throw new Error(
+          `Unknown dependency ${dependency.queue}:${dependency.id} (never added, or settled too long ago to be tracked)`
+        );
+      }
+    }
+
+    const pending = {
+      queue: name,
+      id: jobId,
+      job,
+      options: { ...jobOptions, jobId },
+      dependencies,
+      onDependencyFailure,
+      settled,
+      createdAt: Date.now()
+    };
+    this.pendingJobs.set(key, pending);
+
+    for (const dependency of dependencies) {
+      const dependencyKey = this.jobKey(dependency.queue, dependency.id);
+      if (!this.dependents.has(dependencyKey)) {
+        this.dependents.set(dependencyKey, new Set());
+      }
+      this.dependents.get(dependencyKey).add(key);
+    }
+
+    await this.persistPending(pending);
+
+    await this.evaluatePending(key);
+    return jobId;
+  }
+
+  /**
+   * Add a tree of jobs: every node runs after its children
+   * @param {Object} flow - { queue, job, options, onChildFailure, children: [flow] }
+   * @returns {Promise<Object>} { queue, id, children } with the assigned job IDs
+   */
+  async addFlow(flow) {
+    const children = [];
+    for (const child of flow.children || []) {
+      children.push(await this.addFlow(child));
+    }
+
+    const options = { ...flow.options };
+    if (children.length > 0) {
+      options.dependsOn = [
+        ...(options.dependsOn || []),
+        ...children.map(child => ({ queue: child.queue, id: child.id }))
+      ];
+      options.onDependencyFailure = flow.onChildFailure || options.onDependencyFailure;
+    }
+
+    const id = await this.addJob(flow.queue, flow.job, options);
+    return { queue: flow.queue, id, children };
+  }
+
+  /**
+   * Get jobs still waiting on dependencies
+   * @returns {Array} Pending jobs with the dependencies they are waiting for
+   */
+  getPendingJobs() {
+    return Array.from(this.pendingJobs.values()).map(pending => ({
+      queue: pending.queue,
+      id: pending.id,
+      waitingFor: pending.dependencies.filter(dependency => (
+        !this.getOutcome(pending, dependency)
+      ))
+    }));
+  }
+
+  /**
+   * Check whether a job is pending, queued, running or recently settled
+   * @param {string} queue - Queue name
+   * @param {string} id - Job ID
+   * @returns {boolean} True when the manager can tell when the job settles
+   */
+  isKnownJob(queue, id) {
+    const key = this.jobKey(queue, id);
+    return this.settledJobs.has(key)
+      || this.pendingJobs.has(key)
+      || Boolean(this.queues.get(queue) && this.queues.get(queue).hasJob(id));
+  }
+
+  /**
+   * Get a dependency's outcome as seen by a pending job
+   * @param {Object} pending - Pending job
+   * @param {Object} dependency - { queue, id }
+   * @returns {Object|undefined} Outcome, or undefined while unsettled
+   */
+  getOutcome(pending, dependency) {
+    const key = this.jobKey(dependency.queue, dependency.id);
+    return pending.settled[key] || this.settledJobs.get(key);
+  }
+
+  /**
+   * Reduce a job outcome to what a pending job keeps (and stores as JSON)
+   * @param {Object} outcome - { status, result } or { status, error }
+   * @returns {Object} { status, result } or { status, error: { message } }
+   */
+  toSavedOutcome(outcome) {
+    return outcome.status === 'completed'
+      ? { status: 'completed', result: outcome.result }
+      : { status: 'failed', error: { message: outcome.error.message } };
+  }
+
+  /**
+   * Save a named pending job to its queue's store
+   * @param {Object} pending - Pending job
+   */
+  async persistPending(pending) {
+    if (typeof pending.job !== 'string') return;
+
+    const queue = this.queues.get(pending.queue);
+    const record = {
+      id: pending.id,
+      queue: pending.queue,
+      name: pending.job,
+      data: pending.options.data,
+      options: pending.options,
+      state: 'pending',
+      createdAt: pending.createdAt,
+      dependencies: pending.dependencies,
+      onDependencyFailure: pending.onDependencyFailure,
+      settled: pending.settled
+    };
+
+    try {
+      await queue.store.save(record);
+    } catch (error) {
+      queue.emit('store:error', { job: record, error });
+    }
+  }
+
+  /**
+   * Reload a queue's pending jobs from its store
+   * @param {Queue} queue - Queue instance
+   * @returns {Promise<Array>} Keys of the recovered jobs
+   */
+  async recoverPending(queue) {
+    const records = await queue.store.load();
+    const recovered = [];
+
+    for (const record of records) {
+      const key = this.jobKey(queue.name, record.id);
+      if (record.queue !== queue.name || record.state !== 'pending' || this.pendingJobs.has(key)) {
+        continue;
+      }
+
+      this.pendingJobs.set(key, {
+        queue: queue.name,
+        id: record.id,
+        job: record.name,
+        options: record.options,
+        dependencies: record.dependencies,
+        onDependencyFailure: record.onDependencyFailure,
+        settled: record.settled || {},
+        createdAt: record.createdAt
+      });
+
+      for (const dependency of record.dependencies) {
+        const dependencyKey = this.jobKey(dependency.queue, dependency.id);
+        if (!this.dependents.has(dependencyKey)) {
+          this.dependents.set(dependencyKey, new Set());
+        }
+        this.dependents.get(dependencyKey).add(key);
+      }
+      recovered.push(key);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Build the key used to track a job across queues
+   * @param {string} queue - Queue name
+   * @param {string} id - Job ID
+   * @returns {string} Job key
+   */
+  jobKey(queue, id) {
+    return `${queue}:${id}`;
+  }
+
+  /**
+   * Check whether a pending job depends, directly or not, on another job
+   * @param {string} key - Job key
+   * @param {string} targetKey - Job key to look for
+   * @returns {boolean} True when targetKey is reachable
+   */
+  dependsOn(key, targetKey) {
+    const visited = new Set();
+    const stack = [key];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === targetKey) return true;
+      if (visited.has(current)) continue;
+      visited.add(current);
+
+      const pending = this.pendingJobs.get(current);
+      if (pending) {
+        for (const dependency of pending.dependencies) {
+          stack.push(this.jobKey(dependency.queue, dependency.id));
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a job outcome and release the jobs waiting on it
+   * @param {string} queue - Queue name
+   * @param {string} id - Job ID
+   * @param {Object} outcome - { status, result } or { status, error }
+   */
+  settleJob(queue, id, outcome) {
+    const key = this.jobKey(queue, id);
+
+    this.settledJobs.delete(key);
+    this.settledJobs.set(key, outcome);
+    if (this.settledJobs.size > this.settledLimit) {
+      this.settledJobs.delete(this.settledJobs.keys().next().value);
+    }
+
+    const dependents = this.dependents.get(key);
+    if (!dependents) return;
+    this.dependents.delete(key);
+
+    // Kept with each dependent (and in its store record), so the outcome
+    // outlives settledJobs eviction and restarts
+    const saved = this.toSavedOutcome(outcome);
+
+    for (const dependentKey of dependents) {
+      const pending = this.pendingJobs.get(dependentKey);
+      if (!pending) continue;
+      pending.settled[key] = saved;
+
+      this.persistPending(pending)
+        .then(() => this.evaluatePending(dependentKey))
+        .catch(error => {
+          this.failPending(dependentKey, error);
+        });
+    }
+  }
+
+  /**
+   * Start or fail a pending job once its dependencies allow it
+   * @param {string} key - Job key
+   */
+  async evaluatePending(key) {
+    const pending = this.pendingJobs.get(key);
+    if (!pending) return;
+
+    const childResults = {};
+    const childFailures = {};
+
+    for (const dependency of pending.dependencies) {
+      const outcome = this.getOutcome(pending, dependency);
+      if (!outcome) return;
+
+      if (outcome.status === 'completed') {
+        childResults[dependency.id] = outcome.result;
+      } else if (pending.onDependencyFailure === 'fail') {
+        this.failPending(key, new Error(`Dependency ${dependency.id} failed: ${outcome.error.message}`));
+        return;
+      } else if (pending.onDependencyFailure === 'continue') {
+        childFailures[dependency.id] = { message: outcome.error.message };
+      }
+    }
+
+    this.pendingJobs.delete(key);
+    await this.queues.get(pending.queue).add(pending.job, {
+      ...pending.options,
+      childResults,
+      childFailures
+    });
+  }
+
+  /**
+   * Fail a pending job without running it
+   * Reported through its queue's `job:failed` event, which in turn settles
+   * the jobs that depend on it
+   * @param {string} key - Job key
+   * @param {Error} error - Failure reason
+   */
+  failPending(key, error) {
+    const pending = this.pendingJobs.get(key);
+    if (!pending) return;
+    this.pendingJobs.delete(key);
+
+    const job = {
+      id: pending.id,
+      name: typeof pending.job === 'string' ? pending.job : null,
+      data: pending.options.data,
+      options: pending.options,
+      attempts: 0,
+      errors: [{ attempt: 0, message: error.message, stack: error.stack, timestamp: Date.now() }],
+      failedAt: Date.now()
+    };
+
+    const queue = this.queues.get(pending.queue);
+    if (queue && typeof pending.job === 'string') {
+      queue.store.remove(pending.id).catch(storeError => {
+        queue.emit('store:error', { job, error: storeError });
+      });
+    }
+    if (queue) {
+      queue.emit('job:failed', { queue: pending.queue, job, error, attempts: 0, errors: job.errors });
+    } else {
+      this.settleJob(pending.queue, pending.id, { status: 'failed', error });
+    }
+  }
+
   /**
    * Get queue by name
    * @param {string} name - Queue name
@@ -466,6 +1629,98 @@ class QueueManager {
     return statuses;
   }
 
+  /**
+   * Get dead-lettered jobs
+   * @param {string} name - Queue name (omit for every queue)
+   * @param {number} limit - Number of jobs per queue
+   * @returns {Object} Dead-lettered jobs keyed by queue name
+   */
+  getDeadLetterJobs(name = null, limit = 100) {
+    const result = {};
+    for (const [queueName, queue] of this.queues) {
+      if (!name || name === queueName) {
+        result[queueName] = queue.getDeadLetterJobs(limit);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Retry a dead-lettered job, or every dead-lettered job in a queue
+   * @param {string} name - Queue name
+   * @param {string} jobId - Job ID (omit to retry all)
+   * @returns {Promise<number>} Number of jobs moved back onto the queue
+   */
+  async retryDeadLetter(name, jobId = null) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      throw new Error(`Queue ${name} not found`);
+    }
+
+    const jobIds = jobId ? [jobId] : Array.from(queue.deadLetter.keys());
+    let retried = 0;
+    for (const id of jobIds) {
+      if (await queue.retryDeadLetter(id)) {
+        retried++;
+      }
+    }
+    return retried;
+  }
+
+  /**
+   * Purge dead-lettered jobs
+   * @param {string} name - Queue name (omit for every queue)
+   * @param {string} jobId - Job ID (omit to purge all)
+   * @returns {Promise<number>} Number of purged jobs
+   */
+  async purgeDeadLetter(name = null, jobId = null) {
+    let purged = 0;
+    for (const [queueName, queue] of this.queues) {
+      if (!name || name === queueName) {
+        purged += await queue.purgeDeadLetter(jobId);
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Recover persisted jobs in every queue
+   * Pending jobs are restored first, so dependencies that finish during
+   * recovery release them; a pending job whose dependency was lost (an
+   * unnamed job, or one that settled without being recorded) fails
+   * @returns {Promise<Object>} Recovery summary per queue (with a `pending` count)
+   */
+  async recoverAll() {
+    const recovered = [];
+    const pendingCounts = {};
+    for (const [name, queue] of this.queues) {
+      const keys = await this.recoverPending(queue);
+      pendingCounts[name] = keys.length;
+      recovered.push(...keys);
+    }
+
+    const summaries = {};
+    for (const [name, queue] of this.queues) {
+      summaries[name] = { ...(await queue.recover()), pending: pendingCounts[name] };
+    }
+
+    for (const key of recovered) {
+      const pending = this.pendingJobs.get(key);
+      if (!pending) continue;
+
+      const lost = pending.dependencies.find(dependency => (
+        !this.getOutcome(pending, dependency) && !this.isKnownJob(dependency.queue, dependency.id)
+      ));
+      if (lost) {
+        this.failPending(key, new Error(`Dependency ${lost.queue}:${lost.id} was lost`));
+      } else {
+        await this.evaluatePending(key).catch(error => this.failPending(key, error));
+      }
+    }
+
+    return summaries;
+  }
+
   /**
    * Pause all queues
    */
@@ -520,10 +1775,21 @@ class QueueManager {
 //   console.log('Processing delayed job');
 // }, 5000);
 // 
+// delayedQueue.define('nightly-report', async () => buildReport());
+// await delayedQueue.addRepeatable('nightly-report', { cron: '0 2 * * *', tz: 'Europe/Paris' });
+// 
 // await rateLimitedQueue.add(async () => {
 //   console.log('Processing rate limited job');
 // });
 // 
+// // Persist named jobs so they survive a restart
+// const mailQueue = manager.createQueue('mail', 'default', {
+//   store: new FileJobStore('./data/mail-jobs.log')
+// });
+// mailQueue.define('send-email', async (data) => sendEmail(data));
+// await mailQueue.recover();
+// await mailQueue.add('send-email', { data: { to: 'user@example.com' } });
+// 
 // // Listen to events
 // defaultQueue.on('job:completed', ({ job, result }) => {
 //   console.log(`Job ${job.id} completed`);
@@ -532,8 +1798,34 @@ class QueueManager {
 // defaultQueue.on('job:failed', ({ job, error }) => {
 //   console.log(`Job ${job.id} failed:`, error.message);
 // });
+// 
+// // Back off exponentially and inspect jobs that ran out of attempts
+// await mailQueue.add('send-email', {
+//   data: { to: 'user@example.com' },
+//   retries: 5,
+//   backoff: { type: 'exponential-jitter', delay: 1000, maxDelay: 60000 }
+// });
+// const deadJobs = manager.getDeadLetterJobs('mail');
+// await manager.retryDeadLetter('mail');
+// 
+// // Run the two exports in parallel, then the report once both succeed
+// await manager.addFlow({
+//   queue: 'default',
+//   job: 'build-report',
+//   onChildFailure: 'fail',
+//   children: [
+//     { queue: 'default', job: 'export-orders' },
+//     { queue: 'mail', job: 'export-customers' }
+//   ]
+// });
+// // build-report's handler receives job.childResults: { [childJobId]: result }
 
 module.exports = {
+  BACKOFF_STRATEGIES,
+  DEPENDENCY_FAILURE_POLICIES,
+  MemoryJobStore,
+  FileJobStore,
+  RedisJobStore,
   Queue,
   PriorityQueue,
   DelayedQueue,
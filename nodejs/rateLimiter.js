@@ -1,117 +1,285 @@
 /**
- * Simple in-memory rate limiter for Node.js
+ * Rate limiter for Node.js
+ * Each algorithm keeps a small fixed-size state per key, held in a store:
+ * in-memory (the default), shared across cluster workers over IPC, or Redis.
  */
 
-class RateLimiter {
-  constructor(options = {}) {
-    this.windowMs = options.windowMs || 60000; // 1 minute
-    this.maxRequests = options.maxRequests || 100;
-    this.requests = new Map();
-    this.cleanupInterval = null;
-    
-    // Start cleanup interval
-    this.startCleanup();
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+/**
+ * Keep a stored state only if it has the given numeric fields
+ * @param {Object|null} state - Stored state
+ * @param {Array<string>} fields - Required fields
+ * @returns {Object|null} State, or null for a missing or foreign one
+ */
+function checkState(state, fields) {
+  if (!state || typeof state !== 'object') return null;
+  return fields.every(field => Number.isFinite(state[field])) ? state : null;
+}
+
+/**
+ * Throw unless a request cost is a finite number >= 0
+ * (a negative cost would hand budget back)
+ * @param {*} cost - Request cost
+ * @returns {number} Cost
+ */
+function assertValidCost(cost) {
+  if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+    throw new Error(`Invalid rate limit cost: ${cost}`);
   }
+  return cost;
+}
 
+/**
+ * Rate limiting algorithms
+ *
+ * Each takes (state, config, now, cost) and returns { state, allowed,
+ * remaining, resetTime, retryAfter, expiresAt }. `state` is null for a new
+ * key, states are plain JSON-safe objects, and `expiresAt` is when the state
+ * can be dropped without changing any future decision. A state that doesn't
+ * have the algorithm's shape (e.g. one written by a different algorithm) is
+ * treated as a new key.
+ * config: { windowMs, maxRequests, burst, period }
+ */
+const RATE_LIMIT_ALGORITHMS = {
   /**
-   * Check if request is allowed
-   * @param {string} key - Unique identifier (IP, user ID, etc.)
-   * @returns {Object} { allowed: boolean, remaining: number, resetTime: number }
+   * Fixed window: a counter that resets at the end of each window
    */
-  isAllowed(key) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    // Get or create request history for this key
-    if (!this.requests.has(key)) {
-      this.requests.set(key, []);
-    }
-    
-    const keyRequests = this.requests.get(key);
-    
-    // Remove old requests outside the window
-    const validRequests = keyRequests.filter(time => time > windowStart);
-    
-    // Check if under limit
-    const allowed = validRequests.length < this.maxRequests;
-    
-    if (allowed) {
-      validRequests.push(now);
-      this.requests.set(key, validRequests);
-    }
-    
-    const remaining = Math.max(0, this.maxRequests - validRequests.length);
-    const resetTime = Math.min(...validRequests) + this.windowMs;
-    
+  'fixed-window': (stored, config, now, cost) => {
+    const state = checkState(stored, ['windowStart', 'count']);
+    const { windowMs, maxRequests } = config;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = state && state.windowStart === windowStart ? state.count : 0;
+    const allowed = count + cost <= maxRequests;
+    const newCount = allowed ? count + cost : count;
+    const resetTime = windowStart + windowMs;
+
     return {
+      state: { windowStart, count: newCount },
       allowed,
-      remaining,
+      remaining: Math.max(0, maxRequests - newCount),
       resetTime,
-      total: this.maxRequests
+      retryAfter: allowed ? 0 : resetTime - now,
+      expiresAt: resetTime
     };
-  }
+  },
 
   /**
-   * Get current status for a key
-   * @param {string} key - Unique identifier
-   * @returns {Object} Current status
+   * Sliding window counter: the current window's count plus the previous
+   * window's, weighted by how much of it still overlaps the sliding window
    */
-  getStatus(key) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    if (!this.requests.has(key)) {
-      return {
-        remaining: this.maxRequests,
-        resetTime: now + this.windowMs,
-        total: this.maxRequests
-      };
-    }
-    
-    const keyRequests = this.requests.get(key);
-    const validRequests = keyRequests.filter(time => time > windowStart);
-    
+  'sliding-window': (stored, config, now, cost) => {
+    const state = checkState(stored, ['windowStart', 'count', 'previousCount']);
+    const { windowMs, maxRequests } = config;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    let count = 0;
+    let previousCount = 0;
+    if (state && state.windowStart === windowStart) {
+      ({ count, previousCount } = state);
+    } else if (state && state.windowStart === windowStart - windowMs) {
+      previousCount = state.count;
+    }
+
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const estimated = previousCount * previousWeight + count;
+    const allowed = estimated + cost <= maxRequests;
+    const newCount = allowed ? count + cost : count;
+    const used = previousCount * previousWeight + newCount;
+
+    // When denied: wait until enough of the previous window has slid out,
+    // or for the next window if the current one alone is over the limit
+    let retryAfter = 0;
+    if (!allowed) {
+      const room = maxRequests - count - cost;
+      retryAfter = room >= 0 && previousCount > 0
+        ? Math.ceil(windowStart + windowMs * (1 - room / previousCount) - now)
+        : windowStart + windowMs - now;
+    }
+
     return {
-      remaining: Math.max(0, this.maxRequests - validRequests.length),
-      resetTime: validRequests.length > 0 ? Math.min(...validRequests) + this.windowMs : now + this.windowMs,
-      total: this.maxRequests
+      state: { windowStart, count: newCount, previousCount },
+      allowed,
+      remaining: Math.max(0, Math.floor(maxRequests - used)),
+      resetTime: windowStart + windowMs,
+      retryAfter: Math.max(0, retryAfter),
+      expiresAt: windowStart + 2 * windowMs
     };
-  }
+  },
 
   /**
-   * Reset requests for a specific key
-   * @param {string} key - Unique identifier
+   * Token bucket: holds up to `burst` tokens (default maxRequests), refilled
+   * at maxRequests per window
    */
-  reset(key) {
-    this.requests.delete(key);
+  'token-bucket': (stored, config, now, cost) => {
+    const state = checkState(stored, ['tokens', 'updatedAt']);
+    const { windowMs, maxRequests } = config;
+    const capacity = config.burst || maxRequests;
+    const rate = maxRequests / windowMs;
+
+    const tokens = state
+      ? Math.min(capacity, state.tokens + (now - state.updatedAt) * rate)
+      : capacity;
+    const allowed = tokens >= cost;
+    const newTokens = allowed ? tokens - cost : tokens;
+    const resetTime = now + Math.ceil((capacity - newTokens) / rate);
+
+    return {
+      state: { tokens: newTokens, updatedAt: now },
+      allowed,
+      remaining: Math.floor(newTokens),
+      resetTime,
+      retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate),
+      expiresAt: resetTime
+    };
+  },
+
+  /**
+   * Generic cell rate algorithm: the token bucket expressed as a single
+   * "theoretical arrival time", allowing `burst` (default maxRequests)
+   * requests at once and maxRequests per window on average
+   */
+  gcra: (stored, config, now, cost) => {
+    const state = checkState(stored, ['tat']);
+    const { windowMs, maxRequests } = config;
+    const burst = config.burst || maxRequests;
+    const interval = windowMs / maxRequests;
+    const tolerance = interval * burst;
+
+    const tat = state ? Math.max(state.tat, now) : now;
+    const newTat = tat + interval * cost;
+    const allowAt = newTat - tolerance;
+    const allowed = now >= allowAt;
+    const finalTat = allowed ? newTat : tat;
+
+    return {
+      state: { tat: finalTat },
+      allowed,
+      remaining: Math.max(0, Math.floor((now - (finalTat - tolerance)) / interval)),
+      resetTime: Math.ceil(finalTat),
+      retryAfter: allowed ? 0 : Math.ceil(allowAt - now),
+      expiresAt: Math.ceil(finalTat)
+    };
+  },
+
+  /**
+   * Calendar quota: a counter per UTC hour, day (default) or month, for
+   * limits like "10,000 requests a month" that reset on the calendar
+   */
+  quota: (stored, config, now, cost) => {
+    const state = checkState(stored, ['periodStart', 'count']);
+    const { maxRequests, period = 'day' } = config;
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    let periodStart;
+    let resetTime;
+    if (period === 'hour') {
+      periodStart = Date.UTC(year, month, day, date.getUTCHours());
+      resetTime = periodStart + 60 * 60 * 1000;
+    } else if (period === 'month') {
+      periodStart = Date.UTC(year, month, 1);
+      resetTime = Date.UTC(year, month + 1, 1);
+    } else {
+      periodStart = Date.UTC(year, month, day);
+      resetTime = Date.UTC(year, month, day + 1);
+    }
+
+    const count = state && state.periodStart === periodStart ? state.count : 0;
+    const allowed = count + cost <= maxRequests;
+    const newCount = allowed ? count + cost : count;
+
+    return {
+      state: { periodStart, count: newCount },
+      allowed,
+      remaining: Math.max(0, maxRequests - newCount),
+      resetTime,
+      retryAfter: allowed ? 0 : resetTime - now,
+      expiresAt: resetTime
+    };
   }
+};
 
+/**
+ * In-memory rate limit store (the default)
+ *
+ * Stores implement `consume(key, algorithm, config, cost, peek)`, which runs
+ * the named algorithm against the key's state and saves the new state as one
+ * atomic step (unless `peek`), and return the algorithm result or a Promise
+ * of it. They may also implement `consumeMany(requests, cost)`, which runs
+ * several `{ key, algorithm, config }` requests as one atomic step and saves
+ * them only if all are allowed, `reset(key)`, `resetAll()` and `getKeyCount()`.
+ */
+class MemoryRateLimitStore {
   /**
-   * Reset all requests
+   * @param {Object} options - Options
+   * @param {number} options.cleanupInterval - How often expired keys are dropped (default 60000)
    */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.cleanupInterval = null;
+    this.startCleanup(options.cleanupInterval || 60000);
+  }
+
+  consume(key, algorithm, config, cost, peek = false) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const state = entry && entry.expiresAt > now ? entry.state : null;
+    const result = RATE_LIMIT_ALGORITHMS[algorithm](state, config, now, cost);
+
+    if (!peek) {
+      this.entries.set(key, { state: result.state, expiresAt: result.expiresAt });
+    }
+    return result;
+  }
+
+  consumeMany(requests, cost) {
+    const now = Date.now();
+    const results = requests.map(({ key, algorithm, config }) => {
+      const entry = this.entries.get(key);
+      const state = entry && entry.expiresAt > now ? entry.state : null;
+      return RATE_LIMIT_ALGORITHMS[algorithm](state, config, now, cost);
+    });
+
+    if (results.every(result => result.allowed)) {
+      requests.forEach(({ key }, index) => {
+        this.entries.set(key, { state: results[index].state, expiresAt: results[index].expiresAt });
+      });
+    }
+    return results;
+  }
+
+  reset(key) {
+    this.entries.delete(key);
+  }
+
   resetAll() {
-    this.requests.clear();
+    this.entries.clear();
+  }
+
+  getKeyCount() {
+    return this.entries.size;
   }
 
   /**
-   * Start cleanup interval to remove old entries
+   * Start cleanup interval to remove expired entries
+   * @param {number} interval - Interval in milliseconds
    */
-  startCleanup() {
+  startCleanup(interval) {
     if (this.cleanupInterval) return;
-    
+
     this.cleanupInterval = setInterval(() => {
       const now = Date.now();
-      const windowStart = now - this.windowMs;
-      
-      for (const [key, requests] of this.requests.entries()) {
-        const validRequests = requests.filter(time => time > windowStart);
-        if (validRequests.length === 0) {
-          this.requests.delete(key);
-        } else {
-          this.requests.set(key, validRequests);
+      for (const [key, entry] of this.entries.entries()) {
+        if (entry.expiresAt <= now) {
+          this.entries.delete(key);
         }
       }
-    }, this.windowMs);
+    }, interval);
+    this.cleanupInterval.unref();
   }
 
   /**
@@ -123,48 +291,826 @@ class RateLimiter {
       this.cleanupInterval = null;
     }
   }
+}
+
+/**
+ * Rate limit store shared by the workers of a `cluster` on one host
+ * State lives in the primary process, which applies requests one at a time;
+ * workers ask it over IPC. Call `ClusterRateLimitStore.listen()` once in the
+ * primary, and create stores with the same channel in the workers.
+ */
+class ClusterRateLimitStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.channel - IPC message type (default 'rate-limit')
+   * @param {number} options.timeout - How long a worker waits for the primary (default 1000)
+   */
+  constructor(options = {}) {
+    this.channel = options.channel || 'rate-limit';
+    this.timeout = options.timeout || 1000;
+    this.pending = new Map();
+    this.nextId = 0;
+    this.listening = false;
+    this.local = cluster.isWorker ? null : ClusterRateLimitStore.getPrimaryStore(this.channel);
+  }
+
+  /**
+   * Get the primary's in-memory store for a channel
+   * @param {string} channel - IPC message type
+   * @returns {MemoryRateLimitStore} Store
+   */
+  static getPrimaryStore(channel) {
+    if (!ClusterRateLimitStore.primaryStores.has(channel)) {
+      ClusterRateLimitStore.primaryStores.set(channel, new MemoryRateLimitStore());
+    }
+    return ClusterRateLimitStore.primaryStores.get(channel);
+  }
+
+  /**
+   * Serve worker requests from the primary process
+   * @param {Object} options - Options
+   * @param {string} options.channel - IPC message type (default 'rate-limit')
+   * @returns {Function} Stops listening
+   */
+  static listen(options = {}) {
+    const channel = options.channel || 'rate-limit';
+    const store = ClusterRateLimitStore.getPrimaryStore(channel);
+
+    const onMessage = (worker, message) => {
+      if (!message || message.type !== channel || message.reply) return;
+
+      const response = { type: channel, reply: true, id: message.id };
+      try {
+        const { action, key, algorithm, config, cost, peek } = message;
+        if (action === 'consume') {
+          response.result = store.consume(key, algorithm, config, cost, peek);
+        } else if (action === 'consumeMany') {
+          response.result = store.consumeMany(message.requests, cost);
+        } else if (action === 'reset') {
+          store.reset(key);
+        } else if (action === 'resetAll') {
+          store.resetAll();
+        } else if (action === 'getKeyCount') {
+          response.result = store.getKeyCount();
+        }
+      } catch (error) {
+        response.error = error.message;
+      }
+
+      if (worker.isConnected()) {
+        worker.send(response);
+      }
+    };
+
+    cluster.on('message', onMessage);
+    return () => cluster.off('message', onMessage);
+  }
+
+  /**
+   * Send a request to the primary and wait for its reply
+   * @param {Object} message - Request
+   * @returns {Promise<*>} Result
+   */
+  request(message) {
+    if (!this.listening) {
+      process.on('message', (reply) => {
+        if (!reply || reply.type !== this.channel || !reply.reply) return;
+        const pending = this.pending.get(reply.id);
+        if (!pending) return;
+
+        this.pending.delete(reply.id);
+        clearTimeout(pending.timer);
+        if (reply.error) {
+          pending.reject(new Error(reply.error));
+        } else {
+          pending.resolve(reply.result);
+        }
+      });
+      this.listening = true;
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = `${process.pid}:${this.nextId++}`;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Rate limit store request timed out'));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      process.send({ type: this.channel, id, ...message });
+    });
+  }
+
+  async consume(key, algorithm, config, cost, peek = false) {
+    if (this.local) {
+      return this.local.consume(key, algorithm, config, cost, peek);
+    }
+    return this.request({ action: 'consume', key, algorithm, config, cost, peek });
+  }
+
+  async consumeMany(requests, cost) {
+    if (this.local) {
+      return this.local.consumeMany(requests, cost);
+    }
+    return this.request({ action: 'consumeMany', requests, cost });
+  }
+
+  async reset(key) {
+    if (this.local) return this.local.reset(key);
+    await this.request({ action: 'reset', key });
+  }
+
+  async resetAll() {
+    if (this.local) return this.local.resetAll();
+    await this.request({ action: 'resetAll' });
+  }
+
+  async getKeyCount() {
+    if (this.local) return this.local.getKeyCount();
+    return this.request({ action: 'getKeyCount' });
+  }
+}
+
+ClusterRateLimitStore.primaryStores = new Map();
+
+/**
+ * Lua compare-and-set over any number of keys: ARGV holds (expected state,
+ * new state, ttl) per key, and nothing is written unless every key still
+ * holds its expected state ('' for a missing key)
+ */
+const COMPARE_AND_SET_SCRIPT = `
+for i, key in ipairs(KEYS) do
+  local current = redis.call('get', key)
+  local expected = ARGV[i * 3 - 2]
+  if not ((current == false and expected == '') or current == expected) then return 0 end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('set', key, ARGV[i * 3 - 1], 'PX', ARGV[i * 3])
+end
+return 1`;
+
+/**
+ * Redis rate limit store
+ * Runs the algorithm locally and writes the new state back with a
+ * compare-and-set script, retrying if another client changed it in between.
+ * Works with clients exposing `get(key)` and `eval(script, numKeys, ...args)`,
+ * such as ioredis. `consumeMany` touches several keys in one script, so on
+ * Redis Cluster they must hash to the same slot (e.g. a `{tag}` in the prefix).
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {Object} redisClient - Redis client
+   * @param {Object} options - Options
+   * @param {string} options.prefix - Key prefix (default 'ratelimit:')
+   * @param {number} options.maxRetries - Compare-and-set attempts (default 10)
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || 'ratelimit:';
+    this.maxRetries = options.maxRetries || 10;
+  }
+
+  async consume(key, algorithm, config, cost, peek = false) {
+    const redisKey = this.prefix + key;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      const current = await this.redis.get(redisKey);
+      const now = Date.now();
+      const result = RATE_LIMIT_ALGORITHMS[algorithm](current ? JSON.parse(current) : null, config, now, cost);
+      if (peek) return result;
+
+      const swapped = await this.redis.eval(
+        COMPARE_AND_SET_SCRIPT,
+        1, redisKey, current || '', JSON.stringify(result.state), Math.max(1, result.expiresAt - now)
+      );
+      if (Number(swapped) === 1) return result;
+    }
+
+    throw new Error(`Rate limit state for ${key} kept changing; gave up after ${this.maxRetries} attempts`);
+  }
+
+  async consumeMany(requests, cost) {
+    const redisKeys = requests.map(({ key }) => this.prefix + key);
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      const current = await Promise.all(redisKeys.map(redisKey => this.redis.get(redisKey)));
+      const now = Date.now();
+      const results = requests.map(({ algorithm, config }, index) => RATE_LIMIT_ALGORITHMS[algorithm](
+        current[index] ? JSON.parse(current[index]) : null, config, now, cost
+      ));
+      if (!results.every(result => result.allowed)) return results;
+
+      const args = results.flatMap((result, index) => [
+        current[index] || '', JSON.stringify(result.state), Math.max(1, result.expiresAt - now)
+      ]);
+      const swapped = await this.redis.eval(COMPARE_AND_SET_SCRIPT, redisKeys.length, ...redisKeys, ...args);
+      if (Number(swapped) === 1) return results;
+    }
+
+    throw new Error(
+      `Rate limit state for ${requests.map(({ key }) => key).join(', ')} kept changing; `
+        + `gave up after ${this.maxRetries} attempts`
+    );
+  }
+
+  async reset(key) {
+    await this.redis.del(this.prefix + key);
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.algorithm - fixed-window, sliding-window (default),
+   *   token-bucket, gcra or quota
+   * @param {number} options.windowMs - Window length in milliseconds (default 60000)
+   * @param {number} options.maxRequests - Requests allowed per window (default 100)
+   * @param {number} options.burst - Bucket size for token-bucket and gcra (default maxRequests)
+   * @param {string} options.period - Calendar period for quota: hour, day (default) or month
+   * @param {Object} options.store - Rate limit store (default: a new MemoryRateLimitStore)
+   * @param {string} options.name - Namespace for this limiter's keys in the store
+   *   (default: derived from the algorithm and its configuration). Required
+   *   when limiters with the same settings share a store (e.g. login and API
+   *   limits on one Redis) but must keep separate counters
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'sliding-window';
+    if (!RATE_LIMIT_ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unknown rate limit algorithm: ${this.algorithm}`);
+    }
+
+    this.windowMs = options.windowMs || 60000; // 1 minute
+    this.maxRequests = options.maxRequests || 100;
+    this.burst = options.burst || null;
+    this.period = options.period || 'day';
+    this.name = options.name || [
+      this.algorithm,
+      this.algorithm === 'quota' ? this.period : this.windowMs,
+      this.maxRequests,
+      this.burst
+    ].filter(part => part !== null).join(':');
+    this.store = options.store || new MemoryRateLimitStore({ cleanupInterval: this.windowMs });
+    this.stats = { allowed: 0, denied: 0 };
+  }
+
+  /**
+   * Get the algorithm configuration
+   * @returns {Object} { windowMs, maxRequests, burst, period }
+   */
+  getConfig() {
+    return {
+      windowMs: this.windowMs,
+      maxRequests: this.maxRequests,
+      burst: this.burst,
+      period: this.period
+    };
+  }
+
+  /**
+   * Run the algorithm for a key
+   * @param {string} key - Unique identifier
+   * @param {number} cost - Requests to consume
+   * @param {boolean} peek - Inspect without saving
+   * @returns {Object|Promise<Object>} Result (a Promise with asynchronous stores)
+   */
+  apply(key, cost, peek) {
+    assertValidCost(cost);
+    const format = (result) => {
+      if (!peek) {
+        this.stats[result.allowed ? 'allowed' : 'denied']++;
+      }
+      return this.formatResult(result);
+    };
+
+    const result = this.store.consume(this.getStoreKey(key), this.algorithm, this.getConfig(), cost, peek);
+    return result && typeof result.then === 'function' ? result.then(format) : format(result);
+  }
+
+  /**
+   * Get the store key for a client key
+   * @param {string} key - Unique identifier
+   * @returns {string} Namespaced key
+   */
+  getStoreKey(key) {
+    return `${this.name}:${key}`;
+  }
+
+  /**
+   * Convert an algorithm result to the limiter's result shape
+   * @param {Object} result - Algorithm result
+   * @returns {Object} { allowed, remaining, resetTime, windowMs, total, retryAfter (seconds) }
+   */
+  formatResult(result) {
+    return {
+      allowed: result.allowed,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
+      windowMs: this.algorithm === 'quota' ? result.resetTime - result.state.periodStart : this.windowMs,
+      total: this.maxRequests,
+      retryAfter: Math.ceil(result.retryAfter / 1000)
+    };
+  }
+
+  /**
+   * Check if request is allowed
+   * Synchronous with the in-memory store; returns a Promise with other stores
+   * (use `consume` to always get a Promise)
+   * @param {string} key - Unique identifier (IP, user ID, etc.)
+   * @param {number} cost - Requests this call counts as (default 1)
+   * @returns {Object} { allowed, remaining, resetTime, total, retryAfter (seconds) }
+   */
+  isAllowed(key, cost = 1) {
+    return this.apply(key, cost, false);
+  }
+
+  /**
+   * Check if request is allowed, with any store
+   * @param {string} key - Unique identifier
+   * @param {number} cost - Requests this call counts as (default 1)
+   * @returns {Promise<Object>} Same as isAllowed
+   */
+  async consume(key, cost = 1) {
+    return this.apply(key, cost, false);
+  }
+
+  /**
+   * Get current status for a key
+   * @param {string} key - Unique identifier
+   * @returns {Object|Promise<Object>} Current status
+   */
+  getStatus(key) {
+    const pick = ({ remaining, resetTime, total }) => ({ remaining, resetTime, total });
+    const result = this.apply(key, 0, true);
+    return typeof result.then === 'function' ? result.then(pick) : pick(result);
+  }
+
+  /**
+   * Reset requests for a specific key
+   * @param {string} key - Unique identifier
+   */
+  reset(key) {
+    return this.store.reset(this.getStoreKey(key));
+  }
+
+  /**
+   * Reset all requests (for every limiter sharing the store)
+   */
+  resetAll() {
+    if (this.store.resetAll) {
+      return this.store.resetAll();
+    }
+  }
+
+  /**
+   * Stop the store's cleanup interval
+   */
+  stopCleanup() {
+    if (this.store.stopCleanup) {
+      this.store.stopCleanup();
+    }
+  }
 
   /**
    * Get total number of tracked keys
    * @returns {number} Number of keys
    */
   getKeyCount() {
-    return this.requests.size;
+    return this.store.getKeyCount ? this.store.getKeyCount() : 0;
+  }
+
+  /**
+   * Get limiter statistics
+   * `keys` is a Promise with asynchronous stores
+   * @returns {Object} { algorithm, maxRequests, windowMs, allowed, denied, keys }
+   */
+  getStats() {
+    return {
+      algorithm: this.algorithm,
+      maxRequests: this.maxRequests,
+      windowMs: this.windowMs,
+      ...this.stats,
+      keys: this.getKeyCount()
+    };
   }
 }
 
+/**
+ * Convert a route pattern ('POST /reports/*', '/search') to a matcher
+ * @param {string} pattern - Optional method, then a path where * matches anything
+ * @returns {Function} (method, path) => boolean
+ */
+function compileRoutePattern(pattern) {
+  const [method, path] = pattern.includes(' ') ? pattern.split(/\s+/, 2) : ['*', pattern];
+  const regex = new RegExp(`^${path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  return (requestMethod, requestPath) => (method === '*' || method.toUpperCase() === requestMethod)
+    && regex.test(requestPath);
+}
+
+/**
+ * Rate limiter with per-plan rules and quotas
+ *
+ * Each client (resolved from an API key, a JWT claim, or its IP) belongs to a
+ * plan. A plan has short-term limits (e.g. 10 requests a second) and calendar
+ * quotas (e.g. 100,000 a month); a request is allowed only if every rule has
+ * room for its cost. Counters are kept per client, so a plan change takes
+ * effect immediately without resetting usage.
+ */
+class PlanRateLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.plans - Plan name -> { limits: [{ windowMs, maxRequests,
+   *   burst, algorithm, name }], quotas: { hourly, daily, monthly } }
+   * @param {string} options.defaultPlan - Plan for unknown clients (default 'free')
+   * @param {string} options.algorithm - Default algorithm for limits (default 'sliding-window')
+   * @param {Object} options.store - Rate limit store (default in-memory)
+   * @param {Object|Function} options.routeCosts - 'METHOD /path/*' -> cost, or (req) => cost
+   * @param {Object|Function} options.apiKeys - API key -> plan name or { id, plan },
+   *   or (key, req) => the same (may return a Promise). Without an `id` the
+   *   client is identified by a hash of the key, never the key itself.
+   * @param {string} options.apiKeyHeader - Header carrying the API key (default 'x-api-key')
+   * @param {Object} options.jwt - Verifier with verifyToken(token), e.g. a JWTUtils
+   *   instance, for Bearer tokens when no auth middleware has set req.user
+   * @param {string} options.planClaim - Claim holding the plan (default 'plan')
+   * @param {string} options.idClaim - Claim identifying the client (default 'sub')
+   * @param {Function} options.resolveClient - (req) => { id, plan }, replacing the above
+   */
+  constructor(options = {}) {
+    if (!options.plans || Object.keys(options.plans).length === 0) {
+      throw new Error('At least one plan is required');
+    }
+
+    this.defaultPlan = options.defaultPlan || 'free';
+    if (!options.plans[this.defaultPlan]) {
+      throw new Error(`Default plan ${this.defaultPlan} is not defined`);
+    }
+
+    this.store = options.store || new MemoryRateLimitStore();
+    this.apiKeys = options.apiKeys || null;
+    this.apiKeyHeader = (options.apiKeyHeader || 'x-api-key').toLowerCase();
+    this.jwt = options.jwt || null;
+    this.planClaim = options.planClaim || 'plan';
+    this.idClaim = options.idClaim || 'sub';
+    this.customResolveClient = options.resolveClient || null;
+
+    this.routeCosts = typeof options.routeCosts === 'function'
+      ? options.routeCosts
+      : Object.entries(options.routeCosts || {}).map(([pattern, cost]) => ({
+        matches: compileRoutePattern(pattern),
+        cost: assertValidCost(cost)
+      }));
+
+    this.plans = new Map();
+    for (const [name, plan] of Object.entries(options.plans)) {
+      const rules = (plan.limits || []).map((limit, index) => ({
+        name: limit.name || `${limit.maxRequests}/${limit.windowMs}ms`,
+        kind: 'limit',
+        limiter: new RateLimiter({
+          algorithm: options.algorithm,
+          ...limit,
+          name: 'plan',
+          store: this.store
+        }),
+        index
+      }));
+
+      const periods = { hourly: 'hour', daily: 'day', monthly: 'month' };
+      for (const [quotaName, maxRequests] of Object.entries(plan.quotas || {})) {
+        if (!periods[quotaName]) {
+          throw new Error(`Unknown quota ${quotaName} in plan ${name}; use hourly, daily or monthly`);
+        }
+        rules.push({
+          name: quotaName,
+          kind: 'quota',
+          limiter: new RateLimiter({
+            algorithm: 'quota',
+            period: periods[quotaName],
+            maxRequests,
+            // Shared across plans, so a plan change keeps the client's usage
+            name: 'plan',
+            store: this.store
+          })
+        });
+      }
+
+      this.plans.set(name, rules);
+    }
+  }
+
+  /**
+   * Identify the client and its plan
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { id, plan }
+   */
+  async resolveClient(req) {
+    const client = this.customResolveClient
+      ? await this.customResolveClient(req)
+      : await this.resolveDefaultClient(req);
+
+    const plan = client && this.plans.has(client.plan) ? client.plan : this.defaultPlan;
+    return { id: (client && client.id) || `ip:${req.ip || 'unknown'}`, plan };
+  }
+
+  /**
+   * Default client resolution: API key, then JWT claims, then IP
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} { id, plan }
+   */
+  async resolveDefaultClient(req) {
+    const headers = req.headers || {};
+    const apiKey = headers[this.apiKeyHeader];
+
+    if (apiKey && this.apiKeys) {
+      const entry = typeof this.apiKeys === 'function'
+        ? await this.apiKeys(apiKey, req)
+        : this.apiKeys[apiKey];
+      if (entry) {
+        const details = typeof entry === 'string' ? { plan: entry } : entry;
+        const id = details.id
+          || `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+        return { id, plan: details.plan };
+      }
+    }
+
+    let claims = req.user || null;
+    const authorization = headers.authorization || '';
+    if (!claims && this.jwt && authorization.startsWith('Bearer ')) {
+      try {
+        claims = this.jwt.verifyToken(authorization.slice(7));
+      } catch (error) {
+        claims = null;
+      }
+    }
+
+    if (claims && claims[this.idClaim]) {
+      return { id: `user:${claims[this.idClaim]}`, plan: claims[this.planClaim] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the cost of a request from the route cost table
+   * @param {Object} req - Express request
+   * @returns {number} Cost (default 1)
+   */
+  getRouteCost(req) {
+    if (typeof this.routeCosts === 'function') {
+      return assertValidCost(this.routeCosts(req));
+    }
+
+    const method = (req.method || 'GET').toUpperCase();
+    const path = (req.baseUrl || '') + (req.path || (req.url || '').split('?')[0]);
+    const match = this.routeCosts.find(route => route.matches(method, path));
+    return match ? match.cost : 1;
+  }
+
+  /**
+   * Get the rules for a plan
+   * @param {string} plan - Plan name
+   * @returns {Array} Rules
+   */
+  getRules(plan) {
+    return this.plans.get(plan) || this.plans.get(this.defaultPlan);
+  }
+
+  /**
+   * Summarize one rule's result
+   * @param {Object} rule - Rule
+   * @param {Object} result - RateLimiter result
+   * @returns {Object} Rule usage
+   */
+  describeResult(rule, result) {
+    return {
+      name: rule.name,
+      type: rule.kind,
+      limit: result.total,
+      used: result.total - result.remaining,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
+      windowMs: result.windowMs,
+      allowed: result.allowed,
+      retryAfter: result.retryAfter
+    };
+  }
+
+  /**
+   * Count a request against all of a client's rules
+   * Rules are only consumed if every one has room, so a request denied by its
+   * monthly quota does not use up per-second budget. Stores with
+   * `consumeMany` (all built-in ones) check and consume every rule in one
+   * atomic step. With other stores the check and the consume are separate
+   * calls, so concurrent requests from the same client can overshoot by up
+   * to their concurrency.
+   * @param {Object} client - { id, plan }
+   * @param {number} cost - Request cost (default 1)
+   * @returns {Promise<Object>} { allowed, client, cost, rules, limiting, remaining,
+   *   resetTime, total, retryAfter (seconds) }
+   */
+  async consume(client, cost = 1) {
+    assertValidCost(cost);
+    const rules = this.getRules(client.plan);
+    const keyFor = rule => `${client.id}:${rule.kind}:${rule.name}`;
+
+    let results;
+    if (typeof this.store.consumeMany === 'function') {
+      const raw = await this.store.consumeMany(rules.map(rule => ({
+        key: rule.limiter.getStoreKey(keyFor(rule)),
+        algorithm: rule.limiter.algorithm,
+        config: rule.limiter.getConfig()
+      })), cost);
+      const allowed = raw.every(result => result.allowed);
+      results = raw.map((result, index) => {
+        if (allowed) rules[index].limiter.stats.allowed++;
+        return rules[index].limiter.formatResult(result);
+      });
+    } else {
+      results = await Promise.all(rules.map(rule => rule.limiter.apply(keyFor(rule), cost, true)));
+      if (results.every(result => result.allowed)) {
+        results = await Promise.all(rules.map(rule => rule.limiter.consume(keyFor(rule), cost)));
+      }
+    }
+
+    const usage = rules.map((rule, index) => this.describeResult(rule, results[index]));
+    const denied = usage.filter(rule => !rule.allowed);
+    // The rule to report in headers: the one blocking longest, or the tightest
+    const limiting = denied.length > 0
+      ? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+      : usage.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a), usage[0]);
+
+    return {
+      allowed: denied.length === 0,
+      client,
+      cost,
+      rules: usage,
+      limiting,
+      remaining: limiting ? limiting.remaining : Infinity,
+      resetTime: limiting ? limiting.resetTime : Date.now(),
+      total: limiting ? limiting.limit : Infinity,
+      retryAfter: limiting ? limiting.retryAfter : 0
+    };
+  }
+
+  /**
+   * Report a client's remaining limits and quotas without consuming any
+   * @param {Object} client - { id, plan }
+   * @returns {Promise<Object>} { client, plan, limits, quotas }
+   */
+  async getUsage(client) {
+    const rules = this.getRules(client.plan);
+    const results = await Promise.all(rules.map(rule => rule.limiter.apply(
+      `${client.id}:${rule.kind}:${rule.name}`, 0, true
+    )));
+
+    const usage = rules.map((rule, index) => {
+      const { allowed, retryAfter, ...summary } = this.describeResult(rule, results[index]);
+      return { ...summary, resetTime: new Date(summary.resetTime).toISOString() };
+    });
+
+    return {
+      client: client.id,
+      plan: client.plan,
+      limits: usage.filter(rule => rule.type === 'limit'),
+      quotas: usage.filter(rule => rule.type === 'quota')
+    };
+  }
+
+  /**
+   * Reset all of a client's counters
+   * @param {Object} client - { id, plan }
+   */
+  async reset(client) {
+    await Promise.all(this.getRules(client.plan).map(rule => rule.limiter.reset(
+      `${client.id}:${rule.kind}:${rule.name}`
+    )));
+  }
+}
+
+/**
+ * Build rate limit response headers
+ * Standard headers follow the IETF RateLimit header fields draft
+ * (`RateLimit-Reset` is in seconds from now); legacy headers are the
+ * X-RateLimit-* ones this module has always sent.
+ * @param {Object} result - Result of isAllowed
+ * @param {Object} options - Options
+ * @param {number} options.windowMs - Window for the RateLimit-Policy header
+ * @param {boolean} options.standardHeaders - Send RateLimit-* headers (default true)
+ * @param {boolean} options.legacyHeaders - Send X-RateLimit-* headers (default true)
+ * @returns {Object} Header name -> value
+ */
+function getRateLimitHeaders(result, options = {}) {
+  const { windowMs = null, standardHeaders = true, legacyHeaders = true } = options;
+  const headers = {};
+  const resetSeconds = Math.max(0, Math.ceil((result.resetTime - Date.now()) / 1000));
+
+  if (standardHeaders) {
+    headers['RateLimit-Limit'] = String(result.total);
+    headers['RateLimit-Remaining'] = String(result.remaining);
+    headers['RateLimit-Reset'] = String(resetSeconds);
+    if (windowMs) {
+      headers['RateLimit-Policy'] = `${result.total};w=${Math.ceil(windowMs / 1000)}`;
+    }
+  }
+
+  if (legacyHeaders) {
+    headers['X-RateLimit-Limit'] = String(result.total);
+    headers['X-RateLimit-Remaining'] = String(result.remaining);
+    headers['X-RateLimit-Reset'] = new Date(result.resetTime).toISOString();
+  }
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(1, result.retryAfter));
+  }
+
+  return headers;
+}
+
 /**
  * Express middleware for rate limiting
- * @param {Object} options - Rate limiter options
+ * With `plans` (or a PlanRateLimiter as `limiter`) each client is limited by
+ * its plan's rules and quotas, weighted by route cost; `req.rateLimit` holds
+ * the result for later handlers.
+ * @param {Object} options - Rate limiter options (including `store`), plus:
+ * @param {Function} options.keyGenerator - (req) => key (default: client IP)
+ * @param {number|Function} options.cost - Cost per request, or (req) => cost (default 1)
+ * @param {Object} options.plans - Plan definitions; see PlanRateLimiter
+ * @param {PlanRateLimiter} options.limiter - Existing plan limiter, e.g. one
+ *   also passed to createUsageHandler
+ * @param {boolean} options.standardHeaders - Send RateLimit-* headers (default true)
+ * @param {boolean} options.legacyHeaders - Send X-RateLimit-* headers (default true)
  * @returns {Function} Express middleware
  */
 function createRateLimitMiddleware(options = {}) {
-  const limiter = new RateLimiter(options);
-  
-  return (req, res, next) => {
-    const key = req.ip || req.connection.remoteAddress || 'unknown';
-    const result = limiter.isAllowed(key);
-    
+  const planLimiter = options.limiter || (options.plans ? new PlanRateLimiter(options) : null);
+  const limiter = planLimiter ? null : new RateLimiter(options);
+  const keyGenerator = options.keyGenerator
+    || (req => req.ip || req.connection.remoteAddress || 'unknown');
+  const getCost = typeof options.cost === 'function'
+    ? options.cost
+    : (req => (planLimiter ? planLimiter.getRouteCost(req) : options.cost || 1));
+
+  return async (req, res, next) => {
+    let result;
+    let windowMs;
+    try {
+      const cost = getCost(req);
+      if (planLimiter) {
+        result = await planLimiter.consume(await planLimiter.resolveClient(req), cost);
+        windowMs = result.limiting && result.limiting.windowMs;
+      } else {
+        result = await limiter.consume(keyGenerator(req), cost);
+        windowMs = limiter.windowMs;
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    req.rateLimit = result;
+
     // Set rate limit headers
-    res.set({
-      'X-RateLimit-Limit': result.total,
-      'X-RateLimit-Remaining': result.remaining,
-      'X-RateLimit-Reset': new Date(result.resetTime).toISOString()
-    });
-    
+    res.set(getRateLimitHeaders(result, {
+      windowMs,
+      standardHeaders: options.standardHeaders,
+      legacyHeaders: options.legacyHeaders
+    }));
+
     if (!result.allowed) {
+      const quota = result.limiting && result.limiting.type === 'quota';
       return res.status(429).json({
         error: 'Too Many Requests',
-        message: 'Rate limit exceeded',
-        retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
+        message: quota ? `${result.limiting.name} quota exceeded` : 'Rate limit exceeded',
+        retryAfter: result.retryAfter
       });
     }
-    
+
     next();
   };
 }
 
+/**
+ * Express handler reporting the calling client's remaining limits and quotas
+ * Mount it at e.g. `GET /usage`; it does not count against any limit.
+ * @param {PlanRateLimiter} limiter - Plan limiter shared with the middleware
+ * @returns {Function} Express handler
+ */
+function createUsageHandler(limiter) {
+  return async (req, res, next) => {
+    try {
+      res.json(await limiter.getUsage(await limiter.resolveClient(req)));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
 module.exports = {
+  RATE_LIMIT_ALGORITHMS,
+  MemoryRateLimitStore,
+  ClusterRateLimitStore,
+  RedisRateLimitStore,
   RateLimiter,
-  createRateLimitMiddleware
-};
\ No newline at end of file
+  PlanRateLimiter,
+  getRateLimitHeaders,
+  createRateLimitMiddleware,
+  createUsageHandler
+};
@@ -0,0 +1,163 @@
+/**
+ * Request context for Node.js applications
+ * Keeps per-request values (request ID, W3C trace IDs, anything the app adds)
+ * available to every function called while handling the request, via
+ * AsyncLocalStorage, so logs, error reports and query metrics can be
+ * correlated without passing the request around.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const REQUEST_ID_PATTERN = /^[\w\-.:@/+=]{1,128}$/;
+
+/**
+ * Parse a W3C `traceparent` header
+ * @param {string} header - e.g. '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+ * @returns {Object|null} { version, traceId, parentId, traceFlags } or null if invalid
+ */
+function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentId, traceFlags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+    return null;
+  }
+
+  return { version, traceId, parentId, traceFlags };
+}
+
+/**
+ * Build a context for an incoming request
+ * The request ID comes from the `X-Request-Id` header when it is present and
+ * well-formed, else from the `traceparent` trace ID, else it is generated.
+ * @param {Object} req - Request-like object with headers, method, url
+ * @param {Object} options - Options
+ * @param {string} options.header - Request ID header (default 'x-request-id')
+ * @param {Function} options.generateId - () => request ID (default: random UUID)
+ * @returns {Object} Context
+ */
+function createRequestContext(req = {}, options = {}) {
+  const headers = req.headers || {};
+  const header = (options.header || 'x-request-id').toLowerCase();
+  const generateId = options.generateId || (() => crypto.randomUUID());
+
+  const incomingId = headers[header];
+  const trace = parseTraceparent(headers.traceparent);
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : (trace ? trace.traceId : generateId());
+
+  return {
+    requestId,
+    traceId: trace ? trace.traceId : crypto.randomBytes(16).toString('hex'),
+    parentSpanId: trace ? trace.parentId : null,
+    traceFlags: trace ? trace.traceFlags : '01',
+    tracestate: headers.tracestate || null,
+    method: req.method,
+    url: req.originalUrl || req.url,
+    startTime: Date.now()
+  };
+}
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Context, e.g. from createRequestContext
+ * @param {Function} fn - Function to run
+ * @returns {*} Function result
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the current request context
+ * @returns {Object|undefined} Context, or undefined outside a request
+ */
+function getContext() {
+  return storage.getStore();
+}
+
+/**
+ * Get the current request ID
+ * @returns {string|null} Request ID
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+}
+
+/**
+ * Set a value on the current request context (e.g. the authenticated user)
+ * @param {string} key - Key
+ * @param {*} value - Value
+ * @returns {boolean} False outside a request
+ */
+function setContextValue(key, value) {
+  const context = storage.getStore();
+  if (!context) return false;
+
+  context[key] = value;
+  return true;
+}
+
+/**
+ * Fields to stamp on log records and error reports
+ * @returns {Object} { requestId, traceId }, or {} outside a request
+ */
+function getLogFields() {
+  const context = storage.getStore();
+  return context ? { requestId: context.requestId, traceId: context.traceId } : {};
+}
+
+/**
+ * Express middleware that runs the rest of the request inside a context
+ * Reuses the context if one is already active, sets `req.id` and echoes the
+ * request ID in the response header.
+ * @param {Object} options - createRequestContext options, plus:
+ * @param {boolean} options.setResponseHeader - Send the request ID back (default true)
+ * @returns {Function} Express middleware
+ */
+function requestContextMiddleware(options = {}) {
+  const { setResponseHeader = true } = options;
+  const header = options.header || 'X-Request-Id';
+
+  return (req, res, next) => {
+    const existing = storage.getStore();
+    const context = existing || createRequestContext(req, options);
+
+    req.id = context.requestId;
+    if (setResponseHeader && !res.headersSent) {
+      res.setHeader(header, context.requestId);
+    }
+
+    if (existing) {
+      return next();
+    }
+    return storage.run(context, () => next());
+  };
+}
+
+// Example usage:
+// app.use(requestContextMiddleware());
+// app.get('/orders', async (req, res) => {
+//   logger.info('Listing orders'); // record includes requestId and traceId
+//   res.json(await listOrders());
+// });
+
+module.exports = {
+  parseTraceparent,
+  createRequestContext,
+  runWithContext,
+  getContext,
+  getRequestId,
+  setContextValue,
+  getLogFields,
+  requestContextMiddleware
+};
@@ -2,11 +2,19 @@
  * Task scheduling utilities for Node.js
  */
 
-const cron = require('node-cron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// setTimeout can't wait longer than this; longer waits are chained
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 /**
  * Schedule a task using cron expression
- * @param {string} cronExpression - Cron expression
+ * The task receives the run's scheduled time
+ * @param {string} cronExpression - Cron expression (see getNextExecutions)
  * @param {Function} task - Task function
  * @param {Object} options - Scheduling options
  * @returns {Object} Scheduled task object
@@ -19,27 +27,74 @@ const scheduleTask = (cronExpression, task, options = {}) => {
     runOnInit = false
   } = options;
 
-  const taskOptions = {
-    scheduled,
-    timezone
+  // Throws on an invalid expression or timezone
+  getNextExecutions(cronExpression, 1, { tz: timezone });
+
+  let timer = null;
+  let nextRun = null;
+  let status = 'stopped';
+
+  const arm = (after) => {
+    const [next] = getNextExecutions(cronExpression, 1, { tz: timezone, currentDate: after });
+    if (!next) {
+      status = 'stopped';
+      nextRun = null;
+      return;
+    }
+
+    nextRun = next.getTime();
+    const wait = () => {
+      const delay = nextRun - Date.now();
+      timer = delay > MAX_TIMER_DELAY
+        ? setTimeout(wait, MAX_TIMER_DELAY)
+        : setTimeout(fire, Math.max(0, delay));
+    };
+    wait();
+  };
+
+  const fire = () => {
+    const scheduledFor = new Date(nextRun);
+    // Timers can fire a little early; never pick the same tick twice
+    arm(Math.max(Date.now(), nextRun));
+    task(scheduledFor);
+  };
+
+  const start = () => {
+    if (status !== 'stopped') return;
+    status = 'scheduled';
+    arm(Date.now());
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    nextRun = null;
+    if (status === 'scheduled') {
+      status = 'stopped';
+    }
   };
 
-  const scheduledTask = cron.schedule(cronExpression, task, taskOptions);
+  if (scheduled) {
+    start();
+  }
 
   if (runOnInit) {
-    task();
+    task(new Date());
   }
 
   return {
     name,
     cronExpression,
     task,
-    scheduledTask,
-    start: () => scheduledTask.start(),
-    stop: () => scheduledTask.stop(),
-    destroy: () => scheduledTask.destroy(),
-    getStatus: () => scheduledTask.getStatus(),
-    isRunning: () => scheduledTask.running
+    start,
+    stop,
+    destroy: () => {
+      stop();
+      status = 'destroyed';
+    },
+    getStatus: () => status,
+    getNextRun: () => (nextRun ? new Date(nextRun) : null),
+    isRunning: () => status === 'scheduled'
   };
 };
 
@@ -169,12 +224,239 @@ const scheduleInterval = (interval, task, options = {}) => {
   };
 };
 
+/**
+ * File-based lock provider for replicas on one host (or a shared volume)
+ *
+ * Lock providers implement `acquire(key, owner, ttl)`, `renew(key, owner, ttl)`
+ * and `release(key, owner)`, each resolving to a boolean. A lock expires
+ * after `ttl` milliseconds unless renewed by its owner.
+ */
+class FileLockProvider {
+  constructor(directory = './locks') {
+    this.directory = directory;
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Get the lock file for a key
+   * @param {string} key - Lock key
+   * @returns {string} File path
+   */
+  getLockPath(key) {
+    return path.join(this.directory, `${key.replace(/[^\w.-]/g, '_')}.lock`);
+  }
+
+  /**
+   * Read a lock file
+   * @param {string} filePath - File path
+   * @returns {Promise<Object|null>} { owner, expiresAt } or null if missing
+   */
+  async readLock(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Try to take a lock
+   * An expired lock is moved aside first; if another instance replaced it in
+   * the meantime, its lock is linked back (unless a third instance has taken
+   * the path since) and this attempt fails
+   * @param {string} key - Lock key
+   * @param {string} owner - Owner ID
+   * @param {number} ttl - Lease in milliseconds
+   * @returns {Promise<boolean>} True when the lock was taken
+   */
+  async acquire(key, owner, ttl) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await this.prune(ttl);
+
+    const filePath = this.getLockPath(key);
+    const data = JSON.stringify({ owner, expiresAt: Date.now() + ttl });
+
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const current = await this.readLock(filePath);
+    if (current && current.expiresAt > Date.now()) {
+      return current.owner === owner;
+    }
+
+    const asidePath = `${filePath}.${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      await fs.promises.rename(filePath, asidePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    const moved = await this.readLock(asidePath);
+    if (moved && moved.expiresAt > Date.now()) {
+      await fs.promises.link(asidePath, filePath).catch((error) => {
+        if (error.code !== 'EEXIST') throw error;
+      });
+      await fs.promises.unlink(asidePath);
+      return false;
+    }
+    await fs.promises.unlink(asidePath);
+
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a lock held by the owner
+   * @param {string} key - Lock key
+   * @param {string} owner - Owner ID
+   * @param {number} ttl - New lease in milliseconds
+   * @returns {Promise<boolean>} False when the lock was lost
+   */
+  async renew(key, owner, ttl) {
+    const filePath = this.getLockPath(key);
+    const current = await this.readLock(filePath);
+    if (!current || current.owner !== owner) return false;
+
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ owner, expiresAt: Date.now() + ttl }));
+    await fs.promises.rename(tempPath, filePath);
+    return true;
+  }
+
+  /**
+   * Release a lock held by the owner
+   * @param {string} key - Lock key
+   * @param {string} owner - Owner ID
+   * @returns {Promise<boolean>} False when the lock wasn't held
+   */
+  async release(key, owner) {
+    const filePath = this.getLockPath(key);
+    const current = await this.readLock(filePath);
+    if (!current || current.owner !== owner) return false;
+
+    await fs.promises.unlink(filePath).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Delete expired lock files, at most once per lease period
+   * @param {number} ttl - Lease in milliseconds
+   */
+  async prune(ttl) {
+    if (Date.now() - this.lastPrune < ttl) return;
+    this.lastPrune = Date.now();
+
+    const files = await fs.promises.readdir(this.directory);
+    for (const file of files.filter(name => name.endsWith('.lock'))) {
+      const filePath = path.join(this.directory, file);
+      const current = await this.readLock(filePath).catch(() => null);
+      if (current && current.expiresAt < Date.now() - ttl) {
+        await fs.promises.unlink(filePath).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Redis lock provider (SET NX PX, with owner-checked renew and release)
+ * Works with clients exposing `set(key, value, 'PX', ttl, 'NX')` and
+ * `eval(script, numKeys, ...args)`, such as ioredis
+ */
+class RedisLockProvider {
+  constructor(redisClient, prefix = 'scheduler:lock:') {
+    this.redis = redisClient;
+    this.prefix = prefix;
+  }
+
+  async acquire(key, owner, ttl) {
+    const result = await this.redis.set(this.prefix + key, owner, 'PX', ttl, 'NX');
+    return result === 'OK';
+  }
+
+  async renew(key, owner, ttl) {
+    const result = await this.redis.eval(
+      "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end",
+      1, this.prefix + key, owner, ttl
+    );
+    return Number(result) === 1;
+  }
+
+  async release(key, owner) {
+    const result = await this.redis.eval(
+      "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+      1, this.prefix + key, owner
+    );
+    return Number(result) === 1;
+  }
+}
+
+/**
+ * What happens when a run is due while the previous one is still going:
+ * - skip: the new run is dropped (and recorded as skipped)
+ * - queue: the new run starts when the current one finishes
+ * - allow-concurrent: both run
+ */
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow-concurrent'];
+
+/**
+ * What happens to cron runs missed while the process was down:
+ * - skip: nothing; the schedule resumes from now
+ * - once: a single run now
+ * - all: every missed run, one after another (the most recent maxCatchUp)
+ */
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
 /**
  * Task scheduler manager
+ *
+ * Tasks added here are called with `{ name, scheduledFor, trigger, signal }`;
+ * `signal` is aborted when the task's timeout expires. A timed-out run is
+ * recorded and no longer blocks the next run, but it can't be forcibly
+ * stopped, so long tasks should watch the signal.
+ *
+ * With a lock provider, replicas sharing it run each cron tick once: the
+ * instance that takes the tick's lock runs it and renews the lease while the
+ * run lasts. The lock is left to expire rather than released, so a replica
+ * whose clock runs late can't take the same tick again. Unless the overlap
+ * policy is allow-concurrent, the run also holds a task-wide lock, so a tick
+ * is skipped or waits while another replica is still running the task.
+ *
+ * Events: task:started, task:completed, task:failed, task:timeout,
+ * task:skipped, task:missed, task:lock-unavailable and lock:error.
  */
-class TaskScheduler {
-  constructor() {
+class TaskScheduler extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.historyLimit - Runs kept per task (default 50)
+   * @param {string} options.stateFile - JSON file recording each cron task's
+   *   last scheduled run, used to catch up on runs missed while down
+   * @param {Object} options.lockProvider - FileLockProvider, RedisLockProvider or compatible
+   * @param {number} options.lockTtl - Lock lease in milliseconds (default 30000)
+   * @param {string} options.instanceId - Lock owner ID (default host:pid:random)
+   */
+  constructor(options = {}) {
+    super();
     this.tasks = new Map();
+    this.runs = new Map();
+    this.historyLimit = options.historyLimit || 50;
+    this.lockProvider = options.lockProvider || null;
+    this.lockTtl = options.lockTtl || 30000;
+    this.instanceId = options.instanceId
+      || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.stateFile = options.stateFile || null;
+    this.state = this.loadState();
+    this.stateWrite = Promise.resolve();
     this.isShutdown = false;
   }
 
@@ -184,6 +466,13 @@ class TaskScheduler {
    * @param {string} cronExpression - Cron expression
    * @param {Function} task - Task function
    * @param {Object} options - Options
+   * @param {string} options.timezone - Timezone for the cron expression
+   * @param {string} options.overlap - skip (default), queue or allow-concurrent
+   * @param {number} options.timeout - Run timeout in milliseconds
+   * @param {string} options.catchUp - skip (default), once or all
+   * @param {number} options.maxCatchUp - Most missed runs replayed by `all`;
+   *   the most recent ones are kept (default 100)
+   * @param {boolean} options.lock - Take the scheduler's lock for each tick (default true)
    * @returns {Object} Task reference
    */
   addTask(name, cronExpression, task, options = {}) {
@@ -191,12 +480,315 @@ class TaskScheduler {
       throw new Error(`Task with name "${name}" already exists`);
     }
 
-    const scheduledTask = scheduleTask(cronExpression, task, { name, ...options });
+    const { catchUp = 'skip', maxCatchUp = 100 } = options;
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Unknown catch-up policy: ${catchUp}`);
+    }
+
+    const run = this.createRunner(name, task, {
+      ...options,
+      lock: options.lock !== false && Boolean(this.lockProvider)
+    });
+    const scheduledTask = scheduleTask(cronExpression, (scheduledFor) => {
+      this.recordTick(name, scheduledFor);
+      run(scheduledFor).catch(() => {});
+    }, { name, ...options });
     this.tasks.set(name, scheduledTask);
 
+    const lastTick = this.state[name];
+    if (lastTick) {
+      const { missed, total } = getMissedExecutions(cronExpression, lastTick, Date.now(), maxCatchUp, {
+        tz: options.timezone
+      });
+
+      if (missed.length > 0) {
+        this.emit('task:missed', { name, missed, total, catchUp });
+        const replay = catchUp === 'all' ? missed : catchUp === 'once' ? missed.slice(-1) : [];
+        replay.forEach(time => this.enqueueRun(name, time, 'catch-up'));
+        this.recordTick(name, missed[missed.length - 1]);
+      }
+    }
+
     return scheduledTask;
   }
 
+  /**
+   * Wrap a task with overlap handling, timeouts and run history
+   * @param {string} name - Task name
+   * @param {Function} task - Task function
+   * @param {Object} options - Task options (overlap, timeout, historyLimit, maxQueued, lock)
+   * @returns {Function} (scheduledFor, trigger) => Promise that rejects if the run fails
+   */
+  createRunner(name, task, options = {}) {
+    const {
+      overlap = 'skip',
+      timeout = 0,
+      historyLimit = this.historyLimit,
+      maxQueued = 10,
+      lock = false
+    } = options;
+
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw new Error(`Unknown overlap policy: ${overlap}`);
+    }
+
+    const state = {
+      active: 0,
+      pending: [],
+      history: [],
+      historyLimit,
+      counts: { runs: 0, succeeded: 0, failed: 0, timedOut: 0, skipped: 0 },
+      execute: null
+    };
+    this.runs.set(name, state);
+
+    state.execute = async (scheduledFor, trigger) => {
+      const controller = new AbortController();
+      const lockKey = `${name}:${scheduledFor.getTime()}`;
+      const held = [];
+      let timer = null;
+      let renewal = null;
+      let failure = null;
+
+      state.active++;
+
+      if (lock) {
+        if (!(await this.tryLock(name, lockKey))) {
+          state.active--;
+          this.emit('task:lock-unavailable', { name, scheduledFor, trigger });
+          this.runPending(state);
+          return;
+        }
+        held.push(lockKey);
+
+        const interval = Math.max(1000, Math.floor(this.lockTtl / 3));
+        renewal = setInterval(() => {
+          held.forEach((key) => {
+            this.lockProvider.renew(key, this.instanceId, this.lockTtl)
+              .then((renewed) => {
+                if (!renewed) {
+                  this.emit('lock:error', { name, key, error: new Error('Lock lost during run') });
+                }
+              })
+              .catch(error => this.emit('lock:error', { name, key, error }));
+          });
+        }, interval);
+        renewal.unref();
+
+        // The tick is ours; the task lock applies the overlap policy across replicas
+        if (overlap !== 'allow-concurrent') {
+          let running = !(await this.tryLock(name, name));
+          while (running && overlap === 'queue' && !this.isShutdown) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+            running = !(await this.tryLock(name, name));
+          }
+
+          if (running) {
+            clearInterval(renewal);
+            state.active--;
+            state.counts.skipped++;
+            this.recordRun(state, { scheduledFor, trigger, status: 'skipped' });
+            this.emit('task:skipped', { name, scheduledFor, trigger });
+            this.runPending(state);
+            return;
+          }
+          held.push(name);
+        }
+      }
+
+      const record = { scheduledFor, trigger, startedAt: new Date() };
+      state.counts.runs++;
+      this.emit('task:started', { name, ...record });
+
+      try {
+        const result = Promise.resolve().then(() => task({
+          name,
+          scheduledFor,
+          trigger,
+          signal: controller.signal
+        }));
+
+        if (timeout > 0) {
+          await Promise.race([result, new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              const error = new Error(`Task "${name}" timed out after ${timeout}ms`);
+              error.code = 'ETIMEDOUT';
+              controller.abort(error);
+              reject(error);
+            }, timeout);
+          })]);
+          result.catch(() => {});
+        } else {
+          await result;
+        }
+
+        record.status = 'success';
+        state.counts.succeeded++;
+      } catch (error) {
+        failure = error;
+        record.status = error.code === 'ETIMEDOUT' && controller.signal.aborted ? 'timeout' : 'failed';
+        record.error = error.message;
+        state.counts[record.status === 'timeout' ? 'timedOut' : 'failed']++;
+      } finally {
+        clearTimeout(timer);
+        clearInterval(renewal);
+        if (held.includes(name)) {
+          this.lockProvider.release(name, this.instanceId)
+            .catch(error => this.emit('lock:error', { name, key: name, error }));
+        }
+        record.finishedAt = new Date();
+        record.duration = record.finishedAt - record.startedAt;
+        this.recordRun(state, record);
+        state.active--;
+
+        const event = { success: 'task:completed', failed: 'task:failed', timeout: 'task:timeout' }[record.status];
+        this.emit(event, { name, ...record });
+        this.runPending(state);
+      }
+
+      if (failure) throw failure;
+    };
+
+    return async (scheduledFor = new Date(), trigger = 'schedule') => {
+      if (state.active > 0 && overlap !== 'allow-concurrent') {
+        if (overlap === 'queue' && state.pending.length < maxQueued) {
+          state.pending.push([scheduledFor, trigger]);
+          return;
+        }
+
+        state.counts.skipped++;
+        this.recordRun(state, { scheduledFor, trigger, status: 'skipped' });
+        this.emit('task:skipped', { name, scheduledFor, trigger });
+        return;
+      }
+
+      return state.execute(scheduledFor, trigger);
+    };
+  }
+
+  /**
+   * Try to take a lock, reporting provider errors as lock:error
+   * @param {string} name - Task name
+   * @param {string} key - Lock key
+   * @returns {Promise<boolean>} True when the lock was taken
+   */
+  async tryLock(name, key) {
+    try {
+      return await this.lockProvider.acquire(key, this.instanceId, this.lockTtl);
+    } catch (error) {
+      this.emit('lock:error', { name, key, error });
+      return false;
+    }
+  }
+
+  /**
+   * Start the next queued run once a task is idle
+   * @param {Object} state - Task run state
+   */
+  runPending(state) {
+    if (state.active === 0 && state.pending.length > 0) {
+      state.execute(...state.pending.shift()).catch(() => {});
+    }
+  }
+
+  /**
+   * Queue a run that bypasses the overlap policy (used for catch-up runs)
+   * @param {string} name - Task name
+   * @param {Date} scheduledFor - Scheduled time of the run
+   * @param {string} trigger - Why the task runs
+   */
+  enqueueRun(name, scheduledFor, trigger) {
+    const state = this.runs.get(name);
+    if (state.active === 0 && state.pending.length === 0) {
+      state.execute(scheduledFor, trigger).catch(() => {});
+    } else {
+      state.pending.push([scheduledFor, trigger]);
+    }
+  }
+
+  /**
+   * Add a run to a task's bounded history
+   * @param {Object} state - Task run state
+   * @param {Object} record - Run record
+   */
+  recordRun(state, record) {
+    state.history.push(record);
+    if (state.history.length > state.historyLimit) {
+      state.history.shift();
+    }
+  }
+
+  /**
+   * Remember a cron task's latest scheduled run
+   * @param {string} name - Task name
+   * @param {Date} scheduledFor - Scheduled time
+   */
+  recordTick(name, scheduledFor) {
+    this.state[name] = scheduledFor.getTime();
+    if (!this.stateFile) return;
+
+    const data = JSON.stringify(this.state);
+    const tempFile = `${this.stateFile}.tmp`;
+    this.stateWrite = this.stateWrite
+      .then(() => fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true }))
+      .then(() => fs.promises.writeFile(tempFile, data))
+      .then(() => fs.promises.rename(tempFile, this.stateFile))
+      .catch(error => this.emit('state:error', error));
+  }
+
+  /**
+   * Read the last scheduled runs saved by a previous process
+   * @returns {Object} Task name -> timestamp
+   */
+  loadState() {
+    if (!this.stateFile) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('state:error', error);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Get a task's recent runs, newest first
+   * @param {string} name - Task name
+   * @param {number} limit - Number of runs
+   * @returns {Array} Run records { scheduledFor, trigger, status, startedAt, finishedAt, duration, error }
+   */
+  getTaskHistory(name, limit = Infinity) {
+    const state = this.runs.get(name);
+    if (!state) return [];
+    return state.history.slice().reverse().slice(0, limit);
+  }
+
+  /**
+   * Get run statistics for a task
+   * @param {string} name - Task name
+   * @returns {Object|null} Run counts, active runs and the last run
+   */
+  getTaskStats(name) {
+    const state = this.runs.get(name);
+    if (!state) return null;
+
+    const finished = state.history.filter(record => record.duration !== undefined);
+    const lastRun = state.history[state.history.length - 1] || null;
+
+    return {
+      ...state.counts,
+      active: state.active,
+      queued: state.pending.length,
+      averageDuration: finished.length > 0
+        ? finished.reduce((sum, record) => sum + record.duration, 0) / finished.length
+        : 0,
+      lastRun,
+      nextRun: this.tasks.get(name)?.getNextRun?.() || null
+    };
+  }
+
   /**
    * Add a one-time task
    * @param {string} name - Task name
@@ -210,7 +802,8 @@ class TaskScheduler {
       throw new Error(`Task with name "${name}" already exists`);
     }
 
-    const scheduledTask = scheduleOnce(when, task, { name, ...options });
+    const run = this.createRunner(name, task, options);
+    const scheduledTask = scheduleOnce(when, () => run(new Date()), { name, ...options });
     this.tasks.set(name, scheduledTask);
 
     return scheduledTask;
@@ -229,7 +822,11 @@ class TaskScheduler {
       throw new Error(`Task with name "${name}" already exists`);
     }
 
-    const scheduledTask = scheduleInterval(interval, task, { name, ...options });
+    // The runner applies the overlap policy, so each tick returns immediately
+    const run = this.createRunner(name, task, options);
+    const scheduledTask = scheduleInterval(interval, () => {
+      run(new Date()).catch(() => {});
+    }, { name, ...options });
     this.tasks.set(name, scheduledTask);
 
     return scheduledTask;
@@ -251,6 +848,10 @@ class TaskScheduler {
         task.stop();
       }
       this.tasks.delete(name);
+      if (this.runs.has(name)) {
+        this.runs.get(name).pending.length = 0;
+        this.runs.delete(name);
+      }
       return true;
     }
     return false;
@@ -339,11 +940,22 @@ class TaskScheduler {
       return false;
     }).length;
 
+    const runs = { total: 0, active: 0, succeeded: 0, failed: 0, timedOut: 0, skipped: 0 };
+    for (const state of this.runs.values()) {
+      runs.total += state.counts.runs;
+      runs.active += state.active;
+      runs.succeeded += state.counts.succeeded;
+      runs.failed += state.counts.failed;
+      runs.timedOut += state.counts.timedOut;
+      runs.skipped += state.counts.skipped;
+    }
+
     return {
       totalTasks: this.tasks.size,
       runningTasks: running,
       stoppedTasks: this.tasks.size - running,
-      taskNames: this.getTaskNames()
+      taskNames: this.getTaskNames(),
+      runs
     };
   }
 
@@ -382,6 +994,10 @@ class TaskScheduler {
       }
     });
     this.tasks.clear();
+    this.runs.forEach(state => {
+      state.pending.length = 0;
+    });
+    this.runs.clear();
     this.isShutdown = true;
   }
 
@@ -396,10 +1012,11 @@ class TaskScheduler {
 
 /**
  * Create a task scheduler instance
+ * @param {Object} options - TaskScheduler options
  * @returns {TaskScheduler} Scheduler instance
  */
-const createScheduler = () => {
-  return new TaskScheduler();
+const createScheduler = (options = {}) => {
+  return new TaskScheduler(options);
 };
 
 /**
@@ -423,6 +1040,459 @@ const cronExpressions = {
   everyWeekend: '0 0 * * 0,6'
 };
 
+/**
+ * Cron macros and the expressions they stand for
+ */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const CRON_DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTH_LABELS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// Feb 29 falling on a given weekday can be 28 years away
+const MAX_CRON_SEARCH_YEARS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const compiledCronExpressions = new Map();
+const timezoneFormatters = new Map();
+
+/**
+ * Parse cron expression
+ * Accepts five fields, six with a leading seconds field, or a macro such as `@daily`
+ * @param {string} cronExpression - Cron expression
+ * @returns {Object} Parsed cron fields (second is '0' for five-field expressions)
+ */
+const parseCronExpression = (cronExpression) => {
+  const trimmed = String(cronExpression).trim();
+  const expression = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+  if (expression.startsWith('@')) {
+    throw new Error(`Unknown cron macro: ${trimmed}`);
+  }
+
+  const fields = expression.split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  if (fields.length !== 6) {
+    throw new Error('Invalid cron expression format');
+  }
+
+  return {
+    second: fields[0],
+    minute: fields[1],
+    hour: fields[2],
+    dayOfMonth: fields[3],
+    month: fields[4],
+    dayOfWeek: fields[5]
+  };
+};
+
+/**
+ * Convert one cron value (a number or a name) to a number
+ * @param {string} text - Value text
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {Array} names - Names for values starting at `min`
+ * @returns {number} Value
+ */
+const parseCronValue = (text, min, max, names = []) => {
+  const index = names.indexOf(text.toUpperCase());
+  const value = index >= 0 ? index + min : Number(text);
+  if (text === '' || !Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Invalid cron field value: ${text}`);
+  }
+  return value;
+};
+
+/**
+ * Expand one cron field into the set of values it matches
+ * @param {string} field - Field text (lists, ranges, steps and names)
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {Array} names - Names for values starting at `min`
+ * @returns {Set<number>} Matching values
+ */
+const expandCronField = (field, min, max, names = []) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*' || range === '?') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(text => parseCronValue(text, min, max, names));
+      if (start > end) {
+        throw new Error(`Invalid cron range: ${range}`);
+      }
+    } else {
+      start = parseCronValue(range, min, max, names);
+      end = stepText === undefined ? start : max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Compile the day-of-month field, including L, L-n, nW and LW
+ * @param {string} field - Field text
+ * @returns {Object} { values, lastOffsets, nearestWeekdays, lastWeekday }
+ */
+const compileDayOfMonth = (field) => {
+  const compiled = { values: new Set(), lastOffsets: [], nearestWeekdays: [], lastWeekday: false };
+
+  for (const part of field.split(',')) {
+    const upper = part.toUpperCase();
+    let match;
+
+    if (upper === 'L') {
+      compiled.lastOffsets.push(0);
+    } else if ((match = upper.match(/^L-(\d+)$/))) {
+      compiled.lastOffsets.push(parseCronValue(match[1], 0, 30));
+    } else if (upper === 'LW') {
+      compiled.lastWeekday = true;
+    } else if ((match = upper.match(/^(\d+)W$/))) {
+      compiled.nearestWeekdays.push(parseCronValue(match[1], 1, 31));
+    } else {
+      expandCronField(part, 1, 31).forEach(value => compiled.values.add(value));
+    }
+  }
+
+  return compiled;
+};
+
+/**
+ * Compile the day-of-week field, including xL (last x of the month) and x#n
+ * @param {string} field - Field text
+ * @returns {Object} { values, lastOf, nth }
+ */
+const compileDayOfWeek = (field) => {
+  const compiled = { values: new Set(), lastOf: [], nth: [] };
+  const toDay = text => parseCronValue(text, 0, 7, CRON_DAY_NAMES) % 7;
+
+  for (const part of field.split(',')) {
+    let match;
+
+    if ((match = part.match(/^(\w+)L$/i))) {
+      compiled.lastOf.push(toDay(match[1]));
+    } else if ((match = part.match(/^(\w+)#(\d)$/))) {
+      compiled.nth.push([toDay(match[1]), parseCronValue(match[2], 1, 5)]);
+    } else {
+      expandCronField(part, 0, 7, CRON_DAY_NAMES).forEach(value => compiled.values.add(value % 7));
+    }
+  }
+
+  return compiled;
+};
+
+/**
+ * Compile a cron expression (cached)
+ * @param {string} cronExpression - Cron expression
+ * @returns {Object} Compiled expression
+ */
+const compileCron = (cronExpression) => {
+  const cached = compiledCronExpressions.get(cronExpression);
+  if (cached) return cached;
+
+  const fields = parseCronExpression(cronExpression);
+  const compiled = {
+    fields,
+    seconds: expandCronField(fields.second, 0, 59),
+    minutes: expandCronField(fields.minute, 0, 59),
+    hours: expandCronField(fields.hour, 0, 23),
+    months: expandCronField(fields.month, 1, 12, CRON_MONTH_NAMES),
+    daysOfMonth: compileDayOfMonth(fields.dayOfMonth),
+    daysOfWeek: compileDayOfWeek(fields.dayOfWeek),
+    anyDayOfMonth: fields.dayOfMonth === '*' || fields.dayOfMonth === '?',
+    anyDayOfWeek: fields.dayOfWeek === '*' || fields.dayOfWeek === '?',
+    // As in Vixie cron, expressions with a wildcard or stepped time field
+    // run in both occurrences of an hour repeated when clocks go back;
+    // fixed-time ones run once
+    repeatsInFold: [fields.hour, fields.minute, fields.second].some(field => /[*/]/.test(field))
+  };
+
+  compiledCronExpressions.set(cronExpression, compiled);
+  return compiled;
+};
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Get the weekday of a date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {number} Weekday (0 = Sunday)
+ */
+const weekdayOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+/**
+ * Find the weekday closest to a day without leaving the month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Target day
+ * @returns {number} Day of the month
+ */
+const nearestWeekday = (year, month, day) => {
+  const lastDay = daysInMonth(year, month);
+  const weekday = weekdayOf(year, month, day);
+
+  if (weekday === 6) return day > 1 ? day - 1 : day + 2;
+  if (weekday === 0) return day < lastDay ? day + 1 : day - 2;
+  return day;
+};
+
+/**
+ * Check whether a date matches the day fields of a compiled expression
+ * When both day fields are restricted either may match, as in standard cron
+ * @param {Object} compiled - Compiled expression
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {boolean} True when the date matches
+ */
+const matchesCronDay = (compiled, year, month, day) => {
+  const lastDay = daysInMonth(year, month);
+  const weekday = weekdayOf(year, month, day);
+  const { daysOfMonth, daysOfWeek } = compiled;
+
+  const dayOfMonthMatches = () => daysOfMonth.values.has(day)
+    || daysOfMonth.lastOffsets.some(offset => day === lastDay - offset)
+    || daysOfMonth.nearestWeekdays.some(target => (
+      target <= lastDay && day === nearestWeekday(year, month, target)
+    ))
+    || (daysOfMonth.lastWeekday && day === nearestWeekday(year, month, lastDay));
+
+  const dayOfWeekMatches = () => daysOfWeek.values.has(weekday)
+    || daysOfWeek.lastOf.some(target => target === weekday && day + 7 > lastDay)
+    || daysOfWeek.nth.some(([target, n]) => target === weekday && Math.ceil(day / 7) === n);
+
+  if (compiled.anyDayOfMonth && compiled.anyDayOfWeek) return true;
+  if (compiled.anyDayOfWeek) return dayOfMonthMatches();
+  if (compiled.anyDayOfMonth) return dayOfWeekMatches();
+  return dayOfMonthMatches() || dayOfWeekMatches();
+};
+
+/**
+ * Read the wall-clock time of an instant, in a timezone or local time
+ * @param {number} time - Timestamp in milliseconds
+ * @param {string|null} tz - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getWallClock = (time, tz) => {
+  if (!tz) {
+    const date = new Date(time);
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  let formatter = timezoneFormatters.get(tz);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    timezoneFormatters.set(tz, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(time)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+};
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {number} time - Timestamp in milliseconds
+ * @param {string|null} tz - IANA timezone
+ * @returns {number} Offset in milliseconds
+ */
+const getUtcOffset = (time, tz) => {
+  const wall = getWallClock(time, tz);
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time to the instants that have it
+ * A time repeated when clocks go back has two; a time skipped when clocks go
+ * forward has none, and is given the instant it would have had without the
+ * change (02:30 becomes 03:30)
+ * @param {Object} wall - { year, month, day, hour, minute, second }
+ * @param {string|null} tz - IANA timezone
+ * @returns {Array<number>} Timestamps in milliseconds, earliest first
+ */
+const wallClockToTimes = (wall, tz) => {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  const offsetBefore = getUtcOffset(asUtc - DAY_MS, tz);
+  const offsetAfter = getUtcOffset(asUtc + DAY_MS, tz);
+
+  const matches = Array.from(new Set([asUtc - offsetBefore, asUtc - offsetAfter]))
+    .filter(time => {
+      const actual = getWallClock(time, tz);
+      return actual.day === wall.day && actual.hour === wall.hour && actual.minute === wall.minute;
+    })
+    .sort((a, b) => a - b);
+
+  return matches.length > 0 ? matches : [asUtc - offsetBefore];
+};
+
+/**
+ * Find the instant a timezone's UTC offset changes, between two instants
+ * with different offsets
+ * @param {number} from - Timestamp before the change
+ * @param {number} to - Timestamp after the change
+ * @param {string|null} tz - IANA timezone
+ * @returns {number} First timestamp (whole second) with the new offset
+ */
+const findOffsetChange = (from, to, tz) => {
+  const before = getUtcOffset(from, tz);
+  let low = Math.floor(from / 1000);
+  let high = Math.ceil(to / 1000);
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (getUtcOffset(middle * 1000, tz) === before) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return high * 1000;
+};
+
+/**
+ * Find the first run of a compiled expression after an instant
+ * Walks wall-clock time field by field. When clocks go back, fixed-time
+ * expressions run in the first occurrence of the repeated hour only, and
+ * wildcard or stepped ones run in both.
+ * @param {Object} compiled - Compiled expression
+ * @param {number} after - Timestamp in milliseconds
+ * @param {string|null} tz - IANA timezone
+ * @returns {number|null} Timestamp of the next run
+ */
+const findNextCronTime = (compiled, after, tz) => {
+  const next = walkCronTime(compiled, after, after, tz);
+  if (next === null || !compiled.repeatsInFold || getUtcOffset(after, tz) <= getUtcOffset(next, tz)) {
+    return next;
+  }
+
+  // Clocks went back between the two: the walk started at the wall-clock
+  // time of `after`, so it passed over the repeated hour's second occurrence
+  const change = findOffsetChange(after, next, tz);
+  const inFold = walkCronTime(compiled, Math.max(after, change - 1000), after, tz);
+  return inFold !== null && inFold < next ? inFold : next;
+};
+
+/**
+ * Walk wall-clock time from an instant to the first matching run after `after`
+ * @param {Object} compiled - Compiled expression
+ * @param {number} from - Start walking at this instant's wall-clock time
+ * @param {number} after - Runs must be later than this timestamp
+ * @param {string|null} tz - IANA timezone
+ * @returns {number|null} Timestamp of the next run
+ */
+const walkCronTime = (compiled, from, after, tz) => {
+  let { year, month, day, hour, minute, second } = getWallClock(Math.floor(from / 1000) * 1000 + 1000, tz);
+  const lastYear = year + MAX_CRON_SEARCH_YEARS;
+
+  const nextMonth = () => {
+    month++;
+    day = 1;
+    hour = 0;
+    minute = 0;
+    second = 0;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  };
+  const nextDay = () => {
+    day++;
+    hour = 0;
+    minute = 0;
+    second = 0;
+    if (day > daysInMonth(year, month)) nextMonth();
+  };
+  const nextHour = () => {
+    hour++;
+    minute = 0;
+    second = 0;
+    if (hour > 23) nextDay();
+  };
+  const nextMinute = () => {
+    minute++;
+    second = 0;
+    if (minute > 59) nextHour();
+  };
+  const nextSecond = () => {
+    second++;
+    if (second > 59) nextMinute();
+  };
+
+  while (year <= lastYear) {
+    if (!compiled.months.has(month)) {
+      nextMonth();
+    } else if (!matchesCronDay(compiled, year, month, day)) {
+      nextDay();
+    } else if (!compiled.hours.has(hour)) {
+      nextHour();
+    } else if (!compiled.minutes.has(minute)) {
+      nextMinute();
+    } else if (!compiled.seconds.has(second)) {
+      nextSecond();
+    } else {
+      const times = wallClockToTimes({ year, month, day, hour, minute, second }, tz);
+      const time = compiled.repeatsInFold ? times.find(candidate => candidate > after) : times[0];
+      if (time !== undefined && time > after) return time;
+      nextSecond();
+    }
+  }
+
+  return null;
+};
+
 /**
  * Validate cron expression
  * @param {string} cronExpression - Cron expression to validate
@@ -430,56 +1500,211 @@ const cronExpressions = {
  */
 const validateCronExpression = (cronExpression) => {
   try {
-    return cron.validate(cronExpression);
+    compileCron(cronExpression);
+    return true;
   } catch (error) {
     return false;
   }
 };
 
 /**
- * Parse cron expression
+ * Get the next run times of a cron expression
  * @param {string} cronExpression - Cron expression
- * @returns {Object} Parsed cron fields
+ * @param {number} count - Number of run times
+ * @param {Object} options - Options
+ * @param {string} options.tz - IANA timezone the expression is written in (default: local time)
+ * @param {Date|number} options.currentDate - Find runs after this time (default: now)
+ * @returns {Array<Date>} Run times (fewer than `count` if the schedule runs out)
  */
-const parseCronExpression = (cronExpression) => {
-  const fields = cronExpression.split(' ');
-  if (fields.length !== 5) {
-    throw new Error('Invalid cron expression format');
+const getNextExecutions = (cronExpression, count = 1, options = {}) => {
+  const { tz = null, currentDate = Date.now() } = options;
+  const compiled = compileCron(cronExpression);
+  if (tz) {
+    getWallClock(0, tz);
   }
 
-  return {
-    minute: fields[0],
-    hour: fields[1],
-    dayOfMonth: fields[2],
-    month: fields[3],
-    dayOfWeek: fields[4]
-  };
+  const executions = [];
+  let time = currentDate instanceof Date ? currentDate.getTime() : currentDate;
+
+  while (executions.length < count) {
+    time = findNextCronTime(compiled, time, tz);
+    if (time === null) break;
+    executions.push(new Date(time));
+  }
+
+  return executions;
+};
+
+/**
+ * Get the run times of a cron expression between two times
+ * Scans the whole range but keeps only the latest `limit` runs, so a long
+ * outage still ends with the most recent missed tick.
+ * @param {string} cronExpression - Cron expression
+ * @param {Date|number} since - Find runs after this time
+ * @param {number} until - Find runs before this time
+ * @param {number} limit - Most runs returned
+ * @param {Object} options - { tz }
+ * @returns {Object} { missed: Array<Date>, total }
+ */
+const getMissedExecutions = (cronExpression, since, until, limit, options = {}) => {
+  const compiled = compileCron(cronExpression);
+  const missed = [];
+  let total = 0;
+  let time = since instanceof Date ? since.getTime() : since;
+
+  for (;;) {
+    time = findNextCronTime(compiled, time, options.tz || null);
+    if (time === null || time >= until) break;
+
+    total++;
+    missed.push(new Date(time));
+    if (missed.length > limit) missed.shift();
+  }
+
+  return { missed, total };
 };
 
 /**
  * Get next execution time
  * @param {string} cronExpression - Cron expression
- * @returns {Date|null} Next execution time
+ * @param {Object} options - Same as getNextExecutions
+ * @returns {Date|null} Next execution time (null if invalid or none)
  */
-const getNextExecution = (cronExpression) => {
+const getNextExecution = (cronExpression, options = {}) => {
   try {
-    const task = cron.schedule(cronExpression, () => {});
-    const nextDate = task.nextDate();
-    task.destroy();
-    return nextDate;
+    return getNextExecutions(cronExpression, 1, options)[0] || null;
   } catch (error) {
     return null;
   }
 };
 
+/**
+ * Describe a list field, e.g. "1, 15 and 20" or "Monday through Friday"
+ * @param {string} field - Field text
+ * @param {Function} label - Formats one value
+ * @returns {string} Description
+ */
+const describeCronList = (field, label) => {
+  const parts = field.split(',').map(part => {
+    const [range, step] = part.split('/');
+    const [start, end] = range.split('-');
+    const span = range === '*' || range === '?'
+      ? null
+      : end === undefined ? label(start) : `${label(start)} through ${label(end)}`;
+
+    if (!step) return span;
+    return span ? `every ${step} from ${span}` : `every ${step}`;
+  });
+
+  return parts.length === 1
+    ? parts[0]
+    : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+/**
+ * Describe a cron expression in plain English
+ * @param {string} cronExpression - Cron expression
+ * @returns {string} Description, e.g. "At 09:30, Monday through Friday"
+ */
+const describeCron = (cronExpression) => {
+  const { fields } = compileCron(cronExpression);
+  const pad = value => String(value).padStart(2, '0');
+  const isNumber = value => /^\d+$/.test(value);
+  const dayLabel = text => DAY_LABELS[parseCronValue(text, 0, 7, CRON_DAY_NAMES) % 7];
+  const monthLabel = text => MONTH_LABELS[parseCronValue(text, 1, 12, CRON_MONTH_NAMES) - 1];
+  const phrases = [];
+
+  if (isNumber(fields.second) && isNumber(fields.minute) && isNumber(fields.hour)) {
+    const seconds = Number(fields.second) ? `:${pad(fields.second)}` : '';
+    phrases.push(`At ${pad(fields.hour)}:${pad(fields.minute)}${seconds}`);
+  } else {
+    const timeParts = [];
+    const describeUnit = (field, unit) => {
+      if (field === '*') return `every ${unit}`;
+      if (/^\*\/\d+$/.test(field)) return `every ${field.slice(2)} ${unit}s`;
+      return `at ${unit} ${describeCronList(field, String)}`;
+    };
+
+    if (fields.second !== '0') {
+      timeParts.push(describeUnit(fields.second, 'second'));
+    }
+    if (fields.minute !== '*' || fields.second === '0') {
+      timeParts.push(describeUnit(fields.minute, 'minute'));
+    }
+    if (fields.hour !== '*') {
+      timeParts.push(/^\d+-\d+$/.test(fields.hour)
+        ? `between ${pad(fields.hour.split('-')[0])}:00 and ${pad(fields.hour.split('-')[1])}:59`
+        : describeUnit(fields.hour, 'hour'));
+    }
+
+    const text = timeParts.join(', ');
+    phrases.push(text.charAt(0).toUpperCase() + text.slice(1));
+  }
+
+  // Plain values share one phrase; each L, W or # part gets its own
+  const describeDayField = (field, describeSpecial, describePlain) => {
+    const plain = [];
+    const phrases = [];
+    for (const part of field.split(',')) {
+      const special = describeSpecial(part.toUpperCase());
+      if (special) {
+        phrases.push(special);
+      } else {
+        plain.push(part);
+      }
+    }
+    if (plain.length > 0) {
+      phrases.unshift(describePlain(plain.join(',')));
+    }
+    return phrases.join(' and ');
+  };
+
+  const dayPhrases = [];
+  if (fields.dayOfMonth !== '*' && fields.dayOfMonth !== '?') {
+    dayPhrases.push(describeDayField(fields.dayOfMonth, part => {
+      if (part === 'L') return 'on the last day of the month';
+      if (part === 'LW') return 'on the last weekday of the month';
+      if (/^L-\d+$/.test(part)) return `${part.slice(2)} days before the last day of the month`;
+      if (/^\d+W$/.test(part)) return `on the weekday nearest day ${part.slice(0, -1)} of the month`;
+      return null;
+    }, plain => `on day ${describeCronList(plain, String)} of the month`));
+  }
+  if (fields.dayOfWeek !== '*' && fields.dayOfWeek !== '?') {
+    dayPhrases.push(describeDayField(fields.dayOfWeek, part => {
+      let match;
+      if ((match = part.match(/^(\w+)L$/))) return `on the last ${dayLabel(match[1])} of the month`;
+      if ((match = part.match(/^(\w+)#(\d)$/))) {
+        return `on the ${ORDINALS[match[2] - 1]} ${dayLabel(match[1])} of the month`;
+      }
+      return null;
+    }, plain => describeCronList(plain, dayLabel)));
+  }
+  if (dayPhrases.length > 0) {
+    phrases.push(dayPhrases.join(' or '));
+  }
+
+  if (fields.month !== '*') {
+    phrases.push(`in ${describeCronList(fields.month, monthLabel)}`);
+  }
+
+  return phrases.join(', ');
+};
+
 module.exports = {
   scheduleTask,
   scheduleOnce,
   scheduleInterval,
   TaskScheduler,
+  FileLockProvider,
+  RedisLockProvider,
+  OVERLAP_POLICIES,
+  CATCH_UP_POLICIES,
   createScheduler,
   cronExpressions,
+  CRON_MACROS,
   validateCronExpression,
   parseCronExpression,
-  getNextExecution
+  getNextExecution,
+  getNextExecutions,
+  describeCron
 };
@@ -5,13 +5,45 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 
 /**
  * File storage utility class
+ *
+ * In content-addressed mode each value is split into fixed-size chunks stored
+ * once under their SHA-256 hash in `.chunks/`, and `<key>.json` holds only the
+ * list of chunk hashes. Identical content is stored once, chunks are reference
+ * counted, and values can be written from and read as streams.
  */
 class FileStorage {
-  constructor(baseDir = './storage') {
+  /**
+   * @param {string} baseDir - Storage directory
+   * @param {Object} options - Options
+   * @param {boolean} options.contentAddressed - Store values as deduplicated chunks (default false)
+   * @param {number} options.chunkSize - Chunk size in bytes (default 1 MiB)
+   * @param {boolean} options.gcOnDelete - With `exclusive`, remove chunks as
+   *   soon as nothing references them (default true); otherwise wait for gc()
+   * @param {boolean} options.exclusive - This instance is the only writer of
+   *   baseDir, so its in-memory reference counts can be trusted (default false).
+   *   Otherwise unreferenced chunks are only removed by gc(), which re-reads
+   *   every manifest; run it periodically
+   * @param {number} options.gcGracePeriod - gc() leaves unreferenced chunks
+   *   younger than this alone, as another process may be writing them (default 60000)
+   * @param {boolean} options.verifyChunks - Check chunk hashes when reading (default true)
+   */
+  constructor(baseDir = './storage', options = {}) {
     this.baseDir = baseDir;
+    this.contentAddressed = options.contentAddressed || false;
+    this.chunkSize = options.chunkSize || 1024 * 1024;
+    this.gcOnDelete = options.gcOnDelete !== false;
+    this.exclusive = options.exclusive || false;
+    this.gcGracePeriod = options.gcGracePeriod !== undefined ? options.gcGracePeriod : 60000;
+    this.verifyChunks = options.verifyChunks !== false;
+    this.chunkDir = path.join(baseDir, '.chunks');
+    this.refCounts = null;
+    this.refCountsLoading = null;
+    this.writingChunks = new Map();
+    this.keyLocks = new Map();
     this.init();
   }
 
@@ -20,7 +52,7 @@ class FileStorage {
    */
   async init() {
     try {
-      await fs.mkdir(this.baseDir, { recursive: true });
+      await fs.mkdir(this.contentAddressed ? this.chunkDir : this.baseDir, { recursive: true });
     } catch (error) {
       console.error('Failed to create storage directory:', error);
     }
@@ -28,12 +60,18 @@ class FileStorage {
 
   /**
    * Store data in file
+   * In content-addressed mode `data` may also be a Buffer, a string or a
+   * readable stream, which is consumed one chunk at a time.
    * @param {string} key - Storage key
    * @param {*} data - Data to store
    * @param {Object} options - Storage options
    * @returns {Promise<boolean>} Success status
    */
   async set(key, data, options = {}) {
+    if (this.contentAddressed) {
+      return this.withKeyLock(key, () => this.setChunked(key, data, options));
+    }
+
     try {
       const { ttl, encrypt = false } = options;
       const filePath = path.join(this.baseDir, `${key}.json`);
@@ -62,9 +100,12 @@ class FileStorage {
   /**
    * Get data from file
    * @param {string} key - Storage key
+   * @param {Object} options - Options
+   * @param {boolean} options.stream - Return a readable stream of the value's
+   *   bytes instead of the value (chunked values only)
    * @returns {Promise<*>} Stored data or null
    */
-  async get(key) {
+  async get(key, options = {}) {
     try {
       const filePath = path.join(this.baseDir, `${key}.json`);
       const fileContent = await fs.readFile(filePath, 'utf8');
@@ -76,6 +117,12 @@ class FileStorage {
         return null;
       }
 
+      if (storageData.chunks) {
+        return options.stream
+          ? this.createChunkStream(storageData.chunks)
+          : await this.decodeChunked(storageData);
+      }
+
       let data = storageData.data;
       
       if (storageData.encrypted) {
@@ -98,6 +145,10 @@ class FileStorage {
    * @returns {Promise<boolean>} Success status
    */
   async delete(key) {
+    if (this.contentAddressed) {
+      return this.withKeyLock(key, () => this.deleteChunked(key));
+    }
+
     try {
       const filePath = path.join(this.baseDir, `${key}.json`);
       await fs.unlink(filePath);
@@ -154,6 +205,12 @@ class FileStorage {
       for (const file of jsonFiles) {
         await fs.unlink(path.join(this.baseDir, file));
       }
+
+      if (this.contentAddressed) {
+        await fs.rm(this.chunkDir, { recursive: true, force: true });
+        await fs.mkdir(this.chunkDir, { recursive: true });
+        this.refCounts = new Map();
+      }
       
       return true;
     } catch (error) {
@@ -178,6 +235,10 @@ class FileStorage {
           totalSize += stats.size;
         }
       }
+
+      if (this.contentAddressed) {
+        totalSize += (await this.getChunkStats()).bytes;
+      }
       
       return totalSize;
     } catch (error) {
@@ -186,6 +247,388 @@ class FileStorage {
     }
   }
 
+  /**
+   * Run operations on a key one at a time
+   * @param {string} key - Storage key
+   * @param {Function} fn - Async operation
+   * @returns {Promise<*>} Operation result
+   */
+  withKeyLock(key, fn) {
+    const previous = this.keyLocks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    this.keyLocks.set(key, settled);
+    settled.then(() => {
+      if (this.keyLocks.get(key) === settled) {
+        this.keyLocks.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Get the file path of a chunk
+   * @param {string} hash - Chunk SHA-256 hash
+   * @returns {string} File path
+   */
+  getChunkPath(hash) {
+    return path.join(this.chunkDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Build chunk reference counts from the stored manifests
+   * @returns {Promise<Map>} Hash -> number of references
+   */
+  async loadRefCounts() {
+    if (this.refCounts) return this.refCounts;
+
+    if (!this.refCountsLoading) {
+      this.refCountsLoading = this.scanRefCounts().then((refCounts) => {
+        this.refCounts = refCounts;
+        this.refCountsLoading = null;
+        return refCounts;
+      });
+    }
+
+    return this.refCountsLoading;
+  }
+
+  /**
+   * Count chunk references in the manifests currently on disk
+   * @returns {Promise<Map>} Hash -> number of references
+   */
+  async scanRefCounts() {
+    const refCounts = new Map();
+    for (const key of await this.keys()) {
+      const manifest = await this.readManifest(key);
+      for (const hash of (manifest && manifest.chunks) || []) {
+        refCounts.set(hash, (refCounts.get(hash) || 0) + 1);
+      }
+    }
+    return refCounts;
+  }
+
+  /**
+   * Read a key's manifest
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored record or null
+   */
+  async readManifest(key) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.baseDir, `${key}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a chunk unless an identical one is already stored
+   * @param {Buffer} buffer - Chunk content
+   * @returns {Promise<string>} Chunk hash
+   */
+  async writeChunk(buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const chunkPath = this.getChunkPath(hash);
+
+    // Chunks being written are protected from gc() until referenced
+    this.writingChunks.set(hash, (this.writingChunks.get(hash) || 0) + 1);
+    try {
+      // Touching a reused chunk keeps other processes' deletes and gc() off it
+      // until our manifest is written
+      const now = new Date();
+      await fs.utimes(chunkPath, now, now);
+    } catch {
+      await fs.mkdir(path.dirname(chunkPath), { recursive: true });
+      const tempPath = `${chunkPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, chunkPath);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Split a value into chunks and write them
+   * @param {*} data - Buffer, string, readable stream, or JSON value
+   * @param {Array<string>} chunks - Receives chunk hashes as they are written
+   * @returns {Promise<Object>} { chunks, size, encoding }
+   */
+  async writeChunks(data, chunks = []) {
+    let size = 0;
+    let encoding = 'binary';
+    let pending = [];
+    let pendingSize = 0;
+
+    const flush = async (final) => {
+      while (pendingSize >= this.chunkSize || (final && pendingSize > 0)) {
+        const buffer = Buffer.concat(pending, pendingSize);
+        const chunk = buffer.subarray(0, this.chunkSize);
+        const rest = buffer.subarray(chunk.length);
+        chunks.push(await this.writeChunk(chunk));
+        pending = rest.length > 0 ? [rest] : [];
+        pendingSize = rest.length;
+      }
+    };
+
+    const add = async (piece) => {
+      pending.push(piece);
+      pendingSize += piece.length;
+      size += piece.length;
+      await flush(false);
+    };
+
+    if (data && typeof data.pipe === 'function' && typeof data[Symbol.asyncIterator] === 'function') {
+      for await (const piece of data) {
+        await add(Buffer.isBuffer(piece) ? piece : Buffer.from(piece));
+      }
+    } else if (Buffer.isBuffer(data)) {
+      await add(data);
+    } else if (typeof data === 'string') {
+      encoding = 'utf8';
+      await add(Buffer.from(data, 'utf8'));
+    } else {
+      encoding = 'json';
+      await add(Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+    await flush(true);
+
+    return { chunks, size, encoding };
+  }
+
+  /**
+   * Store a value as content-addressed chunks
+   * @param {string} key - Storage key
+   * @param {*} data - Data to store
+   * @param {Object} options - Storage options
+   * @returns {Promise<boolean>} Success status
+   */
+  async setChunked(key, data, options = {}) {
+    const { ttl, encrypt = false } = options;
+    const chunks = [];
+
+    try {
+      if (encrypt) {
+        throw new Error('Encryption is not supported in content-addressed mode');
+      }
+
+      const refCounts = await this.loadRefCounts();
+      const written = await this.writeChunks(data, chunks);
+
+      const storageData = {
+        chunks: written.chunks,
+        size: written.size,
+        encoding: written.encoding,
+        timestamp: Date.now(),
+        ttl: ttl || null,
+        encrypted: false
+      };
+
+      const previous = await this.readManifest(key);
+      const filePath = path.join(this.baseDir, `${key}.json`);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(storageData, null, 2));
+      await fs.rename(tempPath, filePath);
+
+      for (const hash of written.chunks) {
+        refCounts.set(hash, (refCounts.get(hash) || 0) + 1);
+      }
+      if (previous && previous.chunks) {
+        await this.releaseChunks(previous.chunks);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to store data:', error);
+      return false;
+    } finally {
+      for (const hash of chunks) {
+        const writers = this.writingChunks.get(hash) - 1;
+        if (writers > 0) {
+          this.writingChunks.set(hash, writers);
+        } else {
+          this.writingChunks.delete(hash);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop one reference to each chunk, removing unreferenced ones if gcOnDelete
+   * Unless the instance is exclusive, other writers may reference a chunk
+   * this instance's counts don't know about, so removal is left to gc()
+   * rather than re-reading every manifest on each write and delete.
+   * @param {Array<string>} hashes - Chunk hashes
+   */
+  async releaseChunks(hashes) {
+    const refCounts = await this.loadRefCounts();
+    const unreferenced = [];
+
+    for (const hash of hashes) {
+      const count = (refCounts.get(hash) || 0) - 1;
+      if (count > 0) {
+        refCounts.set(hash, count);
+        continue;
+      }
+
+      refCounts.delete(hash);
+      if (this.exclusive && this.gcOnDelete && !this.writingChunks.has(hash)) {
+        unreferenced.push(hash);
+      }
+    }
+
+    for (const hash of unreferenced) {
+      await fs.unlink(this.getChunkPath(hash)).catch(() => {});
+    }
+  }
+
+  /**
+   * Delete a chunked value and release its chunks
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteChunked(key) {
+    try {
+      const manifest = await this.readManifest(key);
+      if (!manifest) return true;
+
+      await fs.unlink(path.join(this.baseDir, `${key}.json`));
+      if (manifest.chunks) {
+        await this.releaseChunks(manifest.chunks);
+      }
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true; // File already doesn't exist
+      }
+      console.error('Failed to delete data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read a chunk, checking its hash
+   * @param {string} hash - Chunk hash
+   * @returns {Promise<Buffer>} Chunk content
+   */
+  async readChunk(hash) {
+    const buffer = await fs.readFile(this.getChunkPath(hash));
+    if (this.verifyChunks && crypto.createHash('sha256').update(buffer).digest('hex') !== hash) {
+      throw new Error(`Chunk ${hash} is corrupted`);
+    }
+    return buffer;
+  }
+
+  /**
+   * Stream a value's chunks in order, reading one chunk at a time
+   * @param {Array<string>} hashes - Chunk hashes
+   * @returns {Readable} Byte stream
+   */
+  createChunkStream(hashes) {
+    const storage = this;
+    return Readable.from((async function* readChunks() {
+      for (const hash of hashes) {
+        yield await storage.readChunk(hash);
+      }
+    })(), { objectMode: false });
+  }
+
+  /**
+   * Reassemble a chunked value
+   * @param {Object} storageData - Manifest
+   * @returns {Promise<*>} Buffer, string or JSON value, as stored
+   */
+  async decodeChunked(storageData) {
+    const buffers = [];
+    for (const hash of storageData.chunks) {
+      buffers.push(await this.readChunk(hash));
+    }
+    const buffer = Buffer.concat(buffers, storageData.size);
+
+    if (storageData.encoding === 'json') return JSON.parse(buffer.toString('utf8'));
+    if (storageData.encoding === 'utf8') return buffer.toString('utf8');
+    return buffer;
+  }
+
+  /**
+   * List stored chunk files
+   * @returns {Promise<Array>} [{ hash, path, size, mtime }]
+   */
+  async listChunks() {
+    const chunks = [];
+    let dirs;
+    try {
+      dirs = await fs.readdir(this.chunkDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return chunks;
+      throw error;
+    }
+
+    for (const dir of dirs) {
+      const files = await fs.readdir(path.join(this.chunkDir, dir)).catch(() => []);
+      for (const file of files) {
+        const chunkPath = path.join(this.chunkDir, dir, file);
+        const stats = await fs.stat(chunkPath).catch(() => null);
+        if (stats) {
+          chunks.push({ hash: file, path: chunkPath, size: stats.size, mtime: stats.mtimeMs });
+        }
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Remove chunks no value references, including leftovers from interrupted
+   * writes and removals skipped because gcOnDelete is off or the instance
+   * isn't exclusive. Reference counts are rebuilt from the manifests first,
+   * so values written by other processes are respected.
+   * @returns {Promise<Object>} { removed, freedBytes }
+   */
+  async gc() {
+    this.refCounts = null;
+    const refCounts = await this.loadRefCounts();
+    const now = Date.now();
+    let removed = 0;
+    let freedBytes = 0;
+
+    for (const chunk of await this.listChunks()) {
+      const hash = chunk.hash.endsWith('.tmp') ? null : chunk.hash;
+      if (hash && (refCounts.has(hash) || this.writingChunks.has(hash))) continue;
+      if (now - chunk.mtime < this.gcGracePeriod) continue;
+
+      await fs.unlink(chunk.path).catch(() => {});
+      removed++;
+      freedBytes += chunk.size;
+    }
+
+    return { removed, freedBytes };
+  }
+
+  /**
+   * Get chunk storage statistics
+   * @returns {Promise<Object>} { chunks, bytes, logicalBytes, referenced, dedupRatio }
+   */
+  async getChunkStats() {
+    const chunks = await this.listChunks();
+    const refCounts = await this.loadRefCounts();
+    const bytes = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+
+    let logicalBytes = 0;
+    for (const key of await this.keys()) {
+      const manifest = await this.readManifest(key);
+      if (manifest && manifest.chunks) logicalBytes += manifest.size;
+    }
+
+    return {
+      chunks: chunks.length,
+      bytes,
+      logicalBytes,
+      referenced: refCounts.size,
+      dedupRatio: bytes > 0 ? logicalBytes / bytes : 1
+    };
+  }
+
   /**
    * Simple encryption (for demo purposes - use proper encryption in production)
    * @param {string} text - Text to encrypt
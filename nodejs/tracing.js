@@ -0,0 +1,569 @@
+/**
+ * Minimal tracing for Node.js applications
+ * Spans compatible with OpenTelemetry's data model (trace/span IDs, kinds,
+ * attributes, events, status) and the W3C trace context header, without the
+ * OTel SDK. Instrumented utilities (request middleware, makeRequest, queues,
+ * the database pool) record spans once a tracer is set with setTracer().
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const requestContext = require('./requestContext');
+
+const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const activeSpans = new AsyncLocalStorage();
+let globalTracer = null;
+
+const hrOrigin = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+/**
+ * Current time in nanoseconds since the epoch, with sub-millisecond precision
+ * @returns {bigint} Time
+ */
+function nowNanos() {
+  return hrOrigin + process.hrtime.bigint();
+}
+
+/**
+ * A unit of work with timing, attributes, events and status
+ */
+class Span {
+  /**
+   * @param {Tracer} tracer - Owning tracer
+   * @param {string} name - Span name
+   * @param {Object} options - { kind, attributes, traceId, parentSpanId, traceFlags }
+   */
+  constructor(tracer, name, options = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || 'INTERNAL';
+    this.traceId = options.traceId || crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = options.parentSpanId || null;
+    this.traceFlags = options.traceFlags || '01';
+    this.attributes = { ...(options.attributes || {}) };
+    this.events = [];
+    this.status = { code: 'UNSET', message: '' };
+    this.startTime = nowNanos();
+    this.endTime = null;
+  }
+
+  /**
+   * Set an attribute (ignored after the span ends)
+   * @param {string} key - Attribute name, e.g. 'http.method'
+   * @param {string|number|boolean|Array} value - Value
+   * @returns {Span} This span
+   */
+  setAttribute(key, value) {
+    if (this.endTime === null && value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Set several attributes
+   * @param {Object} attributes - Name -> value
+   * @returns {Span} This span
+   */
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Record a timestamped event
+   * @param {string} name - Event name
+   * @param {Object} attributes - Event attributes
+   * @returns {Span} This span
+   */
+  addEvent(name, attributes = {}) {
+    if (this.endTime === null) {
+      this.events.push({ name, attributes, time: nowNanos() });
+    }
+    return this;
+  }
+
+  /**
+   * Record an error as an `exception` event and mark the span failed
+   * @param {Error} error - Error
+   * @returns {Span} This span
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.name || 'Error',
+      'exception.message': error.message,
+      'exception.stacktrace': error.stack
+    });
+    return this.setStatus('ERROR', error.message);
+  }
+
+  /**
+   * Set the span status
+   * @param {string} code - 'UNSET', 'OK' or 'ERROR'
+   * @param {string} message - Description (for errors)
+   * @returns {Span} This span
+   */
+  setStatus(code, message = '') {
+    if (this.endTime === null) {
+      this.status = { code, message };
+    }
+    return this;
+  }
+
+  /**
+   * End the span and hand it to the tracer's exporters
+   */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    this.tracer.onEnd(this);
+  }
+
+  /**
+   * Duration in milliseconds, once ended
+   * @returns {number|null} Duration
+   */
+  getDuration() {
+    return this.endTime === null ? null : Number(this.endTime - this.startTime) / 1e6;
+  }
+
+  /**
+   * W3C traceparent header value for this span
+   * @returns {string} traceparent
+   */
+  getTraceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.traceFlags}`;
+  }
+}
+
+/**
+ * Span that records nothing, used when no tracer is set
+ */
+const NOOP_SPAN = {
+  traceId: null,
+  spanId: null,
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  recordException() { return this; },
+  setStatus() { return this; },
+  end() {},
+  getDuration() { return null; },
+  getTraceparent() { return null; }
+};
+
+/**
+ * Creates spans and batches finished ones to exporters
+ */
+class Tracer {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.serviceName - service.name resource attribute (default 'nodejs-app')
+   * @param {Object} options.resource - Extra resource attributes
+   * @param {Array} options.exporters - Objects with export(spans) and optionally shutdown()
+   * @param {number} options.flushInterval - Milliseconds between exports; 0 exports
+   *   each span as it ends (default 1000)
+   * @param {number} options.maxBatchSize - Export early once this many spans wait (default 100)
+   * @param {number} options.sampleRate - Fraction of new traces recorded (default 1)
+   */
+  constructor(options = {}) {
+    this.resource = {
+      'service.name': options.serviceName || 'nodejs-app',
+      ...(options.resource || {})
+    };
+    this.exporters = options.exporters || [];
+    this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.sampleRate = options.sampleRate !== undefined ? options.sampleRate : 1;
+    this.buffer = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Find the parent for a new span: an explicit parent, the active span, or
+   * the incoming traceparent of the current request
+   * @param {Object} options - Span options
+   * @returns {Object|null} { traceId, spanId, traceFlags } (traceFlags null
+   *   when the trace is new and still to be sampled)
+   */
+  resolveParent(options) {
+    if (options.root) return null;
+    if (options.parent) {
+      return typeof options.parent === 'string'
+        ? extractTraceContext({ traceparent: options.parent })
+        : options.parent;
+    }
+
+    const active = activeSpans.getStore();
+    if (active === NOOP_SPAN) return { traceFlags: '00' };
+    if (active) return active;
+
+    const context = requestContext.getContext();
+    if (context && context.parentSpanId) {
+      return { traceId: context.traceId, spanId: context.parentSpanId, traceFlags: context.traceFlags };
+    }
+    if (context) {
+      // A new trace, but with the ID the request's log records carry
+      return { traceId: context.traceId, spanId: null, traceFlags: null };
+    }
+    return null;
+  }
+
+  /**
+   * Start a span (the caller must end it)
+   * @param {string} name - Span name
+   * @param {Object} options - Options
+   * @param {string} options.kind - INTERNAL (default), SERVER, CLIENT, PRODUCER or CONSUMER
+   * @param {Object} options.attributes - Initial attributes
+   * @param {Object|string} options.parent - Parent span, { traceId, spanId, traceFlags }
+   *   or traceparent header (default: the active span)
+   * @param {boolean} options.root - Start a new trace
+   * @returns {Span} Span (a no-op span if the trace is not sampled)
+   */
+  startSpan(name, options = {}) {
+    const parent = this.resolveParent(options);
+    const traceFlags = parent && parent.traceFlags
+      ? parent.traceFlags
+      : (Math.random() < this.sampleRate ? '01' : '00');
+
+    // Unsampled traces are propagated but not recorded
+    if (traceFlags === '00') {
+      return NOOP_SPAN;
+    }
+
+    return new Span(this, name, {
+      kind: options.kind,
+      attributes: options.attributes,
+      traceId: parent ? parent.traceId : undefined,
+      parentSpanId: parent ? parent.spanId : null,
+      traceFlags
+    });
+  }
+
+  /**
+   * Run a function with a new span active, ending it when the function
+   * settles; errors are recorded on the span and rethrown
+   * @param {string} name - Span name
+   * @param {Object} options - startSpan options
+   * @param {Function} fn - (span) => result
+   * @returns {*} Function result
+   */
+  withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    return activeSpans.run(span, () => {
+      let result;
+      try {
+        result = fn(span);
+      } catch (error) {
+        span.recordException(error);
+        span.end();
+        throw error;
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          (value) => {
+            span.end();
+            return value;
+          },
+          (error) => {
+            span.recordException(error);
+            span.end();
+            throw error;
+          }
+        );
+      }
+
+      span.end();
+      return result;
+    });
+  }
+
+  /**
+   * Run a function with an existing span active (without ending it)
+   * @param {Span} span - Span
+   * @param {Function} fn - Function
+   * @returns {*} Function result
+   */
+  runWithSpan(span, fn) {
+    return activeSpans.run(span, fn);
+  }
+
+  /**
+   * Queue a finished span for export
+   * @param {Span} span - Span
+   */
+  onEnd(span) {
+    this.buffer.push(span);
+
+    if (this.flushInterval === 0 || this.buffer.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Export all finished spans now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.buffer.length === 0) return;
+
+    const spans = this.buffer;
+    this.buffer = [];
+
+    await Promise.all(this.exporters.map(async (exporter) => {
+      try {
+        await exporter.export(spans, this.resource);
+      } catch (error) {
+        console.error('Span export failed:', error.message);
+      }
+    }));
+  }
+
+  /**
+   * Flush and shut down exporters
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.flush();
+    await Promise.all(this.exporters
+      .filter(exporter => typeof exporter.shutdown === 'function')
+      .map(exporter => exporter.shutdown()));
+  }
+}
+
+/**
+ * Keeps exported spans in memory, for tests
+ */
+class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+  }
+
+  /**
+   * Get exported spans
+   * @param {string} name - Only spans with this name
+   * @returns {Array<Span>} Spans in end order
+   */
+  getFinishedSpans(name) {
+    return name ? this.spans.filter(span => span.name === name) : this.spans.slice();
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Convert an attribute value to OTLP/JSON AnyValue
+ * @param {*} value - Value
+ * @returns {Object} AnyValue
+ */
+function toOtlpValue(value) {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toOtlpValue) } };
+  }
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert attributes to OTLP/JSON key-value list
+ * @param {Object} attributes - Name -> value
+ * @returns {Array} [{ key, value }]
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * Convert spans to an OTLP/JSON ExportTraceServiceRequest
+ * @param {Array<Span>} spans - Spans
+ * @param {Object} resource - Resource attributes
+ * @returns {Object} Request body
+ */
+function toOtlpJson(spans, resource = {}) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes(resource) },
+      scopeSpans: [{
+        scope: { name: 'nodejs-utils-tracing' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind] || SPAN_KINDS.INTERNAL,
+          startTimeUnixNano: String(span.startTime),
+          endTimeUnixNano: String(span.endTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: String(event.time),
+            name: event.name,
+            attributes: toOtlpAttributes(event.attributes)
+          })),
+          status: {
+            code: SPAN_STATUS[span.status.code] || SPAN_STATUS.UNSET,
+            ...(span.status.message ? { message: span.status.message } : {})
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * Appends each export as one line of OTLP/JSON, the format the OpenTelemetry
+ * Collector's file receiver reads
+ */
+class OTLPFileExporter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.filename - Output file (default 'traces.jsonl')
+   */
+  constructor(options = {}) {
+    this.filename = options.filename || 'traces.jsonl';
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+  }
+
+  async export(spans, resource) {
+    await fs.promises.appendFile(this.filename, `${JSON.stringify(toOtlpJson(spans, resource))}\n`);
+  }
+}
+
+/**
+ * Read a W3C trace context from headers
+ * @param {Object} headers - Headers (lower-case names)
+ * @returns {Object|null} { traceId, spanId, traceFlags, tracestate }
+ */
+function extractTraceContext(headers = {}) {
+  const parsed = requestContext.parseTraceparent(headers.traceparent);
+  if (!parsed) return null;
+
+  return {
+    traceId: parsed.traceId,
+    spanId: parsed.parentId,
+    traceFlags: parsed.traceFlags,
+    tracestate: headers.tracestate || null
+  };
+}
+
+/**
+ * Add `traceparent` (and `tracestate`) for the active span to outgoing headers
+ * @param {Object} headers - Headers to modify
+ * @param {Span} span - Span to propagate (default: the active span)
+ * @returns {Object} The headers
+ */
+function injectTraceContext(headers, span = activeSpans.getStore()) {
+  if (span && span !== NOOP_SPAN) {
+    headers.traceparent = span.getTraceparent();
+  } else {
+    // Not recording: pass on the incoming trace unchanged
+    const context = requestContext.getContext();
+    if (context && context.parentSpanId) {
+      headers.traceparent = `00-${context.traceId}-${context.parentSpanId}-${context.traceFlags}`;
+    }
+  }
+
+  const context = requestContext.getContext();
+  if (headers.traceparent && context && context.tracestate) {
+    headers.tracestate = context.tracestate;
+  }
+  return headers;
+}
+
+/**
+ * Set the tracer used by instrumented utilities
+ * @param {Tracer|null} tracer - Tracer, or null to stop tracing
+ */
+function setTracer(tracer) {
+  globalTracer = tracer;
+}
+
+/**
+ * Get the tracer set with setTracer
+ * @returns {Tracer|null} Tracer
+ */
+function getTracer() {
+  return globalTracer;
+}
+
+/**
+ * Get the active span
+ * @returns {Span|null} Span
+ */
+function getActiveSpan() {
+  const span = activeSpans.getStore();
+  return span && span !== NOOP_SPAN ? span : null;
+}
+
+/**
+ * Run a function in a span of the global tracer, or with a no-op span when
+ * tracing is off; used by the instrumented utilities
+ * @param {string} name - Span name
+ * @param {Object} options - startSpan options
+ * @param {Function} fn - (span) => result
+ * @returns {*} Function result
+ */
+function trace(name, options, fn) {
+  return globalTracer ? globalTracer.withSpan(name, options, fn) : fn(NOOP_SPAN);
+}
+
+// Example usage:
+// const exporter = new InMemorySpanExporter();
+// setTracer(new Tracer({
+//   serviceName: 'orders-api',
+//   exporters: [exporter, new OTLPFileExporter({ filename: 'logs/traces.jsonl' })]
+// }));
+// app.use(traceRequests());
+// await trace('price-order', {}, async (span) => {
+//   span.setAttribute('order.items', items.length);
+//   return priceOrder(items);
+// });
+
+module.exports = {
+  SPAN_KINDS,
+  SPAN_STATUS,
+  Span,
+  Tracer,
+  InMemorySpanExporter,
+  OTLPFileExporter,
+  toOtlpJson,
+  extractTraceContext,
+  injectTraceContext,
+  setTracer,
+  getTracer,
+  getActiveSpan,
+  trace
+};